@@ -1,9 +1,21 @@
-import { apikeyService } from './apikey.service.js'
+import { apikeyService, API_KEY_SCOPES, DEFAULT_API_KEY_SCOPES, DEFAULT_ROTATION_GRACE_HOURS } from './apikey.service.js'
 import { loggerService } from '../../services/logger.service.js'
 
+// A rotated key works next to its successor for at most 30 days
+const MAX_ROTATION_GRACE_HOURS = 720
+
+/* expiresAt is optional, when set it must be a future date */
+function _validateExpiresAt(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null) return null
+    if (typeof expiresAt !== 'string' || isNaN(new Date(expiresAt))) return 'expiresAt must be a date'
+    if (new Date(expiresAt) <= new Date()) return 'expiresAt must be in the future'
+    return null
+}
+
 /**
  * Generate a new API key
  * POST /api/apikeys
+ * Body: { name, scopes, expiresAt } - scopes default to findings:write, no expiresAt: the key never expires
  */
 export async function generateKey(req, res) {
     try {
@@ -12,7 +24,7 @@ export async function generateKey(req, res) {
             return res.status(401).send({ err: 'Not authenticated' })
         }
 
-        const { name } = req.body
+        const { name, scopes = DEFAULT_API_KEY_SCOPES, expiresAt } = req.body
 
         if (!name || typeof name !== 'string' || name.trim().length === 0) {
             return res.status(400).json({
@@ -21,9 +33,26 @@ export async function generateKey(req, res) {
             })
         }
 
+        if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`
+            })
+        }
+
+        const expiresAtError = _validateExpiresAt(expiresAt)
+        if (expiresAtError) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: expiresAtError
+            })
+        }
+
         const apiKeyData = await apikeyService.generateApiKey(
             loggedinUser._id.toString(),
-            name.trim()
+            name.trim(),
+            scopes,
+            expiresAt
         )
 
         // The only time the plain API key is shown
@@ -32,6 +61,8 @@ export async function generateKey(req, res) {
             apiKey: apiKeyData.apiKey,
             id: apiKeyData.id,
             name: apiKeyData.name,
+            scopes: apiKeyData.scopes,
+            expiresAt: apiKeyData.expiresAt,
             createdAt: apiKeyData.createdAt
         })
     } catch (err) {
@@ -69,6 +100,71 @@ export async function getAllKeys(req, res) {
     }
 }
 
+/**
+ * Issue a successor key; the rotated key keeps working for the grace window so clients can switch over
+ * POST /api/apikeys/:keyId/rotate
+ * Body: { graceHours, expiresAt } - graceHours default 24, 0 ends the old key now
+ */
+export async function rotateKey(req, res) {
+    try {
+        const loggedinUser = req.loggedinUser
+        if (!loggedinUser) {
+            return res.status(401).send({ err: 'Not authenticated' })
+        }
+
+        const { graceHours = DEFAULT_ROTATION_GRACE_HOURS, expiresAt } = req.body || {}
+        const errors = []
+        if (typeof graceHours !== 'number' || graceHours < 0 || graceHours > MAX_ROTATION_GRACE_HOURS) {
+            errors.push(`graceHours must be a number of hours between 0 and ${MAX_ROTATION_GRACE_HOURS}`)
+        }
+        const expiresAtError = _validateExpiresAt(expiresAt)
+        if (expiresAtError) errors.push(expiresAtError)
+
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid rotation',
+                details: errors
+            })
+        }
+
+        const apiKeyData = await apikeyService.rotate(req.params.keyId, loggedinUser._id.toString(), { graceHours, expiresAt })
+
+        // The only time the plain API key is shown
+        res.status(201).json({
+            message: 'API key rotated successfully. Save the new key now - you won\'t be able to see it again!',
+            apiKey: apiKeyData.apiKey,
+            id: apiKeyData.id,
+            name: apiKeyData.name,
+            scopes: apiKeyData.scopes,
+            expiresAt: apiKeyData.expiresAt,
+            createdAt: apiKeyData.createdAt,
+            rotatedFrom: apiKeyData.rotatedFrom
+        })
+    } catch (err) {
+        loggerService.error('Cannot rotate API key:', err)
+
+        if (err.message.includes('not found') || err.message.includes('unauthorized')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'API key not found or you don\'t have permission to rotate it'
+            })
+        }
+
+        if (err.message.includes('revoked or expired') || err.message.includes('already rotated')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: err.message
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to rotate API key'
+        })
+    }
+}
+
 /**
  * Delete an API key
  * DELETE /api/apikeys/:keyId
@@ -1,6 +1,6 @@
 import express from 'express'
 import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
-import { generateKey, getAllKeys, deleteKey } from './apikey.controller.js'
+import { generateKey, getAllKeys, rotateKey, deleteKey } from './apikey.controller.js'
 
 const router = express.Router()
 router.use(requireAuth)
@@ -11,6 +11,9 @@ router.post('/', generateKey)
 // get all API keys for the authenticated user
 router.get('/', getAllKeys)
 
+// issue a successor key, the old one keeps working for a grace window
+router.post('/:keyId/rotate', rotateKey)
+
 router.delete('/:keyId', deleteKey)
 
 export const apikeyRoutes = router
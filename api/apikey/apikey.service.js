@@ -5,16 +5,30 @@ import { ObjectId } from 'mongodb'
 
 const API_KEY_PREFIX = 'ih_'
 
+// What a key may do, checked by requireScope() on the API routes
+export const API_KEY_SCOPES = ['findings:write', 'findings:read', 'identities:write', 'identities:read']
+// New keys can only submit findings unless asked otherwise, the usual CI scanner key
+export const DEFAULT_API_KEY_SCOPES = ['findings:write']
+// How long a rotated key keeps working next to its successor
+export const DEFAULT_ROTATION_GRACE_HOURS = 24
+
 export const apikeyService = {
     generateApiKey,
     validateApiKey,
+    rotate,
     getAll,
     remove,
-    getById
+    getById,
+    getExpiring,
+    recordExpiryWarning
 }
 
 
-async function generateApiKey(userId, name) {
+/**
+ * Create a key, expiresAt: when it stops working, null for never
+ * rotatedFromId: the key this one replaces, set by rotate()
+ */
+async function generateApiKey(userId, name, scopes = DEFAULT_API_KEY_SCOPES, expiresAt = null, rotatedFromId = null) {
     try {
         const apiKey = crypto.randomBytes(32).toString('hex')
 
@@ -25,6 +39,9 @@ async function generateApiKey(userId, name) {
             userId: ObjectId.createFromHexString(userId),
             name,
             hashedKey,
+            scopes: [...new Set(scopes)],
+            expiresAt: expiresAt ? new Date(expiresAt) : null,
+            rotatedFromId: rotatedFromId ? ObjectId.createFromHexString(rotatedFromId) : null,
             createdAt: new Date(),
             lastUsedAt: null,
             isActive: true
@@ -40,6 +57,8 @@ async function generateApiKey(userId, name) {
             id: result.insertedId.toString(),
             apiKey: `${API_KEY_PREFIX}${apiKey}`,
             name,
+            scopes: apiKeyDoc.scopes,
+            expiresAt: apiKeyDoc.expiresAt,
             createdAt: apiKeyDoc.createdAt
         }
     } catch (err) {
@@ -65,7 +84,7 @@ async function validateApiKey(apiKey) {
             isActive: true
         })
 
-        if (!apiKeyDoc) {
+        if (!apiKeyDoc || _isExpired(apiKeyDoc)) {
             return null
         }
 
@@ -77,7 +96,8 @@ async function validateApiKey(apiKey) {
 
         return {
             userId: apiKeyDoc.userId.toString(),
-            keyId: apiKeyDoc._id.toString()
+            keyId: apiKeyDoc._id.toString(),
+            scopes: _getScopes(apiKeyDoc)
         }
     } catch (err) {
         loggerService.error('Cannot validate API key', err)
@@ -85,6 +105,78 @@ async function validateApiKey(apiKey) {
     }
 }
 
+/**
+ * Issue a successor of a key, with the same name and scopes
+ * The old key keeps working for graceHours, then expires; the successor gets expiresAt,
+ * or the old key's lifetime counted from now when the old key had an expiry
+ */
+async function rotate(keyId, userId, { graceHours = DEFAULT_ROTATION_GRACE_HOURS, expiresAt } = {}) {
+    try {
+        if (!ObjectId.isValid(keyId)) {
+            throw new Error('API key not found or unauthorized')
+        }
+
+        const now = new Date()
+        const criteria = {
+            _id: ObjectId.createFromHexString(keyId),
+            userId: ObjectId.createFromHexString(userId)
+        }
+
+        // Claimed atomically with rotatedAt, so concurrent rotations cannot both issue a successor
+        const collection = await dbService.getCollection('apikeys')
+        const apiKeyDoc = await collection.findOneAndUpdate(
+            { ...criteria, isActive: true, successorId: { $exists: false }, rotatedAt: { $exists: false } },
+            { $set: { rotatedAt: now } },
+            { returnDocument: 'before' }
+        )
+
+        if (!apiKeyDoc) {
+            const existing = await collection.findOne(criteria)
+            if (!existing) throw new Error('API key not found or unauthorized')
+            if (!existing.isActive) throw new Error('API key is revoked or expired')
+            throw new Error('API key was already rotated')
+        }
+
+        let successor
+        try {
+            if (_isExpired(apiKeyDoc)) throw new Error('API key is revoked or expired')
+
+            let successorExpiresAt = expiresAt || null
+            if (!expiresAt && apiKeyDoc.expiresAt) {
+                successorExpiresAt = new Date(now.getTime() + (apiKeyDoc.expiresAt - apiKeyDoc.createdAt))
+            }
+
+            successor = await generateApiKey(userId, apiKeyDoc.name, _getScopes(apiKeyDoc), successorExpiresAt, keyId)
+        } catch (err) {
+            // Release the claim, the key can be rotated again
+            await collection.updateOne({ _id: apiKeyDoc._id }, { $unset: { rotatedAt: '' } })
+            throw err
+        }
+
+        // The grace window never extends the old key past its own expiry
+        const graceEndsAt = new Date(now.getTime() + graceHours * 60 * 60 * 1000)
+        const oldKeyExpiresAt = apiKeyDoc.expiresAt && apiKeyDoc.expiresAt < graceEndsAt ? apiKeyDoc.expiresAt : graceEndsAt
+        await collection.updateOne(
+            { _id: apiKeyDoc._id },
+            {
+                $set: {
+                    expiresAt: oldKeyExpiresAt,
+                    successorId: ObjectId.createFromHexString(successor.id)
+                }
+            }
+        )
+
+        loggerService.info(`API key ${keyId} rotated by user ${userId}, successor ${successor.id}, old key expires at ${oldKeyExpiresAt.toISOString()}`)
+        return {
+            ...successor,
+            rotatedFrom: { id: keyId, expiresAt: oldKeyExpiresAt }
+        }
+    } catch (err) {
+        loggerService.error('Cannot rotate API key', err)
+        throw err
+    }
+}
+
 /**
  * Get all API keys for a user (without revealing the actual keys)
  */
@@ -99,8 +191,13 @@ async function getAll(userId) {
         return apiKeys.map(key => ({
             id: key._id.toString(),
             name: key.name,
+            scopes: _getScopes(key),
             createdAt: key.createdAt,
             lastUsedAt: key.lastUsedAt,
+            expiresAt: key.expiresAt || null,
+            isExpired: _isExpired(key),
+            rotatedFromId: key.rotatedFromId ? key.rotatedFromId.toString() : null,
+            successorId: key.successorId ? key.successorId.toString() : null,
             isActive: key.isActive
         }))
     } catch (err) {
@@ -123,8 +220,10 @@ async function getById(keyId) {
             id: apiKey._id.toString(),
             userId: apiKey.userId.toString(),
             name: apiKey.name,
+            scopes: _getScopes(apiKey),
             createdAt: apiKey.createdAt,
             lastUsedAt: apiKey.lastUsedAt,
+            expiresAt: apiKey.expiresAt || null,
             isActive: apiKey.isActive
         }
     } catch (err) {
@@ -156,6 +255,56 @@ async function remove(keyId, userId) {
     }
 }
 
+/**
+ * Active keys of every user that expire before the given date and were not warned about yet
+ * Rotated keys are left out, their successor already replaces them
+ */
+async function getExpiring(before, now = new Date()) {
+    try {
+        const collection = await dbService.getCollection('apikeys')
+        const apiKeys = await collection.find({
+            isActive: true,
+            successorId: { $exists: false },
+            expiryWarningSentAt: { $exists: false },
+            expiresAt: { $ne: null, $gt: now, $lte: before }
+        }).toArray()
+
+        return apiKeys.map(apiKey => ({
+            id: apiKey._id.toString(),
+            userId: apiKey.userId.toString(),
+            name: apiKey.name,
+            scopes: _getScopes(apiKey),
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt
+        }))
+    } catch (err) {
+        loggerService.error('Cannot get expiring API keys', err)
+        throw err
+    }
+}
+
+async function recordExpiryWarning(keyId) {
+    try {
+        const collection = await dbService.getCollection('apikeys')
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(keyId) },
+            { $set: { expiryWarningSentAt: new Date() } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record expiry warning of API key ${keyId}`, err)
+        throw err
+    }
+}
+
+function _isExpired(apiKeyDoc) {
+    return !!apiKeyDoc.expiresAt && apiKeyDoc.expiresAt <= new Date()
+}
+
+/* Keys created before scopes existed keep the full access they were issued with */
+function _getScopes(apiKeyDoc) {
+    return apiKeyDoc.scopes || API_KEY_SCOPES
+}
+
 /**
  * Hash an API key using SHA-256
  */
@@ -0,0 +1,132 @@
+import { hygienePolicyService } from './hygiene-policy.service.js'
+import { credentialHygieneService } from '../../services/credential-hygiene.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+const THRESHOLD_FIELDS = ['unusedDays', 'rotationDays', 'expiryWarningDays']
+const MAX_THRESHOLD_DAYS = 3650
+
+/**
+ * Validation schema for hygiene policy
+ * current: the saved policy, so tickets cannot be enabled without a project in either
+ */
+function validateHygienePolicy(data, current) {
+    const errors = []
+
+    THRESHOLD_FIELDS.forEach(field => {
+        if (data[field] !== undefined && (!Number.isInteger(data[field]) || data[field] < 1 || data[field] > MAX_THRESHOLD_DAYS)) {
+            errors.push(`${field} must be a whole number of days between 1 and ${MAX_THRESHOLD_DAYS}`)
+        }
+    })
+
+    if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+        errors.push('enabled must be a boolean')
+    }
+
+    if (data.createTickets !== undefined && typeof data.createTickets !== 'boolean') {
+        errors.push('createTickets must be a boolean')
+    }
+
+    if (data.projectKey !== undefined && data.projectKey !== null && (typeof data.projectKey !== 'string' || data.projectKey.trim().length === 0)) {
+        errors.push('projectKey must be a non-empty string')
+    }
+
+    if (data.issueType !== undefined && data.issueType !== null && (typeof data.issueType !== 'string' || data.issueType.trim().length === 0)) {
+        errors.push('issueType must be a non-empty string')
+    }
+
+    const createTickets = data.createTickets ?? current.createTickets
+    const projectKey = data.projectKey !== undefined ? data.projectKey : current.projectKey
+    if (createTickets && !projectKey) {
+        errors.push('projectKey is required when createTickets is enabled')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the hygiene policy of the logged in user (the defaults when none was saved)
+ * GET /api/hygiene-policy
+ */
+export async function getHygienePolicy(req, res) {
+    try {
+        const policy = await hygienePolicyService.getByUser(req.loggedinUser._id.toString())
+        res.json(policy)
+    } catch (err) {
+        loggerService.error('Cannot get hygiene policy:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve hygiene policy'
+        })
+    }
+}
+
+/**
+ * Update the hygiene policy, fields left out keep their value
+ * PUT /api/hygiene-policy
+ * Body: { enabled, unusedDays, rotationDays, expiryWarningDays, createTickets, projectKey, issueType }
+ */
+export async function updateHygienePolicy(req, res) {
+    try {
+        const userId = req.loggedinUser._id.toString()
+        const current = await hygienePolicyService.getByUser(userId)
+
+        const validation = validateHygienePolicy(req.body, current)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid hygiene policy',
+                details: validation.errors
+            })
+        }
+
+        const policy = await hygienePolicyService.setPolicy(userId, {
+            ...req.body,
+            projectKey: typeof req.body.projectKey === 'string' ? req.body.projectKey.trim() : req.body.projectKey,
+            issueType: typeof req.body.issueType === 'string' ? req.body.issueType.trim() : req.body.issueType
+        })
+
+        res.json(policy)
+    } catch (err) {
+        loggerService.error('Cannot update hygiene policy:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update hygiene policy'
+        })
+    }
+}
+
+/**
+ * Run the hygiene check over the logged in user's inventory now, instead of waiting for the daily run
+ * POST /api/hygiene-policy/run
+ */
+export async function runHygieneCheck(req, res) {
+    try {
+        const result = await credentialHygieneService.checkUser(req.loggedinUser._id.toString())
+
+        if (!result) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: 'The hygiene check is disabled in your hygiene policy'
+            })
+        }
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot run hygiene check:', err)
+
+        if (err.message === 'Jira not connected') {
+            return res.status(400).json({
+                error: 'Configuration error',
+                message: 'Jira is not connected, connect it or disable createTickets in your hygiene policy'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to run hygiene check'
+        })
+    }
+}
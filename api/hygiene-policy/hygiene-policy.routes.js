@@ -0,0 +1,13 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getHygienePolicy, updateHygienePolicy, runHygieneCheck } from './hygiene-policy.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// thresholds of the scheduled credential hygiene check over the identity inventory
+router.get('/', getHygienePolicy)
+router.put('/', updateHygienePolicy)
+router.post('/run', runHygieneCheck)
+
+export const hygienePolicyRoutes = router
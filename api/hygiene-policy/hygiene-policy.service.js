@@ -0,0 +1,106 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'hygiene_policies'
+
+// Thresholds of the credential hygiene check, used until a user saves their own policy
+export const DEFAULT_HYGIENE_POLICY = {
+    enabled: true,
+    // Days without use before an identity is flagged as unused
+    unusedDays: 90,
+    // Age in days at which an access key or API key is due for rotation
+    rotationDays: 90,
+    // Days before expiry at which a secret or certificate is flagged
+    expiryWarningDays: 30,
+    // Flags become findings in any case, tickets are opened only when enabled
+    createTickets: false,
+    projectKey: null,
+    issueType: null
+}
+
+export const hygienePolicyService = {
+    getByUser,
+    setPolicy,
+    initializeCollection
+}
+
+/**
+ * Initialize the hygiene policies collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.createIndex({ userId: 1 }, { unique: true })
+    } catch (err) {
+        loggerService.error('Failed to initialize hygiene policies collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Get the hygiene policy of a user, falling back to the defaults when none was saved
+ */
+async function getByUser(userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const policy = await collection.findOne({ userId: ObjectId.createFromHexString(userId) })
+
+        if (!policy) {
+            return {
+                ...structuredClone(DEFAULT_HYGIENE_POLICY),
+                userId,
+                isDefault: true
+            }
+        }
+
+        return _toDto(policy)
+    } catch (err) {
+        loggerService.error(`Cannot get hygiene policy of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Save the hygiene policy of a user
+ * policy: { enabled, unusedDays, rotationDays, expiryWarningDays, createTickets, projectKey, issueType }
+ */
+async function setPolicy(userId, policy) {
+    try {
+        const now = new Date()
+        const fieldsToSet = Object.fromEntries(
+            Object.keys(DEFAULT_HYGIENE_POLICY)
+                .filter(field => policy[field] !== undefined)
+                .map(field => [field, policy[field]])
+        )
+        if (fieldsToSet.projectKey) fieldsToSet.projectKey = fieldsToSet.projectKey.toUpperCase()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const savedPolicy = await collection.findOneAndUpdate(
+            { userId: ObjectId.createFromHexString(userId) },
+            {
+                $set: { ...fieldsToSet, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        )
+
+        loggerService.info(`Hygiene policy updated by user ${userId}`)
+        return _toDto(savedPolicy)
+    } catch (err) {
+        loggerService.error(`Cannot set hygiene policy of user ${userId}`, err)
+        throw err
+    }
+}
+
+/* Policies saved before a setting existed get its default */
+function _toDto(policy) {
+    const { _id, userId, ...rest } = policy
+    return {
+        ...structuredClone(DEFAULT_HYGIENE_POLICY),
+        id: _id.toString(),
+        userId: userId.toString(),
+        ...rest
+    }
+}
@@ -0,0 +1,385 @@
+import { identityService, IDENTITY_TYPES } from './identity.service.js'
+import { nhiFindingsService } from '../nhi-findings/nhi-findings.service.js'
+import { userService } from '../user/user.service.js'
+import { reviewerService } from '../reviewer/reviewer.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { riskScoreService } from '../../services/risk-score.service.js'
+import { awsImporterService } from '../../services/identity-importers/aws-importer.service.js'
+import { gcpImporterService } from '../../services/identity-importers/gcp-importer.service.js'
+import { azureImporterService } from '../../services/identity-importers/azure-importer.service.js'
+import { kubernetesImporterService } from '../../services/identity-importers/kubernetes-importer.service.js'
+
+const TEXT_FIELDS = ['provider', 'externalId', 'owner', 'backupOwner', 'environment']
+// Owner name or email, and the IdentityHub user it belongs to
+const OWNER_FIELDS = [['owner', 'ownerUserId'], ['backupOwner', 'backupOwnerUserId']]
+const DATE_FIELDS = ['identityCreatedAt', 'lastUsedAt', 'expiresAt']
+const MAX_IMPORT_SIZE = 5000
+
+const IMPORTERS = {
+    aws: awsImporterService,
+    gcp: gcpImporterService,
+    azure: azureImporterService,
+    kubernetes: kubernetesImporterService
+}
+
+/**
+ * Validation schema for identity
+ */
+function validateIdentity(data) {
+    const errors = []
+
+    // Required fields
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name is required and must be a non-empty string')
+    }
+
+    if (!IDENTITY_TYPES.includes(data.type)) {
+        errors.push(`type is required and must be one of: ${IDENTITY_TYPES.join(', ')}`)
+    }
+
+    // Optional fields validation
+    TEXT_FIELDS.forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && (typeof data[field] !== 'string' || data[field].trim().length === 0)) {
+            errors.push(`${field} must be a non-empty string`)
+        }
+    })
+
+    OWNER_FIELDS.forEach(([, idField]) => {
+        if (data[idField] !== undefined && data[idField] !== null && (typeof data[idField] !== 'string' || !/^[a-f\d]{24}$/i.test(data[idField]))) {
+            errors.push(`${idField} must be a user id`)
+        }
+    })
+
+    const isSameOwner = (data.ownerUserId && data.ownerUserId === data.backupOwnerUserId) ||
+        (typeof data.owner === 'string' && typeof data.backupOwner === 'string' && data.owner.trim().toLowerCase() === data.backupOwner.trim().toLowerCase())
+    if (isSameOwner) {
+        errors.push('backupOwner must be someone else than owner')
+    }
+
+    DATE_FIELDS.forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && (typeof data[field] !== 'string' || isNaN(new Date(data[field])))) {
+            errors.push(`${field} must be a date`)
+        }
+    })
+
+    if (data.isEnabled !== undefined && typeof data.isEnabled !== 'boolean') {
+        errors.push('isEnabled must be a boolean')
+    }
+
+    if (data.permissions !== undefined) {
+        const { permissions } = data
+        if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+            errors.push('permissions must be an object: { summary, isPrivileged }')
+        } else {
+            if (permissions.summary !== undefined && typeof permissions.summary !== 'string') {
+                errors.push('permissions.summary must be a string')
+            }
+            if (permissions.isPrivileged !== undefined && typeof permissions.isPrivileged !== 'boolean') {
+                errors.push('permissions.isPrivileged must be a boolean')
+            }
+        }
+    }
+
+    if (data.tags !== undefined && (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string'))) {
+        errors.push('tags must be an array of strings')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the identity inventory
+ * GET /api/identities
+ * Query: type, provider, environment, owner, tag, txt, expiresBefore, sortBy, sortDir (1 | -1), pageIdx, pageSize
+ * Riskiest first unless sortBy is given
+ */
+export async function getIdentities(req, res) {
+    try {
+        const { type, provider, environment, owner, tag, txt, expiresBefore, sortBy, sortDir, pageIdx, pageSize } = req.query
+
+        if (expiresBefore && isNaN(new Date(expiresBefore))) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'expiresBefore must be a valid date'
+            })
+        }
+
+        const result = await identityService.query(
+            _getUserId(req),
+            { type, provider, environment, owner, tag, txt, expiresBefore },
+            { field: sortBy, dir: sortDir },
+            { pageIdx, pageSize }
+        )
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot get identities:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve identities'
+        })
+    }
+}
+
+/**
+ * Get an identity
+ * GET /api/identities/:identityId
+ */
+export async function getIdentity(req, res) {
+    try {
+        const identity = await identityService.getById(req.params.identityId, _getUserId(req))
+
+        if (!identity) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Identity not found'
+            })
+        }
+
+        res.json(identity)
+    } catch (err) {
+        loggerService.error('Cannot get identity:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve identity'
+        })
+    }
+}
+
+/**
+ * Add an identity to the inventory
+ * POST /api/identities
+ */
+export async function addIdentity(req, res) {
+    try {
+        const validation = validateIdentity(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid identity',
+                details: validation.errors
+            })
+        }
+
+        const userId = _getUserId(req)
+        const { identity: data, errors } = await _resolveOwners(req.body, userId)
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid identity',
+                details: errors
+            })
+        }
+
+        const identity = await identityService.add(userId, data)
+        identity.risk = await riskScoreService.refreshIdentity(userId, identity.id)
+
+        res.status(201).json(identity)
+    } catch (err) {
+        loggerService.error('Cannot add identity:', err)
+
+        if (err.message.includes('already exists')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: err.message
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create identity'
+        })
+    }
+}
+
+/**
+ * Replace an identity
+ * PUT /api/identities/:identityId
+ */
+export async function updateIdentity(req, res) {
+    try {
+        const validation = validateIdentity(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid identity',
+                details: validation.errors
+            })
+        }
+
+        const userId = _getUserId(req)
+        const { identity: data, errors } = await _resolveOwners(req.body, userId)
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid identity',
+                details: errors
+            })
+        }
+
+        const identity = await identityService.update(req.params.identityId, userId, data)
+        identity.risk = await riskScoreService.refreshIdentity(userId, identity.id)
+
+        res.json(identity)
+    } catch (err) {
+        loggerService.error('Cannot update identity:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Identity not found or you don\'t have permission to update it'
+            })
+        }
+
+        if (err.message.includes('already exists')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: err.message
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update identity'
+        })
+    }
+}
+
+/**
+ * Delete an identity, its findings stay but are no longer linked to it
+ * DELETE /api/identities/:identityId
+ */
+export async function deleteIdentity(req, res) {
+    try {
+        const userId = _getUserId(req)
+
+        await identityService.remove(req.params.identityId, userId)
+        await nhiFindingsService.unlinkIdentity(req.params.identityId, userId)
+
+        res.json({ message: 'Identity deleted successfully' })
+    } catch (err) {
+        loggerService.error('Cannot delete identity:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Identity not found or you don\'t have permission to delete it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete identity'
+        })
+    }
+}
+
+/**
+ * Import identities from a cloud IAM export, existing ones are updated (matched on provider + externalId)
+ * POST /api/identities/import/:format?environment=prod&owner=team&tags=a,b&scope=tenant&cluster=name&dryRun=true
+ * format: aws (get-account-authorization-details), gcp (service-accounts list), azure (ad sp list)
+ *         or kubernetes (ServiceAccounts as YAML or JSON, with their RoleBindings)
+ * environment, owner and tags fill in identities that have none, scope names the Azure tenant
+ * and cluster the Kubernetes cluster. dryRun returns the diff without saving it.
+ * Body: the export
+ */
+export async function importIdentities(req, res) {
+    try {
+        const userId = _getUserId(req)
+        const { format } = req.params
+        const { environment, owner, tags, scope, cluster, dryRun } = req.query
+        const importer = IMPORTERS[format]
+
+        let data
+        try {
+            data = importer.parseExport ? importer.parseExport(req.body) : req.body
+        } catch (err) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: err.message
+            })
+        }
+
+        const validation = importer.validateExport(data)
+        if (!validation.isValid) {
+            loggerService.warn(`Invalid ${format} identity export from user ${userId}:`, validation.errors)
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `Invalid ${format} export`,
+                details: validation.errors
+            })
+        }
+
+        const identities = importer.toIdentities(data, { scope, cluster })
+
+        if (identities.length > MAX_IMPORT_SIZE) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `An export can contain at most ${MAX_IMPORT_SIZE} identities`
+            })
+        }
+
+        const invalidIdentities = identities
+            .map(identity => ({ name: identity.name, errors: validateIdentity(identity).errors }))
+            .filter(identity => identity.errors.length)
+        if (invalidIdentities.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `Invalid identities in ${format} export`,
+                details: invalidIdentities.flatMap(identity => identity.errors.map(error => `${identity.name}: ${error}`))
+            })
+        }
+
+        const result = await identityService.importIdentities(userId, identities, {
+            defaults: {
+                environment,
+                owner,
+                tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : []
+            },
+            dryRun: dryRun === 'true'
+        })
+
+        if (!result.dryRun) await riskScoreService.refreshUser(userId)
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot import identities:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to import identities'
+        })
+    }
+}
+
+/**
+ * Links owners to the IdentityHub users sent by id, whose email fills in a missing owner
+ * Only the user themselves and their reviewers (who accepted an invitation, and so share their email) can be linked.
+ * Owner emails are not linked to the user who registered them: signup does not verify emails
+ */
+async function _resolveOwners(data, userId) {
+    const identity = { ...data }
+    const errors = []
+
+    for (const [nameField, idField] of OWNER_FIELDS) {
+        if (!data[idField]) continue
+
+        if (data[idField] !== userId && !await reviewerService.isReviewer(userId, data[idField])) {
+            errors.push(`${idField} ${data[idField]} is not you or one of your reviewers`)
+            continue
+        }
+
+        const user = await userService.getById(data[idField])
+        if (!user) errors.push(`${idField} ${data[idField]} is not a user`)
+        else if (!data[nameField]) identity[nameField] = user.email
+    }
+
+    return { identity, errors }
+}
+
+/* The inventory is shared by the web app (login session) and API clients (API key) */
+function _getUserId(req) {
+    return req.apiKeyAuth?.userId || req.loggedinUser._id.toString()
+}
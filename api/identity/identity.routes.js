@@ -0,0 +1,20 @@
+import express from 'express'
+import { requireAuthOrApiKey } from '../../middlewares/requireAuthOrApiKey.middleware.js'
+import { requireScope } from '../../middlewares/requireScope.middleware.js'
+import { getIdentities, getIdentity, addIdentity, updateIdentity, deleteIdentity, importIdentities } from './identity.controller.js'
+
+const router = express.Router()
+router.use(requireAuthOrApiKey)
+
+// non-human identity inventory: service accounts, keys, service principals...
+router.get('/', requireScope('identities:read'), getIdentities)
+router.get('/:identityId', requireScope('identities:read'), getIdentity)
+router.post('/', requireScope('identities:write'), addIdentity)
+router.put('/:identityId', requireScope('identities:write'), updateIdentity)
+router.delete('/:identityId', requireScope('identities:write'), deleteIdentity)
+
+// Kubernetes exports are usually YAML, the other formats come in as JSON
+const yamlParser = express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '10mb' })
+router.post('/import/:format(aws|gcp|azure|kubernetes)', requireScope('identities:write'), yamlParser, importIdentities)
+
+export const identityRoutes = router
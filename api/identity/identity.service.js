@@ -0,0 +1,445 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'identities'
+
+// Kinds of non-human identity the inventory tracks
+export const IDENTITY_TYPES = [
+    'service_account',
+    'service_principal',
+    'managed_identity',
+    'iam_role',
+    'iam_user',
+    'access_key',
+    'api_key',
+    'oauth_app',
+    'bot',
+    'other'
+]
+
+const SORTABLE_FIELDS = ['risk.score', 'name', 'type', 'provider', 'environment', 'owner', 'identityCreatedAt', 'lastUsedAt', 'expiresAt', 'createdAt', 'updatedAt']
+const MAX_PAGE_SIZE = 100
+// Import options that only fill gaps, a value from the export or the inventory wins
+const DEFAULTABLE_FIELDS = ['owner', 'environment']
+
+export const identityService = {
+    query,
+    getById,
+    getByUser,
+    getUserIds,
+    add,
+    update,
+    setRisk,
+    recordReview,
+    remove,
+    importIdentities,
+    initializeCollection
+}
+
+/**
+ * Initialize the identities collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+
+        await collection.createIndex({ userId: 1, name: 1 })
+        await collection.createIndex({ userId: 1, expiresAt: 1 })
+        // The provider's own id (ARN, unique id, client id) identifies an identity across imports
+        await collection.createIndex(
+            { userId: 1, provider: 1, externalId: 1 },
+            { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+        )
+    } catch (err) {
+        loggerService.error('Failed to initialize identities collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Query the identities of a user with filtering, sorting and pagination
+ * filterBy: { type, provider, environment, owner, tag, txt, expiresBefore }
+ * sortBy: { field, dir } - dir is 1 (asc) or -1 (desc), riskiest first by default
+ * pagination: { pageIdx, pageSize }
+ */
+async function query(userId, filterBy = {}, sortBy = {}, pagination = {}) {
+    try {
+        const criteria = _buildCriteria(userId, filterBy)
+        const sort = SORTABLE_FIELDS.includes(sortBy.field)
+            ? { [sortBy.field]: +sortBy.dir === 1 ? 1 : -1 }
+            : { 'risk.score': -1, name: 1 }
+        const pageSize = Math.min(Math.max(+pagination.pageSize || 20, 1), MAX_PAGE_SIZE)
+        const pageIdx = Math.max(+pagination.pageIdx || 0, 0)
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const [identities, total] = await Promise.all([
+            collection.find(criteria)
+                .sort(sort)
+                .skip(pageIdx * pageSize)
+                .limit(pageSize)
+                .toArray(),
+            collection.countDocuments(criteria)
+        ])
+
+        return {
+            identities: identities.map(_toDto),
+            total,
+            pageIdx,
+            pageSize
+        }
+    } catch (err) {
+        loggerService.error('Cannot query identities', err)
+        throw err
+    }
+}
+
+async function getById(identityId, userId) {
+    try {
+        if (!ObjectId.isValid(identityId)) return null
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const identity = await collection.findOne({
+            _id: ObjectId.createFromHexString(identityId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        return identity ? _toDto(identity) : null
+    } catch (err) {
+        loggerService.error(`Cannot get identity ${identityId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Every identity of a user, unpaginated - for background checks and reviews over the whole inventory
+ * filterBy: same as query
+ */
+async function getByUser(userId, filterBy = {}) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const identities = await collection.find(_buildCriteria(userId, filterBy)).toArray()
+
+        return identities.map(_toDto)
+    } catch (err) {
+        loggerService.error(`Cannot get identities of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Ids of the users that have an inventory
+ */
+async function getUserIds() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const userIds = await collection.distinct('userId')
+
+        return userIds.map(userId => userId.toString())
+    } catch (err) {
+        loggerService.error('Cannot get users with identities', err)
+        throw err
+    }
+}
+
+async function add(userId, identity) {
+    try {
+        const now = new Date()
+        const identityDoc = {
+            userId: ObjectId.createFromHexString(userId),
+            ..._toFields(identity),
+            createdAt: now,
+            updatedAt: now
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.insertOne(identityDoc)
+
+        loggerService.info(`Identity ${identityDoc.name} (${identityDoc.type}) added for user ${userId}`)
+        return _toDto({ ...identityDoc, _id: result.insertedId })
+    } catch (err) {
+        if (err.code === 11000) throw new Error('An identity with this provider and externalId already exists')
+
+        loggerService.error('Cannot add identity', err)
+        throw err
+    }
+}
+
+async function update(identityId, userId, identity) {
+    try {
+        if (!ObjectId.isValid(identityId)) {
+            throw new Error('Identity not found or unauthorized')
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const updatedIdentity = await collection.findOneAndUpdate(
+            {
+                _id: ObjectId.createFromHexString(identityId),
+                userId: ObjectId.createFromHexString(userId)
+            },
+            { $set: { ..._toFields(identity), updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        )
+
+        if (!updatedIdentity) {
+            throw new Error('Identity not found or unauthorized')
+        }
+
+        return _toDto(updatedIdentity)
+    } catch (err) {
+        if (err.code === 11000) throw new Error('An identity with this provider and externalId already exists')
+
+        loggerService.error(`Cannot update identity ${identityId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Store the risk score of an identity (see riskScoreService)
+ * Not an edit of the identity, updatedAt is left as it is
+ */
+async function setRisk(identityId, risk) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(identityId) },
+            { $set: { risk } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot set risk of identity ${identityId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Store the latest access review decision of an identity
+ * review: { campaignId, decision, decidedBy, decidedAt }
+ */
+async function recordReview(identityId, review) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(identityId) },
+            { $set: { lastReview: review, updatedAt: new Date() } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record review of identity ${identityId}`, err)
+        throw err
+    }
+}
+
+async function remove(identityId, userId) {
+    try {
+        if (!ObjectId.isValid(identityId)) {
+            throw new Error('Identity not found or unauthorized')
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.deleteOne({
+            _id: ObjectId.createFromHexString(identityId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        if (result.deletedCount === 0) {
+            throw new Error('Identity not found or unauthorized')
+        }
+
+        loggerService.info(`Identity ${identityId} deleted by user ${userId}`)
+    } catch (err) {
+        loggerService.error(`Cannot delete identity ${identityId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Upsert identities read from a provider export, matched on provider + externalId
+ * Only the fields the export defines are overwritten, tags are merged, so owner, environment and tags
+ * set by hand survive a re-import. Identities of the same import scopes that the export no longer
+ * contains are reported as missing, never deleted.
+ * @param {object[]} identities - Validated identities with an importScope
+ * @param {object} options
+ * @param {{environment?: string, owner?: string, tags?: string[]}} options.defaults - Applied where neither the export nor the inventory has a value
+ * @param {boolean} options.dryRun - Report the diff without writing
+ * @returns {Promise<{total, created, updated, unchanged, missing, diff: {created, updated, missing}}>}
+ */
+async function importIdentities(userId, identities, { defaults = {}, dryRun = false } = {}) {
+    try {
+        const userObjectId = ObjectId.createFromHexString(userId)
+        const now = new Date()
+
+        // The last entry wins when an export lists the same identity twice
+        const imported = [...new Map(identities.map(identity => {
+            const fields = _toImportFields(identity)
+            return [_getImportKey(fields), fields]
+        })).values()]
+        const importScopes = [...new Set(imported.map(fields => fields.importScope))]
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const existingIdentities = await collection.find({
+            userId: userObjectId,
+            $or: [
+                { externalId: { $in: imported.map(fields => fields.externalId) } },
+                { importScope: { $in: importScopes } }
+            ]
+        }).toArray()
+        const existingByKey = new Map(existingIdentities.map(identity => [_getImportKey(identity), identity]))
+
+        const toInsert = []
+        const toUpdate = []
+        const matchedIds = []
+        const diff = { created: [], updated: [], missing: [] }
+        let unchanged = 0
+
+        imported.forEach(fields => {
+            const existing = existingByKey.get(_getImportKey(fields))
+            if (!existing) {
+                const identityDoc = {
+                    ..._toFields({ ...defaults, ...fields, tags: [...(fields.tags || []), ...(defaults.tags || [])] }),
+                    importScope: fields.importScope,
+                    userId: userObjectId,
+                    lastImportedAt: now,
+                    createdAt: now,
+                    updatedAt: now
+                }
+                toInsert.push(identityDoc)
+                diff.created.push({ name: identityDoc.name, externalId: identityDoc.externalId })
+                return
+            }
+
+            existingByKey.delete(_getImportKey(fields))
+            matchedIds.push(existing._id)
+
+            const changes = _getImportChanges(existing, fields, defaults)
+            const changedFields = Object.keys(changes)
+            if (changedFields.length) {
+                toUpdate.push({ _id: existing._id, changes })
+                diff.updated.push({ id: existing._id.toString(), name: existing.name, externalId: existing.externalId, fields: changedFields })
+            } else {
+                unchanged++
+            }
+        })
+
+        // What is left was imported from the same scopes before but is not in this export
+        diff.missing = [...existingByKey.values()]
+            .filter(identity => importScopes.includes(identity.importScope))
+            .map(identity => ({ id: identity._id.toString(), name: identity.name, externalId: identity.externalId }))
+
+        if (!dryRun) {
+            if (toInsert.length) {
+                const result = await collection.insertMany(toInsert)
+                diff.created.forEach((entry, idx) => { entry.id = result.insertedIds[idx].toString() })
+            }
+
+            for (const { _id, changes } of toUpdate) {
+                await collection.updateOne({ _id }, { $set: { ...changes, updatedAt: now } })
+            }
+
+            if (matchedIds.length) {
+                await collection.updateMany({ _id: { $in: matchedIds } }, { $set: { lastImportedAt: now } })
+            }
+
+            loggerService.info(`Identity import for user ${userId} (${importScopes.join(', ')}): ${toInsert.length} created, ${toUpdate.length} updated, ${diff.missing.length} missing`)
+        }
+
+        return {
+            total: imported.length,
+            created: diff.created.length,
+            updated: diff.updated.length,
+            unchanged,
+            missing: diff.missing.length,
+            dryRun,
+            diff
+        }
+    } catch (err) {
+        loggerService.error(`Cannot import identities for user ${userId}`, err)
+        throw err
+    }
+}
+
+/* normalized fields of an imported identity, limited to the ones the export defines */
+function _toImportFields(identity) {
+    const fields = _toFields(identity)
+    const importFields = Object.fromEntries(Object.entries(fields).filter(([field]) => identity[field] !== undefined))
+
+    return { ...importFields, name: fields.name, type: fields.type, provider: fields.provider, externalId: fields.externalId, importScope: identity.importScope }
+}
+
+/* the fields an import changes on an existing identity */
+function _getImportChanges(existing, fields, defaults) {
+    const { tags = [], ...importedFields } = fields
+    const changes = {}
+
+    Object.entries(importedFields).forEach(([field, value]) => {
+        if (JSON.stringify(value) !== JSON.stringify(existing[field] ?? null)) changes[field] = value
+    })
+
+    const defaultFields = _toFields({ name: existing.name, ...defaults })
+    DEFAULTABLE_FIELDS.forEach(field => {
+        if (!existing[field] && !changes[field] && defaultFields[field]) changes[field] = defaultFields[field]
+    })
+
+    const mergedTags = [...new Set([...(existing.tags || []), ...tags, ...defaultFields.tags])]
+    if (mergedTags.length !== (existing.tags || []).length) changes.tags = mergedTags
+
+    return changes
+}
+
+function _getImportKey(identity) {
+    return `${identity.provider}|${identity.externalId}`
+}
+
+/* peek only the stored properties, dates as Date and names normalized for filtering */
+function _toFields(identity) {
+    const toDate = value => value ? new Date(value) : null
+
+    return {
+        name: identity.name.trim(),
+        type: identity.type,
+        provider: identity.provider ? identity.provider.trim().toLowerCase() : null,
+        externalId: identity.externalId ? identity.externalId.trim() : null,
+        owner: identity.owner ? identity.owner.trim() : null,
+        ownerUserId: identity.ownerUserId ? ObjectId.createFromHexString(identity.ownerUserId) : null,
+        backupOwner: identity.backupOwner ? identity.backupOwner.trim() : null,
+        backupOwnerUserId: identity.backupOwnerUserId ? ObjectId.createFromHexString(identity.backupOwnerUserId) : null,
+        environment: identity.environment ? identity.environment.trim().toLowerCase() : null,
+        identityCreatedAt: toDate(identity.identityCreatedAt),
+        lastUsedAt: toDate(identity.lastUsedAt),
+        expiresAt: toDate(identity.expiresAt),
+        isEnabled: identity.isEnabled !== false,
+        permissions: {
+            summary: identity.permissions?.summary || null,
+            isPrivileged: !!identity.permissions?.isPrivileged
+        },
+        tags: [...new Set((identity.tags || []).map(tag => tag.trim()).filter(Boolean))]
+    }
+}
+
+function _buildCriteria(userId, filterBy) {
+    const criteria = { userId: ObjectId.createFromHexString(userId) }
+
+    if (filterBy.type) criteria.type = filterBy.type
+    if (filterBy.provider) criteria.provider = filterBy.provider.toLowerCase()
+    if (filterBy.environment) criteria.environment = filterBy.environment.toLowerCase()
+    if (filterBy.owner) criteria.owner = filterBy.owner
+    if (filterBy.tag) criteria.tags = filterBy.tag
+    if (filterBy.expiresBefore) criteria.expiresAt = { $ne: null, $lte: new Date(filterBy.expiresBefore) }
+
+    if (filterBy.txt) {
+        const regex = new RegExp(filterBy.txt.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+        criteria.$or = [{ name: regex }, { externalId: regex }, { owner: regex }, { backupOwner: regex }]
+    }
+
+    return criteria
+}
+
+function _toDto(identity) {
+    const { _id, userId, ownerUserId, backupOwnerUserId, ...rest } = identity
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        ownerUserId: ownerUserId ? ownerUserId.toString() : null,
+        backupOwnerUserId: backupOwnerUserId ? backupOwnerUserId.toString() : null,
+        ...rest
+    }
+}
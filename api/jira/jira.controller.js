@@ -2,6 +2,11 @@ import { jiraService } from './jira.service.js'
 import { userService } from '../user/user.service.js'
 import { loggerService } from '../../services/logger.service.js'
 import { oauthStateService } from '../../services/oauth-state.service.js'
+import { adfService } from '../../services/adf.service.js'
+import { issueLimitsService } from '../../services/issue-limits.service.js'
+import { projectSettingsService, SEVERITY_LEVELS } from '../project-settings/project-settings.service.js'
+import { jiraWebhookService } from '../../services/jira-webhook.service.js'
+import { fieldMappingService } from '../../services/field-mapping.service.js'
 import { config } from '../../config/index.js'
 import crypto from "crypto"
 
@@ -186,6 +191,309 @@ export async function getProjectMetadata(req, res) {
 }
 
 
+/**
+ * Severity -> priority mapping of a project, with the priorities the project accepts
+ * GET /api/jira/projects/:projectKey/priority-mapping
+ */
+export async function getPriorityMapping(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const { accessToken, jiraConfig } = await getValidJiraToken(req.loggedinUser)
+
+        const metadata = await jiraService.getProjectMetadata(accessToken, jiraConfig.cloudId, projectKey)
+        const priorities = projectSettingsService.getProjectPriorities(metadata)
+        if (!priorities) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Jira project ${projectKey} not found`
+            })
+        }
+
+        const settings = await projectSettingsService.getByProject(req.loggedinUser._id.toString(), projectKey)
+
+        res.json({
+            projectKey: settings.projectKey,
+            priorityMapping: settings.priorityMapping,
+            isDefault: !!settings.isDefault,
+            priorities
+        })
+    } catch (err) {
+        loggerService.error('Cannot get priority mapping:', err)
+
+        if (err.message === 'Jira not connected') {
+            return res.status(400).send({ err: 'Jira not connected' })
+        }
+
+        res.status(500).send({ err: err.message || 'Failed to fetch priority mapping' })
+    }
+}
+
+/**
+ * Save the severity -> priority mapping of a project
+ * PUT /api/jira/projects/:projectKey/priority-mapping
+ * Body: { priorityMapping: { critical: 'Highest', high: 'High', ... } }
+ * Every priority name must exist in the project; severities left out get no priority
+ */
+export async function updatePriorityMapping(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const { priorityMapping } = req.body
+
+        if (!priorityMapping || typeof priorityMapping !== 'object' || Array.isArray(priorityMapping)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'priorityMapping is required and must be an object of severity -> priority name'
+            })
+        }
+
+        const errors = []
+        Object.entries(priorityMapping).forEach(([severity, priority]) => {
+            if (!SEVERITY_LEVELS.includes(severity)) {
+                errors.push(`${severity} is not a severity. Severities: ${SEVERITY_LEVELS.join(', ')}`)
+            } else if (typeof priority !== 'string' || priority.trim().length === 0) {
+                errors.push(`priority of ${severity} must be a non-empty string`)
+            }
+        })
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid priority mapping',
+                details: errors
+            })
+        }
+
+        const { accessToken, jiraConfig } = await getValidJiraToken(req.loggedinUser)
+
+        // Only priority names the project actually has are accepted
+        const metadata = await jiraService.getProjectMetadata(accessToken, jiraConfig.cloudId, projectKey)
+        const priorities = projectSettingsService.getProjectPriorities(metadata)
+        if (!priorities) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Jira project ${projectKey} not found`
+            })
+        }
+
+        const unknown = Object.entries(priorityMapping)
+            .filter(([, priority]) => !projectSettingsService.findProjectPriority(priorities, priority))
+            .map(([severity, priority]) => `${severity}: ${priority} is not a priority of project ${projectKey}`)
+        if (unknown.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `Priorities of project ${projectKey}: ${priorities.join(', ')}`,
+                details: unknown
+            })
+        }
+
+        // Stored as the project spells them
+        const mapping = Object.fromEntries(
+            Object.entries(priorityMapping).map(([severity, priority]) => [severity, projectSettingsService.findProjectPriority(priorities, priority)])
+        )
+        const settings = await projectSettingsService.setPriorityMapping(req.loggedinUser._id.toString(), projectKey, mapping)
+
+        res.json({
+            projectKey: settings.projectKey,
+            priorityMapping: settings.priorityMapping,
+            isDefault: false,
+            priorities
+        })
+    } catch (err) {
+        loggerService.error('Cannot update priority mapping:', err)
+
+        if (err.message === 'Jira not connected') {
+            return res.status(400).send({ err: 'Jira not connected' })
+        }
+
+        res.status(500).send({ err: err.message || 'Failed to update priority mapping' })
+    }
+}
+
+
+/**
+ * Remediation SLA of a project
+ * GET /api/jira/projects/:projectKey/sla
+ */
+export async function getSlaPolicy(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const settings = await projectSettingsService.getByProject(req.loggedinUser._id.toString(), projectKey)
+
+        res.json({
+            projectKey: settings.projectKey,
+            slaDays: settings.slaDays,
+            raisePriorityOnBreach: settings.raisePriorityOnBreach,
+            isDefault: !!settings.isDefault
+        })
+    } catch (err) {
+        loggerService.error('Cannot get SLA policy:', err)
+        res.status(500).send({ err: err.message || 'Failed to fetch SLA policy' })
+    }
+}
+
+/**
+ * Save the remediation SLA of a project
+ * PUT /api/jira/projects/:projectKey/sla
+ * Body: { slaDays: { critical: 2, high: 7, ... }, raisePriorityOnBreach: true }
+ * A severity left out or set to null has no SLA
+ */
+export async function updateSlaPolicy(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const { slaDays, raisePriorityOnBreach } = req.body
+        const errors = []
+
+        if (!slaDays || typeof slaDays !== 'object' || Array.isArray(slaDays)) {
+            errors.push('slaDays is required and must be an object of severity -> days')
+        } else {
+            Object.entries(slaDays).forEach(([severity, days]) => {
+                if (!SEVERITY_LEVELS.includes(severity)) {
+                    errors.push(`${severity} is not a severity. Severities: ${SEVERITY_LEVELS.join(', ')}`)
+                } else if (days !== null && !(typeof days === 'number' && days > 0)) {
+                    errors.push(`SLA of ${severity} must be a positive number of days or null`)
+                }
+            })
+        }
+
+        if (raisePriorityOnBreach !== undefined && typeof raisePriorityOnBreach !== 'boolean') {
+            errors.push('raisePriorityOnBreach must be a boolean')
+        }
+
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid SLA policy',
+                details: errors
+            })
+        }
+
+        const days = Object.fromEntries(SEVERITY_LEVELS.map(severity => [severity, slaDays[severity] ?? null]))
+        const settings = await projectSettingsService.setSlaPolicy(req.loggedinUser._id.toString(), projectKey, {
+            slaDays: days,
+            raisePriorityOnBreach
+        })
+
+        res.json({
+            projectKey: settings.projectKey,
+            slaDays: settings.slaDays,
+            raisePriorityOnBreach: settings.raisePriorityOnBreach,
+            isDefault: false
+        })
+    } catch (err) {
+        loggerService.error('Cannot update SLA policy:', err)
+        res.status(500).send({ err: err.message || 'Failed to update SLA policy' })
+    }
+}
+
+
+/**
+ * Custom field mapping of a project, with the project's fields and the required fields
+ * each issue type still lacks
+ * GET /api/jira/projects/:projectKey/field-mapping
+ */
+export async function getFieldMapping(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const { accessToken, jiraConfig } = await getValidJiraToken(req.loggedinUser)
+
+        const metadata = await jiraService.getProjectMetadata(accessToken, jiraConfig.cloudId, projectKey)
+        const fields = fieldMappingService.getProjectFields(metadata)
+        if (!fields) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Jira project ${projectKey} not found`
+            })
+        }
+
+        const settings = await projectSettingsService.getByProject(req.loggedinUser._id.toString(), projectKey)
+
+        res.json(_toFieldMappingResponse(settings, metadata, fields))
+    } catch (err) {
+        loggerService.error('Cannot get field mapping:', err)
+
+        if (err.message === 'Jira not connected') {
+            return res.status(400).send({ err: 'Jira not connected' })
+        }
+
+        res.status(500).send({ err: err.message || 'Failed to fetch field mapping' })
+    }
+}
+
+/**
+ * Save the custom field mapping of a project
+ * PUT /api/jira/projects/:projectKey/field-mapping
+ * Body: { fieldMapping: { customfield_10020: { attribute: 'identity.provider' }, customfield_10030: { value: 'Platform' } } }
+ * Every field id must exist in the project
+ */
+export async function updateFieldMapping(req, res) {
+    try {
+        const projectKey = req.params.projectKey.toUpperCase()
+        const { fieldMapping } = req.body
+
+        if (!fieldMapping || typeof fieldMapping !== 'object' || Array.isArray(fieldMapping)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'fieldMapping is required and must be an object of Jira field id -> { attribute } or { value }'
+            })
+        }
+
+        const { accessToken, jiraConfig } = await getValidJiraToken(req.loggedinUser)
+
+        const metadata = await jiraService.getProjectMetadata(accessToken, jiraConfig.cloudId, projectKey)
+        const fields = fieldMappingService.getProjectFields(metadata)
+        if (!fields) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Jira project ${projectKey} not found`
+            })
+        }
+
+        const errors = fieldMappingService.validateMapping(fieldMapping, fields)
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid field mapping',
+                details: errors
+            })
+        }
+
+        // Only what a mapping entry needs is stored
+        const mapping = Object.fromEntries(
+            Object.entries(fieldMapping).map(([fieldId, { attribute, value }]) => [
+                fieldId,
+                attribute !== undefined ? { attribute } : { value }
+            ])
+        )
+        const settings = await projectSettingsService.setFieldMapping(req.loggedinUser._id.toString(), projectKey, mapping)
+
+        res.json(_toFieldMappingResponse(settings, metadata, fields))
+    } catch (err) {
+        loggerService.error('Cannot update field mapping:', err)
+
+        if (err.message === 'Jira not connected') {
+            return res.status(400).send({ err: 'Jira not connected' })
+        }
+
+        res.status(500).send({ err: err.message || 'Failed to update field mapping' })
+    }
+}
+
+function _toFieldMappingResponse(settings, metadata, fields) {
+    return {
+        projectKey: settings.projectKey,
+        fieldMapping: settings.fieldMapping,
+        isDefault: !!settings.isDefault,
+        fields: fields.map(({ id, name, schema, allowedValues, issueTypes }) => ({
+            id,
+            name,
+            type: schema?.items ? `${schema.type}<${schema.items}>` : schema?.type,
+            ...(allowedValues?.length && { allowedValues }),
+            issueTypes
+        })),
+        missingRequiredFields: fieldMappingService.getMissingFieldsReport(metadata, settings.fieldMapping)
+    }
+}
+
+
 function validateIssueData(data) {
     const errors = []
 
@@ -208,7 +516,7 @@ function validateIssueData(data) {
 
     // Optional fields validation
     if (data.description && typeof data.description !== 'string' && typeof data.description !== 'object') {
-        errors.push('description must be a string or an object (Atlassian Document Format)')
+        errors.push('description must be a string (Markdown) or an object (Atlassian Document Format)')
     }
 
     if (data.priority && typeof data.priority !== 'object') {
@@ -241,9 +549,23 @@ export async function createIssue(req, res) {
             })
         }
 
+        // Jira Cloud only accepts ADF descriptions, plain strings are treated as Markdown
+        const markdown = typeof issueData.description === 'string' ? issueData.description : undefined
+        if (markdown !== undefined) {
+            issueData.description = adfService.markdownToAdf(markdown)
+        }
+
         const { accessToken, jiraConfig } = await getValidJiraToken(req.loggedinUser)
 
-        const issue = await jiraService.createIssue(accessToken, jiraConfig.cloudId, issueData)
+        // Oversized fields are truncated rather than rejected by Jira, the full description follows the issue
+        const { issueData: fittedIssueData, overflow } = issueLimitsService.fitIssue(issueData, markdown)
+        const issue = await jiraService.createIssue(accessToken, jiraConfig.cloudId, fittedIssueData)
+
+        if (overflow) {
+            const truncation = await issueLimitsService.addOverflow(accessToken, jiraConfig.cloudId, issue.key, overflow)
+            loggerService.info(`Issue created: ${issue.key} (truncated, full description as ${truncation.fullDescription})`)
+            return res.json({ ...issue, truncation })
+        }
 
         loggerService.info(`Issue created: ${issue.key}`)
         res.json(issue)
@@ -284,3 +606,40 @@ export async function getIdentityHubTickets(req, res) {
         res.status(500).send({ err: err.message || 'Failed to fetch IdentityHub tickets' })
     }
 }
+
+
+/**
+ * Receives Jira webhook deliveries (issue updated / deleted, comment created)
+ * POST /api/jira/webhooks
+ * Not behind a login: every delivery must be signed with the shared secret (JIRA_WEBHOOK_SECRET)
+ */
+export async function handleWebhook(req, res) {
+    try {
+        const secret = config.jira.webhookSecret
+        if (!secret) {
+            loggerService.error('Jira webhook received but JIRA_WEBHOOK_SECRET is not configured')
+            return res.status(503).json({
+                error: 'Configuration error',
+                message: 'Jira webhooks are not configured'
+            })
+        }
+
+        const isValid = jiraWebhookService.verifySignature(req.rawBody, req.get('X-Hub-Signature'), secret)
+        if (!isValid) {
+            loggerService.warn('Jira webhook rejected: invalid signature')
+            return res.status(401).json({
+                error: 'Unauthorized',
+                message: 'Invalid webhook signature'
+            })
+        }
+
+        const result = await jiraWebhookService.handleEvent(req.body)
+        res.json({ received: true, ...result })
+    } catch (err) {
+        loggerService.error('Cannot handle Jira webhook:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to handle Jira webhook'
+        })
+    }
+}
@@ -1,9 +1,13 @@
 import express from 'express'
 import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
-import { initiateOAuth, handleOAuthCallback, disconnect, getProjects, getProjectMetadata, createIssue, getConnectionStatus, getIdentityHubTickets} from './jira.controller.js'
+import { idempotent } from '../../middlewares/idempotency.middleware.js'
+import { initiateOAuth, handleOAuthCallback, disconnect, getProjects, getProjectMetadata, getPriorityMapping, updatePriorityMapping, getSlaPolicy, updateSlaPolicy, getFieldMapping, updateFieldMapping, createIssue, getConnectionStatus, getIdentityHubTickets, handleWebhook } from './jira.controller.js'
 
 const router = express.Router()
 
+// Jira webhooks are signed, not sent by a logged in user
+router.post('/webhooks', handleWebhook)
+
 router.use(requireAuth)
 
 // OAuth flow
@@ -15,7 +19,13 @@ router.get('/status', getConnectionStatus)
 // Jira operations
 router.get('/projects', getProjects)
 router.get('/projects/:projectKey/metadata', getProjectMetadata)
-router.post('/issues', createIssue)
+router.get('/projects/:projectKey/priority-mapping', getPriorityMapping)
+router.put('/projects/:projectKey/priority-mapping', updatePriorityMapping)
+router.get('/projects/:projectKey/sla', getSlaPolicy)
+router.put('/projects/:projectKey/sla', updateSlaPolicy)
+router.get('/projects/:projectKey/field-mapping', getFieldMapping)
+router.put('/projects/:projectKey/field-mapping', updateFieldMapping)
+router.post('/issues', idempotent, createIssue)
 router.get('/identityhub-tickets', getIdentityHubTickets)
 
 export const jiraRoutes = router
@@ -1,19 +1,34 @@
 import axios from 'axios'
 import Cryptr from 'cryptr'
 import { config } from '../../config/index.js'
+import { redactionService } from '../../services/redaction.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { userService } from '../user/user.service.js'
 
 const cryptr = new Cryptr(config.encryption_key)
 
+// Create metadata rarely changes, findings are checked against a copy at most this old
+const PROJECT_METADATA_TTL = 10 * 60 * 1000
+// Entries are per user and project, the oldest are evicted past this many
+export const MAX_CACHED_PROJECT_METADATA = 500
+const projectMetadataCache = new Map()
+
 export const jiraService = {
     getAuthorizationUrl,
     exchangeCodeForTokens,
     refreshAccessToken,
+    getValidAccessToken,
     getCloudId,
     getProjects,
     getProjectMetadata,
+    getCachedProjectMetadata,
     createIssue,
+    addComment,
+    updateIssue,
+    addAttachments,
     getRecentIssues,
     getIdentityHubTickets,
+    searchIssues,
     encryptTokens,
     decryptTokens
 }
@@ -85,6 +100,29 @@ async function refreshAccessToken(refreshToken) {
 }
 
 
+/**
+ * Access token of a stored user, refreshed (and saved) when expired
+ * For background jobs that run without a request
+ */
+async function getValidAccessToken(user) {
+    const { accessToken, refreshToken, expiresAt } = decryptTokens(user.config.jira)
+
+    if (Date.now() < expiresAt) return accessToken
+
+    loggerService.info(`Access token expired for user ${user._id}, refreshing...`)
+    const newTokens = await refreshAccessToken(refreshToken)
+
+    user.config.jira = {
+        ...user.config.jira,
+        ...encryptTokens(newTokens)
+    }
+    await userService.update(user)
+
+    loggerService.info(`Access token refreshed for user ${user._id}`)
+    return newTokens.access_token
+}
+
+
 async function getCloudId(accessToken) {
     try {
         const response = await axios.get('https://api.atlassian.com/oauth/token/accessible-resources', {
@@ -155,11 +193,47 @@ async function getProjectMetadata(accessToken, cloudId, projectKey) {
 }
 
 
+/**
+ * Project metadata fetched within the last PROJECT_METADATA_TTL, fetched again otherwise
+ * Cached per user: createmeta only lists what the user's Jira permissions allow
+ * Expired entries are deleted, and the cache keeps at most MAX_CACHED_PROJECT_METADATA entries
+ */
+async function getCachedProjectMetadata(userId, accessToken, cloudId, projectKey) {
+    const cacheKey = `${userId}:${cloudId}:${projectKey}`
+    const cached = projectMetadataCache.get(cacheKey)
+    if (cached && !_isMetadataExpired(cached)) return cached.metadata
+    projectMetadataCache.delete(cacheKey)
+
+    const metadata = await getProjectMetadata(accessToken, cloudId, projectKey)
+    _cacheProjectMetadata(cacheKey, metadata)
+    return metadata
+}
+
+function _isMetadataExpired(cached) {
+    return Date.now() - cached.fetchedAt >= PROJECT_METADATA_TTL
+}
+
+/* A Map iterates in insertion order: the first entries are the oldest */
+function _cacheProjectMetadata(cacheKey, metadata) {
+    if (projectMetadataCache.size >= MAX_CACHED_PROJECT_METADATA) {
+        for (const [key, cached] of projectMetadataCache) {
+            if (_isMetadataExpired(cached)) projectMetadataCache.delete(key)
+        }
+    }
+    while (projectMetadataCache.size >= MAX_CACHED_PROJECT_METADATA) {
+        projectMetadataCache.delete(projectMetadataCache.keys().next().value)
+    }
+
+    projectMetadataCache.set(cacheKey, { metadata, fetchedAt: Date.now() })
+}
+
+
 async function createIssue(accessToken, cloudId, issueData) {
     try {
         const response = await axios.post(
             `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue`,
-            { fields: issueData },
+            // Leaked secrets must never be copied into Jira
+            { fields: redactionService.redactDeep(issueData) },
             {
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
@@ -179,6 +253,81 @@ async function createIssue(accessToken, cloudId, issueData) {
 }
 
 
+async function addComment(accessToken, cloudId, issueKey, body) {
+    try {
+        const response = await axios.post(
+            `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue/${issueKey}/comment`,
+            { body: redactionService.redactDeep(body) },
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            }
+        )
+
+        return response.data
+    } catch (err) {
+        console.error('Error adding comment:', err.response?.data || err.message)
+        throw new Error(`Failed to add comment to ${issueKey}`)
+    }
+}
+
+
+/* Updates fields of an existing issue (PUT /issue/{key}, Jira answers 204 No Content) */
+async function updateIssue(accessToken, cloudId, issueKey, fields) {
+    try {
+        await axios.put(
+            `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue/${issueKey}`,
+            { fields: redactionService.redactDeep(fields) },
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                }
+            }
+        )
+    } catch (err) {
+        console.error('Error updating issue:', err.response?.data || err.message)
+        throw new Error(`Failed to update ${issueKey}`)
+    }
+}
+
+
+/**
+ * Uploads files to an issue (multipart, Jira requires the X-Atlassian-Token header)
+ * files: [{ filename, contentType, buffer }]
+ * Returns the created Jira attachments ({ id, filename, size, ... })
+ */
+async function addAttachments(accessToken, cloudId, issueKey, files) {
+    try {
+        const form = new FormData()
+        files.forEach(file => {
+            form.append('file', new Blob([file.buffer], { type: file.contentType }), file.filename)
+        })
+
+        const response = await axios.post(
+            `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/issue/${issueKey}/attachments`,
+            form,
+            {
+                headers: {
+                    'Authorization': `Bearer ${accessToken}`,
+                    'Accept': 'application/json',
+                    'X-Atlassian-Token': 'no-check'
+                }
+            }
+        )
+
+        return response.data
+    } catch (err) {
+        console.error('Error adding attachments:', err.response?.data || err.message)
+        throw new Error(`Failed to add attachments to ${issueKey}`)
+    }
+}
+
+
 async function getRecentIssues(accessToken, cloudId, projectKey, maxResults = 10) {
     try {
         const jql = `project = ${projectKey} ORDER BY created DESC`
@@ -239,6 +388,45 @@ async function getIdentityHubTickets(accessToken, cloudId, maxResults = 10, proj
 }
 
 
+/**
+ * Runs a JQL search and follows the pages until every matching issue is read
+ */
+async function searchIssues(accessToken, cloudId, jql, fields = ['summary', 'status'], maxResults = 100) {
+    try {
+        const issues = []
+        let nextPageToken
+
+        do {
+            const response = await axios.post(
+                `https://api.atlassian.com/ex/jira/${cloudId}/rest/api/3/search/jql`,
+                {
+                    jql,
+                    maxResults,
+                    fields,
+                    ...(nextPageToken && { nextPageToken })
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Accept': 'application/json',
+                        'Content-Type': 'application/json'
+                    }
+                }
+            )
+            issues.push(...(response.data.issues || []))
+            nextPageToken = response.data.nextPageToken
+        } while (nextPageToken)
+
+        return issues
+    } catch (err) {
+        console.error('Error searching issues:', err.response?.data || err.message)
+        // 400 is a rejected JQL, e.g. an issue that no longer exists
+        const error = new Error('Failed to search Jira issues')
+        error.status = err.response?.status
+        throw error
+    }
+}
+
 
 
 function encryptTokens(tokens) {
@@ -1,6 +1,23 @@
 import { jiraService } from '../jira/jira.service.js'
 import { userService } from '../user/user.service.js'
+import { nhiFindingsService, FINDING_STATUS, SUBMIT_STATUS, SUBMIT_FAILURE_REASON } from './nhi-findings.service.js'
+import { SEVERITY_LEVELS } from '../project-settings/project-settings.service.js'
+import { identityService } from '../identity/identity.service.js'
 import { loggerService } from '../../services/logger.service.js'
+import { attachmentService } from '../../services/attachment.service.js'
+import { EXPOSURE_LEVELS } from '../../services/risk-score.service.js'
+import { sarifAdapterService } from '../../services/finding-adapters/sarif-adapter.service.js'
+import { gitleaksAdapterService } from '../../services/finding-adapters/gitleaks-adapter.service.js'
+import { trufflehogAdapterService } from '../../services/finding-adapters/trufflehog-adapter.service.js'
+
+const MAX_BATCH_SIZE = 500
+
+// Scanner report formats accepted by POST /api/nhi-findings/:format
+const REPORT_ADAPTERS = {
+    sarif: sarifAdapterService,
+    gitleaks: gitleaksAdapterService,
+    trufflehog: trufflehogAdapterService
+}
 
 /**
  * Validation schema for NHI finding
@@ -9,10 +26,6 @@ function validateNHIFinding(data) {
     const errors = []
 
     // Required fields
-    if (!data.projectKey || typeof data.projectKey !== 'string') {
-        errors.push('projectKey is required and must be a string')
-    }
-
     if (!data.summary || typeof data.summary !== 'string' || data.summary.trim().length === 0) {
         errors.push('summary is required and must be a non-empty string')
     }
@@ -22,6 +35,11 @@ function validateNHIFinding(data) {
     }
 
     // Optional fields validation
+    // projectKey can be left to the routing rules
+    if (data.projectKey !== undefined && (typeof data.projectKey !== 'string' || data.projectKey.trim().length === 0)) {
+        errors.push('projectKey must be a non-empty string')
+    }
+
     if (data.issueType && typeof data.issueType !== 'string') {
         errors.push('issueType must be a string')
     }
@@ -30,170 +48,575 @@ function validateNHIFinding(data) {
         errors.push('priority must be a string')
     }
 
-    if (data.labels && !Array.isArray(data.labels)) {
+    if (data.severity !== undefined && !SEVERITY_LEVELS.includes(data.severity)) {
+        errors.push(`severity must be one of: ${SEVERITY_LEVELS.join(', ')}`)
+    }
+
+    if (data.exposure !== undefined && !EXPOSURE_LEVELS.includes(data.exposure)) {
+        errors.push(`exposure must be one of: ${EXPOSURE_LEVELS.join(', ')}`)
+    }
+
+    if (data.labels && (!Array.isArray(data.labels) || data.labels.some(label => typeof label !== 'string'))) {
         errors.push('labels must be an array of strings')
     }
 
+    if (data.components && (!Array.isArray(data.components) || data.components.some(component => typeof component !== 'string'))) {
+        errors.push('components must be an array of component names')
+    }
+
+    if (data.assignee && typeof data.assignee !== 'string') {
+        errors.push('assignee must be a Jira account id')
+    }
+
+    if (data.source && typeof data.source !== 'string') {
+        errors.push('source must be a string')
+    }
+
+    if (data.secretType && typeof data.secretType !== 'string') {
+        errors.push('secretType must be a string')
+    }
+
+    if (data.fingerprint !== undefined && (typeof data.fingerprint !== 'string' || data.fingerprint.trim().length === 0)) {
+        errors.push('fingerprint must be a non-empty string')
+    }
+
+    if (data.identityId !== undefined && (typeof data.identityId !== 'string' || !/^[a-f\d]{24}$/i.test(data.identityId))) {
+        errors.push('identityId must be the id of an identity from /api/identities')
+    }
+
+    _validateAttributes(data.identity, 'identity', errors)
+    _validateAttributes(data.location, 'location', errors)
+
     return {
         isValid: errors.length === 0,
         errors
     }
 }
 
+/* Optional flat object of attributes, e.g. identity: { name, provider } */
+function _validateAttributes(value, fieldName, errors) {
+    if (value === undefined) return
+
+    const isObject = value && typeof value === 'object' && !Array.isArray(value)
+    if (!isObject) {
+        errors.push(`${fieldName} must be an object of ${fieldName} attributes`)
+    } else if (Object.values(value).some(attr => attr !== null && typeof attr === 'object')) {
+        errors.push(`${fieldName} attributes must be strings, numbers or booleans`)
+    }
+}
+
 /**
  * Create NHI finding ticket via API
  * POST /api/nhi-findings
+ * Body: the finding as JSON, evidence in attachments: [{ filename, contentType, content (base64) }]
+ *       or multipart/form-data with the finding JSON in the 'finding' field and files in 'attachments'
  */
 export async function createNHIFinding(req, res) {
     try {
         const userId = req.apiKeyAuth.userId
+        const { data, attachments, errors } = _parseFindingRequest(req)
 
         // Validate input
-        const validation = validateNHIFinding(req.body)
-        if (!validation.isValid) {
-            loggerService.warn(`Invalid NHI finding data from user ${userId}:`, validation.errors)
+        const validation = data ? validateNHIFinding(data) : { isValid: false, errors: [] }
+        if (!validation.isValid || errors.length) {
+            loggerService.warn(`Invalid NHI finding data from user ${userId}:`, [...errors, ...validation.errors])
             return res.status(400).json({
                 error: 'Validation error',
                 message: 'Invalid input data',
-                details: validation.errors
+                details: [...errors, ...validation.errors]
             })
         }
 
-        const {
-            projectKey,
-            summary,
-            description,
-            issueType = 'Bug', // Default to Bug if not specified
-            priority,
-            labels = []
-        } = req.body
-
-        // Get user's Jira configuration
-        const user = await userService.getById(userId)
-
-        if (!user) {
-            loggerService.error(`User ${userId} not found`)
-            return res.status(404).json({
-                error: 'User not found',
-                message: 'The user associated with this API key no longer exists'
+        const identityError = await _checkIdentityLink(userId, data)
+        if (identityError) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid input data',
+                details: [identityError]
             })
         }
 
-        const jiraConfig = user.config?.jira
+        const context = await _getSubmitContext(req, res)
+        if (!context) return
 
-        if (!jiraConfig) {
-            loggerService.warn(`User ${userId} attempted to create NHI finding without Jira connection`)
-            return res.status(400).json({
-                error: 'Configuration error',
-                message: 'Jira is not connected for this user. Please connect Jira through the web interface first.'
-            })
-        }
-
-        // Validate jiraConfig has required fields
-        if (!jiraConfig.accessToken || !jiraConfig.refreshToken || !jiraConfig.expiresAt) {
-            loggerService.error(`User ${userId} has incomplete Jira configuration:`, jiraConfig)
-            return res.status(500).json({
-                error: 'Configuration error',
-                message: 'Jira configuration is corrupted. Please reconnect Jira through the web interface.'
-            })
-        }
-
-        // Decrypt tokens
-        const { accessToken, refreshToken, expiresAt } = jiraService.decryptTokens(jiraConfig)
-
-        // Check if token expired and refresh if needed
-        let currentAccessToken = accessToken
-        if (Date.now() >= expiresAt) {
-            loggerService.info(`Access token expired for user ${userId}, refreshing...`)
-            const newTokens = await jiraService.refreshAccessToken(refreshToken)
-            const encrypted = jiraService.encryptTokens(newTokens)
-
-            // Update user with new tokens
-            user.config.jira = {
-                ...jiraConfig,
-                ...encrypted
-            }
-            await userService.update(user)
-
-            currentAccessToken = newTokens.access_token
-            loggerService.info(`Access token refreshed for user ${userId}`)
-        }
-        
-
-        // Build Jira issue data
-        const issueData = {
-            project: {
-                key: projectKey
-            },
-            summary: summary.trim(),
-            description: {
-                type: 'doc',
-                version: 1,
-                content: [
-                    {
-                        type: 'paragraph',
-                        content: [
-                            {
-                                type: 'text',
-                                text: description.trim()
-                            }
-                        ]
-                    }
-                ]
-            },
-            issuetype: {
-                name: issueType
-            }
-        }
-
-        //if priority provided
-        if (priority) {
-            issueData.priority = {
-                name: priority
-            }
-        }
-
-        issueData.labels = [
-            ...labels,
-            'nhi-finding',
-            'created-via-api',
-            'created-from-identityhub'
-        ]
-
-        const issue = await jiraService.createIssue(currentAccessToken, jiraConfig.cloudId, issueData)
-        
-        loggerService.info(`NHI finding created via API: ${issue.key} by user ${userId}`)
+        const result = await nhiFindingsService.submit(context, data, attachments)
+        const { finding } = result
+
+        if (result.status === SUBMIT_STATUS.DEDUPLICATED) {
+            loggerService.info(`Duplicate NHI finding ${finding.id} (${finding.ticket.key}) seen ${finding.occurrenceCount} times`)
+
+            return res.status(200).json({
+                success: true,
+                deduplicated: true,
+                findingId: finding.id,
+                occurrenceCount: finding.occurrenceCount,
+                ticket: finding.ticket
+            })
+        }
+
+        if (result.status === SUBMIT_STATUS.SUPPRESSED) {
+            loggerService.info(`NHI finding ${finding.id} suppressed by rule ${finding.suppression.ruleId}`)
+
+            return res.status(200).json({
+                success: true,
+                suppressed: true,
+                findingId: finding.id,
+                suppression: finding.suppression
+            })
+        }
+
+        if (result.status === SUBMIT_STATUS.FAILED) {
+            return _sendSubmitFailure(res, result)
+        }
+
+        loggerService.info(`NHI finding created via API: ${finding.ticket.key} by user ${userId}`)
 
         res.status(201).json({
             success: true,
-            ticket: {
-                key: issue.key,
-                id: issue.id,
-                url: `${jiraConfig.siteUrl}/browse/${issue.key}`
-            }
+            findingId: finding.id,
+            ticket: finding.ticket,
+            risk: finding.risk,
+            ...(finding.truncation && { truncation: finding.truncation }),
+            ...(attachments.length && { attachments: finding.attachments }),
+            ...(finding.attachmentError && { attachmentError: finding.attachmentError })
         })
     } catch (err) {
         loggerService.error('Cannot create NHI finding via API:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: err.message || 'Failed to create NHI finding'
+        })
+    }
+}
 
-        // Handle specific Jira errors
-        if (err.message.includes('project') || err.message.includes('Project')) {
-            return res.status(404).json({
-                error: 'Not found',
-                message: 'Project not found or you don\'t have access to it'
+/**
+ * Create many NHI findings in one request
+ * POST /api/nhi-findings/batch
+ * Body: { findings: [...] } or a plain array of findings
+ */
+export async function createNHIFindingsBatch(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const items = Array.isArray(req.body) ? req.body : req.body?.findings
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'findings must be a non-empty array'
             })
         }
 
-        if (err.message.includes('issue type') || err.message.includes('issuetype')) {
+        if (items.length > MAX_BATCH_SIZE) {
             return res.status(400).json({
-                error: 'Invalid issue type',
-                message: 'The specified issue type is not valid for this project'
+                error: 'Validation error',
+                message: `A batch can contain at most ${MAX_BATCH_SIZE} findings`
             })
         }
 
+        const context = await _getSubmitContext(req, res)
+        if (!context) return
+
+        const report = await _processFindings(context, items)
+
+        loggerService.info(`NHI findings batch by user ${userId}: ${report.created} created, ${report.deduplicated} deduplicated, ${report.suppressed} suppressed, ${report.failed} failed`)
+
+        res.json(report)
+    } catch (err) {
+        loggerService.error('Cannot create NHI findings batch via API:', err)
         res.status(500).json({
             error: 'Internal server error',
-            message: err.message || 'Failed to create NHI finding'
+            message: err.message || 'Failed to create NHI findings'
+        })
+    }
+}
+
+/**
+ * Create NHI findings from a scanner report
+ * POST /api/nhi-findings/:format?projectKey=KEY&issueType=Bug&labels=a,b&repo=URL
+ * format: sarif (SARIF 2.1.0 log), gitleaks (JSON report) or trufflehog (NDJSON output)
+ * projectKey and issueType are optional when routing rules cover the findings
+ * Body: the report
+ */
+export async function createNHIFindingsFromReport(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const { format } = req.params
+        const { projectKey, issueType, labels, repo } = req.query
+        const adapter = REPORT_ADAPTERS[format]
+
+        const report = adapter.parseReport ? adapter.parseReport(req.body) : req.body
+        const validation = adapter.validateReport(report)
+        if (validation.errors.length) {
+            loggerService.warn(`Invalid ${format} report from user ${userId}:`, validation.errors)
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `Invalid ${format} report`,
+                details: validation.errors
+            })
+        }
+
+        const findings = adapter.toFindings(report, {
+            projectKey,
+            issueType,
+            repo,
+            labels: labels ? labels.split(',').map(label => label.trim()).filter(Boolean) : []
+        })
+
+        if (findings.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `A report can contain at most ${MAX_BATCH_SIZE} findings`
+            })
+        }
+
+        const context = await _getSubmitContext(req, res)
+        if (!context) return
+
+        const result = await _processFindings(context, findings)
+
+        loggerService.info(`${format} findings by user ${userId}: ${result.created} created, ${result.deduplicated} deduplicated, ${result.suppressed} suppressed, ${result.failed} failed`)
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot create NHI findings from report:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: err.message || 'Failed to create NHI findings'
+        })
+    }
+}
+
+/**
+ * Get the findings submitted by the API key owner
+ * GET /api/nhi-findings
+ * Query: status, source, severity, projectKey, apiKeyId, identityId, fingerprint, txt, createdAfter, createdBefore,
+ *        sortBy, sortDir (1 | -1), pageIdx, pageSize
+ */
+export async function getNHIFindings(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const {
+            status, source, severity, projectKey, apiKeyId, identityId, fingerprint, txt, createdAfter, createdBefore,
+            sortBy, sortDir, pageIdx, pageSize
+        } = req.query
+
+        const invalidDates = [createdAfter, createdBefore].filter(date => date && isNaN(new Date(date)))
+        if (invalidDates.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'createdAfter and createdBefore must be valid dates'
+            })
+        }
+
+        const filterBy = { status, source, severity, projectKey, apiKeyId, identityId, fingerprint, txt, createdAfter, createdBefore }
+        const result = await nhiFindingsService.query(
+            userId,
+            filterBy,
+            { field: sortBy, dir: sortDir },
+            { pageIdx, pageSize }
+        )
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot get NHI findings:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve NHI findings'
         })
     }
 }
 
+/**
+ * Open findings, riskiest first: one prioritized queue across projects
+ * GET /api/nhi-findings/queue
+ * Query: severity, projectKey, identityId, pageIdx, pageSize
+ */
+export async function getNHIFindingsQueue(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const { severity, projectKey, identityId, pageIdx, pageSize } = req.query
+
+        const result = await nhiFindingsService.query(
+            userId,
+            { status: FINDING_STATUS.OPEN, severity, projectKey, identityId },
+            { field: 'risk.score', dir: -1 },
+            { pageIdx, pageSize }
+        )
+
+        res.json(result)
+    } catch (err) {
+        loggerService.error('Cannot get NHI findings queue:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve the findings queue'
+        })
+    }
+}
+
+/**
+ * Remediation SLA status of the open findings
+ * GET /api/nhi-findings/sla
+ * Query: projectKey, atRiskHours (findings due within this many hours are at risk, default 24)
+ */
+export async function getNHIFindingsSla(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const { projectKey, atRiskHours } = req.query
+
+        if (atRiskHours !== undefined && !(+atRiskHours > 0)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'atRiskHours must be a positive number'
+            })
+        }
+
+        const summary = await nhiFindingsService.getSlaSummary(userId, {
+            projectKey,
+            ...(atRiskHours && { atRiskHours: +atRiskHours })
+        })
+
+        res.json(summary)
+    } catch (err) {
+        loggerService.error('Cannot get NHI findings SLA:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve SLA status'
+        })
+    }
+}
+
+/**
+ * Get a single finding
+ * GET /api/nhi-findings/:id
+ */
+export async function getNHIFinding(req, res) {
+    try {
+        const userId = req.apiKeyAuth.userId
+        const finding = await nhiFindingsService.getById(req.params.id, userId)
+
+        if (!finding) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Finding not found'
+            })
+        }
+
+        res.json(finding)
+    } catch (err) {
+        loggerService.error('Cannot get NHI finding:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve NHI finding'
+        })
+    }
+}
+
+/**
+ * Splits a single finding request into the finding and its evidence
+ * Returns { data, attachments, errors } - data is null when the multipart 'finding' field is not valid JSON
+ */
+function _parseFindingRequest(req) {
+    if (req.is('multipart/form-data')) {
+        let data = null
+        try {
+            data = JSON.parse(req.body?.finding)
+        } catch {
+            return { data, attachments: [], errors: ['finding form field must contain the finding as JSON'] }
+        }
+        if (!data || typeof data !== 'object' || data.attachments !== undefined) {
+            return { data: null, attachments: [], errors: ['finding form field must be a finding object, files go in the attachments field'] }
+        }
+
+        return { data, ...attachmentService.fromFiles(req.files) }
+    }
+
+    const { attachments, ...data } = req.body || {}
+    return { data, ...attachmentService.fromBase64(attachments) }
+}
+
+/* A finding can only link to an identity of the same user */
+async function _checkIdentityLink(userId, data) {
+    if (!data.identityId) return null
+
+    const identity = await identityService.getById(data.identityId, userId)
+    return identity ? null : `identityId ${data.identityId} is not an identity of this user`
+}
+
+/**
+ * Resolves the API key owner and a valid Jira access token
+ * Sends the error response and returns null when the user cannot submit findings
+ */
+async function _getSubmitContext(req, res) {
+    const { userId, keyId } = req.apiKeyAuth
+
+    // Get user's Jira configuration
+    const user = await userService.getById(userId)
+
+    if (!user) {
+        loggerService.error(`User ${userId} not found`)
+        res.status(404).json({
+            error: 'User not found',
+            message: 'The user associated with this API key no longer exists'
+        })
+        return null
+    }
+
+    const jiraConfig = user.config?.jira
+
+    if (!jiraConfig) {
+        loggerService.warn(`User ${userId} attempted to create NHI finding without Jira connection`)
+        res.status(400).json({
+            error: 'Configuration error',
+            message: 'Jira is not connected for this user. Please connect Jira through the web interface first.'
+        })
+        return null
+    }
+
+    // Validate jiraConfig has required fields
+    if (!jiraConfig.accessToken || !jiraConfig.refreshToken || !jiraConfig.expiresAt) {
+        loggerService.error(`User ${userId} has incomplete Jira configuration:`, jiraConfig)
+        res.status(500).json({
+            error: 'Configuration error',
+            message: 'Jira configuration is corrupted. Please reconnect Jira through the web interface.'
+        })
+        return null
+    }
+
+    // Decrypt tokens
+    const { accessToken, refreshToken, expiresAt } = jiraService.decryptTokens(jiraConfig)
+
+    // Check if token expired and refresh if needed
+    let currentAccessToken = accessToken
+    if (Date.now() >= expiresAt) {
+        loggerService.info(`Access token expired for user ${userId}, refreshing...`)
+        const newTokens = await jiraService.refreshAccessToken(refreshToken)
+        const encrypted = jiraService.encryptTokens(newTokens)
+
+        // Update user with new tokens
+        user.config.jira = {
+            ...jiraConfig,
+            ...encrypted
+        }
+        await userService.update(user)
+
+        currentAccessToken = newTokens.access_token
+        loggerService.info(`Access token refreshed for user ${userId}`)
+    }
+
+    return {
+        userId,
+        apiKeyId: keyId,
+        accessToken: currentAccessToken,
+        jiraConfig
+    }
+}
+
+/**
+ * Runs findings one by one through the submission pipeline
+ * Items are processed sequentially to stay within Jira rate limits
+ */
+async function _processFindings(context, items) {
+    const results = []
+
+    for (const [index, item] of items.entries()) {
+        const isObject = item && typeof item === 'object'
+        const { attachments: encodedAttachments, ...data } = isObject ? item : {}
+        const { attachments, errors } = attachmentService.fromBase64(encodedAttachments)
+        const validation = isObject
+            ? validateNHIFinding(data)
+            : { isValid: false, errors: ['finding must be an object'] }
+        if (validation.isValid) {
+            const identityError = await _checkIdentityLink(context.userId, data)
+            if (identityError) validation.errors.push(identityError)
+        }
+
+        if (validation.errors.length || errors.length) {
+            results.push({ index, status: SUBMIT_STATUS.FAILED, errors: [...errors, ...validation.errors] })
+            continue
+        }
+
+        try {
+            const { status, finding, error, validOptions, missingFields } = await nhiFindingsService.submit(context, data, attachments)
+            results.push({
+                index,
+                status,
+                findingId: finding.id,
+                ticket: finding.ticket,
+                occurrenceCount: finding.occurrenceCount,
+                risk: finding.risk,
+                ...(finding.suppression && { suppressionRuleId: finding.suppression.ruleId }),
+                ...(finding.truncation && { truncation: finding.truncation }),
+                ...(finding.attachmentError && { attachmentError: finding.attachmentError }),
+                ...(validOptions && { validOptions }),
+                ...(missingFields && { missingFields }),
+                ...(error && { errors: [error] })
+            })
+        } catch (err) {
+            loggerService.error(`Cannot process finding #${index}:`, err)
+            results.push({ index, status: SUBMIT_STATUS.FAILED, errors: [err.message] })
+        }
+    }
+
+    const countOf = status => results.filter(result => result.status === status).length
+
+    return {
+        total: results.length,
+        created: countOf(SUBMIT_STATUS.CREATED),
+        deduplicated: countOf(SUBMIT_STATUS.DEDUPLICATED),
+        suppressed: countOf(SUBMIT_STATUS.SUPPRESSED),
+        failed: countOf(SUBMIT_STATUS.FAILED),
+        results
+    }
+}
+
+/* Maps a failed submission to an HTTP response, with the valid options when a value was not accepted */
+function _sendSubmitFailure(res, { finding, error, reason, validOptions, missingFields }) {
+    switch (reason) {
+        case SUBMIT_FAILURE_REASON.ROUTING:
+            return res.status(400).json({
+                error: 'Routing error',
+                message: error,
+                findingId: finding.id
+            })
+
+        case SUBMIT_FAILURE_REASON.PROJECT:
+            return res.status(404).json({
+                error: 'Not found',
+                message: error,
+                findingId: finding.id
+            })
+
+        case SUBMIT_FAILURE_REASON.ISSUE_TYPE:
+            return res.status(400).json({
+                error: 'Invalid issue type',
+                message: error,
+                validOptions,
+                findingId: finding.id
+            })
+
+        case SUBMIT_FAILURE_REASON.PRIORITY:
+            return res.status(400).json({
+                error: 'Invalid priority',
+                message: error,
+                validOptions,
+                findingId: finding.id
+            })
+
+        case SUBMIT_FAILURE_REASON.FIELDS:
+            return res.status(400).json({
+                error: 'Validation error',
+                message: error,
+                details: missingFields.map(field => `${field.name} (${field.id}) is required, map it with PUT /api/jira/projects/${finding.projectKey}/field-mapping`),
+                missingFields,
+                findingId: finding.id
+            })
+
+        // Refused by Jira for a reason the pre-flight checks do not cover
+        default:
+            return res.status(502).json({
+                error: 'Jira error',
+                message: error || 'Failed to create NHI finding',
+                findingId: finding.id
+            })
+    }
+}
@@ -1,12 +1,30 @@
 import express from 'express'
 import { requireApiKey } from '../../middlewares/requireApiKey.middleware.js'
-import { createNHIFinding } from './nhi-findings.controller.js'
+import { requireScope } from '../../middlewares/requireScope.middleware.js'
+import { idempotent } from '../../middlewares/idempotency.middleware.js'
+import { acceptAttachments } from '../../middlewares/multipart.middleware.js'
+import { createNHIFinding, createNHIFindingsBatch, createNHIFindingsFromReport, getNHIFindings, getNHIFindingsQueue, getNHIFindingsSla, getNHIFinding } from './nhi-findings.controller.js'
 
 const router = express.Router()
 
 router.use(requireApiKey)
 
-//create a new NHI finding ticket
-router.post('/', createNHIFinding)
+//create a new NHI finding ticket, evidence as base64 JSON or multipart 'attachments' files
+router.post('/', requireScope('findings:write'), acceptAttachments, idempotent, createNHIFinding)
+
+//create many NHI finding tickets in one request
+router.post('/batch', requireScope('findings:write'), idempotent, createNHIFindingsBatch)
+
+//create NHI finding tickets from a scanner report (sarif, gitleaks, trufflehog)
+// TruffleHog emits newline-delimited JSON, which the JSON body parser skips
+const ndjsonParser = express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '10mb' })
+router.post('/:format(sarif|gitleaks|trufflehog)', requireScope('findings:write'), ndjsonParser, idempotent, createNHIFindingsFromReport)
+
+// finding history
+router.get('/', requireScope('findings:read'), getNHIFindings)
+// open findings by risk score and SLA breached / at-risk counts, must stay above /:id
+router.get('/queue', requireScope('findings:read'), getNHIFindingsQueue)
+router.get('/sla', requireScope('findings:read'), getNHIFindingsSla)
+router.get('/:id', requireScope('findings:read'), getNHIFinding)
 
 export const nhiFindingsRoutes = router
@@ -0,0 +1,1060 @@
+import { jiraService } from '../jira/jira.service.js'
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { redactionService } from '../../services/redaction.service.js'
+import { adfService } from '../../services/adf.service.js'
+import { attachmentService } from '../../services/attachment.service.js'
+import { issueLimitsService } from '../../services/issue-limits.service.js'
+import { fieldMappingService } from '../../services/field-mapping.service.js'
+import { routingRuleService } from '../routing-rule/routing-rule.service.js'
+import { projectSettingsService, SEVERITY_LEVELS } from '../project-settings/project-settings.service.js'
+import { suppressionRuleService } from '../suppression-rule/suppression-rule.service.js'
+import { identityService } from '../identity/identity.service.js'
+import { riskScoreService } from '../../services/risk-score.service.js'
+import { ObjectId } from 'mongodb'
+import crypto from 'crypto'
+
+const COLLECTION_NAME = 'findings'
+
+export const FINDING_STATUS = {
+    PENDING: 'pending',
+    OPEN: 'open',
+    FAILED: 'failed',
+    REMEDIATED: 'remediated',
+    TICKET_DELETED: 'ticket_deleted',
+    SUPPRESSED: 'suppressed'
+}
+
+export const SUBMIT_STATUS = {
+    CREATED: 'created',
+    DEDUPLICATED: 'deduplicated',
+    SUPPRESSED: 'suppressed',
+    FAILED: 'failed'
+}
+
+// Why a submission failed: caught before reaching Jira, or refused by Jira
+export const SUBMIT_FAILURE_REASON = {
+    ROUTING: 'routing',
+    PROJECT: 'project',
+    ISSUE_TYPE: 'issue-type',
+    PRIORITY: 'priority',
+    FIELDS: 'fields',
+    JIRA: 'jira'
+}
+
+// Open findings due within this window are at risk of breaching their SLA
+const SLA_AT_RISK_HOURS = 24
+
+// A finding pending for longer than this lost its submission, another one can take over its fingerprint
+const PENDING_CLAIM_MINUTES = 5
+
+// The statuses of the one finding a fingerprint may have at a time
+const ACTIVE_STATUSES = [FINDING_STATUS.PENDING, FINDING_STATUS.OPEN]
+
+const SORTABLE_FIELDS = ['risk.score', 'createdAt', 'updatedAt', 'statusChangedAt', 'sla.dueAt', 'lastSeenAt', 'occurrenceCount', 'status', 'source', 'projectKey', 'summary']
+const MAX_PAGE_SIZE = 100
+
+export const nhiFindingsService = {
+    submit,
+    query,
+    getById,
+    add,
+    update,
+    transitionStatus,
+    getTrackedByUser,
+    getActiveBySource,
+    getOpenByUser,
+    setRisk,
+    getByTicketId,
+    recordTicketComment,
+    unlinkIdentity,
+    getSlaBreaches,
+    recordSlaBreach,
+    getSlaSummary,
+    computeFingerprint,
+    getOpenByFingerprint,
+    getSuppressedByFingerprint,
+    recordOccurrence,
+    initializeCollection
+}
+
+/**
+ * Initialize the findings collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+
+        await collection.createIndex({ userId: 1, createdAt: -1 })
+        await collection.createIndex({ userId: 1, status: 1 })
+        await collection.createIndex({ 'ticket.key': 1 })
+        await collection.createIndex({ userId: 1, fingerprint: 1 })
+        // Claimed by pending and open findings, so concurrent submissions of a finding create one ticket
+        await collection.createIndex(
+            { userId: 1, activeFingerprint: 1 },
+            { unique: true, partialFilterExpression: { activeFingerprint: { $exists: true } } }
+        )
+    } catch (err) {
+        loggerService.error('Failed to initialize findings collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Finding submission pipeline shared by the single and batch endpoints
+ * context: { userId, apiKeyId, accessToken, jiraConfig }
+ * attachments: validated evidence files [{ filename, contentType, buffer }], uploaded to a newly created ticket
+ * Resolves to { status: 'created' | 'deduplicated' | 'suppressed' | 'failed', finding, error, reason, validOptions, missingFields }
+ */
+async function submit(context, rawData, attachments = []) {
+    const { userId, apiKeyId, accessToken, jiraConfig } = context
+
+    // Secrets are masked before the finding is stored or sent anywhere, only their hashes are kept
+    const { value: redacted, secretHashes } = redactionService.scan(rawData)
+    const evidence = attachments.map(attachmentService.prepareForUpload)
+
+    // A finding linked to an inventory identity gets the identity attributes it does not set itself
+    const identity = redacted.identityId ? await identityService.getById(redacted.identityId, userId) : null
+    if (identity) redacted.identity = { ..._getIdentityAttributes(identity), ...redacted.identity }
+
+    // Routing rules fill in the Jira fields the caller left out
+    const { data, ruleIds } = await routingRuleService.resolve(userId, redacted)
+
+    // Without an explicit or routed priority, a finding gets one through the project's mapping:
+    // the severity or the risk level, whichever is higher, and the risk level alone for a finding without severity
+    const risk = await riskScoreService.scoreSubmission(userId, data, identity)
+    if (!data.priority && data.projectKey) {
+        const level = data.severity
+            ? SEVERITY_LEVELS.find(level => level === data.severity || level === risk.level)
+            : risk.level
+        const projectPriorities = await _getProjectPriorities(context, data.projectKey)
+        const priority = await projectSettingsService.getPriorityForSeverity(userId, data.projectKey, level, projectPriorities)
+        if (priority) data.priority = priority
+    }
+
+    // Repeated submissions of the same finding are folded into the existing one
+    const fingerprint = computeFingerprint(data, secretHashes)
+
+    // Accepted risks and known fixtures are stored and counted, but never reach Jira
+    const suppressionRule = await suppressionRuleService.findMatch(userId, data, fingerprint)
+    if (suppressionRule) {
+        await suppressionRuleService.recordMatch(suppressionRule.id)
+        const suppression = {
+            ruleId: suppressionRule.id,
+            justification: suppressionRule.justification,
+            expiresAt: suppressionRule.expiresAt
+        }
+
+        // Every rescan reports accepted risks again, they are counted on the finding already suppressed
+        const suppressedDuplicate = await getSuppressedByFingerprint(userId, fingerprint)
+        if (suppressedDuplicate) {
+            if (suppressedDuplicate.suppression?.ruleId !== suppressionRule.id) await update(suppressedDuplicate.id, { suppression })
+            const finding = await recordOccurrence(suppressedDuplicate.id)
+            return { status: SUBMIT_STATUS.SUPPRESSED, finding }
+        }
+
+        const finding = await add({
+            userId,
+            apiKeyId,
+            source: data.source || 'api',
+            fingerprint,
+            secretHashes,
+            routing: { ruleIds },
+            risk,
+            attachments: evidence,
+            payload: data
+        })
+
+        const suppressed = await transitionStatus(finding.id, FINDING_STATUS.SUPPRESSED, {
+            reason: 'suppression-rule',
+            fields: { suppression }
+        })
+
+        return { status: SUBMIT_STATUS.SUPPRESSED, finding: suppressed }
+    }
+
+    const duplicate = await getOpenByFingerprint(userId, fingerprint)
+
+    // The evidence of a repeated submission is not uploaded again, the ticket keeps the first one
+    if (duplicate) {
+        const finding = await recordOccurrence(duplicate.id)
+        await _commentOccurrence(accessToken, jiraConfig.cloudId, finding)
+        return { status: SUBMIT_STATUS.DEDUPLICATED, finding }
+    }
+
+    // Remediation due date from the project's SLA for this severity
+    const sla = data.severity && data.projectKey
+        ? await projectSettingsService.getSlaDueDate(userId, data.projectKey, data.severity)
+        : null
+
+    // Keep a local record of every finding, even if Jira rejects it.
+    // The record claims the fingerprint: a concurrent submission of the same finding is folded into it
+    const { finding, claimant } = await _addClaimed({
+        userId,
+        apiKeyId,
+        source: data.source || 'api',
+        fingerprint,
+        secretHashes,
+        routing: { ruleIds },
+        sla,
+        risk,
+        attachments: evidence,
+        payload: data
+    })
+
+    if (claimant) {
+        const repeated = await recordOccurrence(claimant.id)
+        if (repeated.ticket) await _commentOccurrence(accessToken, jiraConfig.cloudId, repeated)
+        return { status: SUBMIT_STATUS.DEDUPLICATED, finding: repeated }
+    }
+
+    if (!data.projectKey) {
+        const error = 'No projectKey was given and no routing rule matched the finding'
+        const failed = await transitionStatus(finding.id, FINDING_STATUS.FAILED, {
+            reason: 'no-route',
+            fields: { error }
+        })
+
+        return {
+            status: SUBMIT_STATUS.FAILED,
+            finding: failed,
+            error,
+            reason: SUBMIT_FAILURE_REASON.ROUTING
+        }
+    }
+
+    // The issue is checked against the project's metadata, so Jira's refusals are reported with the valid options
+    const { issueData: mappedIssueData, rejection } = await _prepareIssueData(context, data)
+    if (rejection) {
+        const { reason, error, validOptions, missingFields } = rejection
+        const failed = await transitionStatus(finding.id, FINDING_STATUS.FAILED, {
+            reason: `invalid-${reason}`,
+            fields: { error, ...(missingFields && { missingFields }) }
+        })
+
+        return {
+            status: SUBMIT_STATUS.FAILED,
+            finding: failed,
+            error,
+            reason,
+            validOptions,
+            missingFields
+        }
+    }
+
+    try {
+        // Large scanner output is cut to Jira's limits, the full description follows as an attachment
+        const { issueData, overflow } = issueLimitsService.fitIssue(mappedIssueData, data.description.trim())
+        const issue = await jiraService.createIssue(accessToken, jiraConfig.cloudId, issueData)
+
+        const ticket = {
+            key: issue.key,
+            id: issue.id,
+            url: `${jiraConfig.siteUrl}/browse/${issue.key}`
+        }
+        const truncation = overflow
+            ? await issueLimitsService.addOverflow(accessToken, jiraConfig.cloudId, issue.key, overflow)
+            : null
+        const attachmentFields = evidence.length
+            ? await _uploadAttachments(accessToken, jiraConfig.cloudId, issue.key, evidence)
+            : {}
+        const opened = await transitionStatus(finding.id, FINDING_STATUS.OPEN, {
+            reason: 'ticket-created',
+            fields: { ticket, truncation, ...attachmentFields }
+        })
+
+        // The identity's score counts its open findings
+        if (identity) await _refreshIdentityRisk(userId, identity.id)
+
+        return {
+            status: SUBMIT_STATUS.CREATED,
+            finding: opened
+        }
+    } catch (err) {
+        loggerService.error(`Cannot create Jira issue for finding ${finding.id}:`, err)
+
+        const error = err.message || 'Failed to create Jira issue'
+        const failed = await transitionStatus(finding.id, FINDING_STATUS.FAILED, {
+            reason: 'jira-error',
+            fields: { error }
+        })
+
+        return {
+            status: SUBMIT_STATUS.FAILED,
+            finding: failed,
+            error,
+            reason: SUBMIT_FAILURE_REASON.JIRA
+        }
+    }
+}
+
+/**
+ * Query the findings of a user with filtering, sorting and pagination
+ * filterBy: { status, source, severity, projectKey, apiKeyId, identityId, fingerprint, txt, createdAfter, createdBefore }
+ * sortBy: { field, dir } - dir is 1 (asc) or -1 (desc)
+ * pagination: { pageIdx, pageSize }
+ */
+async function query(userId, filterBy = {}, sortBy = {}, pagination = {}) {
+    try {
+        const criteria = _buildCriteria(userId, filterBy)
+        const sort = _buildSort(sortBy)
+        const pageSize = Math.min(Math.max(+pagination.pageSize || 20, 1), MAX_PAGE_SIZE)
+        const pageIdx = Math.max(+pagination.pageIdx || 0, 0)
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const [findings, total] = await Promise.all([
+            collection.find(criteria)
+                .sort(sort)
+                .skip(pageIdx * pageSize)
+                .limit(pageSize)
+                .toArray(),
+            collection.countDocuments(criteria)
+        ])
+
+        return {
+            findings: findings.map(_toDto),
+            total,
+            pageIdx,
+            pageSize
+        }
+    } catch (err) {
+        loggerService.error('Cannot query findings', err)
+        throw err
+    }
+}
+
+/**
+ * Get a single finding, scoped to its owner
+ */
+async function getById(findingId, userId) {
+    try {
+        if (!ObjectId.isValid(findingId)) return null
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const finding = await collection.findOne({
+            _id: ObjectId.createFromHexString(findingId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        return finding ? _toDto(finding) : null
+    } catch (err) {
+        loggerService.error(`Cannot get finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Store a newly submitted finding (before it is sent to Jira)
+ * isClaimed: the finding claims its fingerprint until it leaves the pending and open statuses,
+ * a second claim of the same fingerprint is refused with a duplicate key error
+ */
+async function add({ userId, apiKeyId, source, fingerprint, secretHashes = [], routing = null, sla = null, risk = null, attachments = [], payload, isClaimed = false }) {
+    try {
+        const now = new Date()
+        const findingDoc = {
+            userId: ObjectId.createFromHexString(userId),
+            apiKeyId: apiKeyId ? ObjectId.createFromHexString(apiKeyId) : null,
+            source,
+            fingerprint,
+            secretHashes,
+            projectKey: payload.projectKey,
+            summary: payload.summary,
+            severity: payload.severity || null,
+            identity: payload.identity || null,
+            location: payload.location || null,
+            secretType: payload.secretType || null,
+            exposure: payload.exposure || null,
+            identityId: payload.identityId ? ObjectId.createFromHexString(payload.identityId) : null,
+            routing,
+            sla: sla ? { ...sla, breachedAt: null } : null,
+            risk,
+            attachments: attachments.map(attachment => ({
+                ...attachmentService.toMetadata(attachment),
+                isRedacted: !!attachment.isRedacted,
+                jiraId: null
+            })),
+            payload,
+            status: FINDING_STATUS.PENDING,
+            statusHistory: [{ from: null, to: FINDING_STATUS.PENDING, reason: 'submitted', at: now }],
+            statusChangedAt: now,
+            ticket: null,
+            error: null,
+            occurrenceCount: 1,
+            firstSeenAt: now,
+            lastSeenAt: now,
+            createdAt: now,
+            updatedAt: now
+        }
+        if (isClaimed) findingDoc.activeFingerprint = fingerprint
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.insertOne(findingDoc)
+
+        return _toDto({ ...findingDoc, _id: result.insertedId })
+    } catch (err) {
+        if (err.code !== 11000) loggerService.error('Cannot add finding', err)
+        throw err
+    }
+}
+
+/**
+ * Update the mutable parts of a finding (status, ticket, error)
+ */
+async function update(findingId, fields) {
+    try {
+        const fieldsToSet = { ...fields, updatedAt: new Date() }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(findingId) },
+            { $set: fieldsToSet }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot update finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Move a finding to another status and record the transition in its status history
+ * options.from: only transition when the current status is one of these (string or array)
+ * options.reason: why the status changed, e.g. 'ticket-created', 'jira-resolved'
+ * options.fields: other fields to set with the transition (ticket, error, ...)
+ * Returns the updated finding, or null when it is not in an expected status
+ */
+async function transitionStatus(findingId, toStatus, { from, reason = null, fields = {} } = {}) {
+    try {
+        const now = new Date()
+        const criteria = { _id: ObjectId.createFromHexString(findingId) }
+        if (from) criteria.status = { $in: [].concat(from) }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const before = await collection.findOne(criteria)
+        if (!before) return null
+
+        const fieldsToSet = {
+            ...fields,
+            status: toStatus,
+            statusChangedAt: now,
+            updatedAt: now
+        }
+        if (toStatus === FINDING_STATUS.REMEDIATED) fieldsToSet.remediatedAt = now
+        if (before.status === FINDING_STATUS.REMEDIATED && toStatus === FINDING_STATUS.OPEN) fieldsToSet.reopenedAt = now
+
+        // The status is part of the filter so a concurrent transition is not overwritten
+        const changes = {
+            $set: fieldsToSet,
+            $push: { statusHistory: { from: before.status, to: toStatus, reason, at: now } }
+        }
+        // A finding that is no longer pending or open releases its fingerprint, a reopened one does not take it back
+        if (!ACTIVE_STATUSES.includes(toStatus)) changes.$unset = { activeFingerprint: '' }
+
+        const finding = await collection.findOneAndUpdate(
+            { _id: before._id, status: before.status },
+            changes,
+            { returnDocument: 'after' }
+        )
+
+        return finding ? _toDto(finding) : null
+    } catch (err) {
+        loggerService.error(`Cannot change status of finding ${findingId} to ${toStatus}`, err)
+        throw err
+    }
+}
+
+/**
+ * Findings of a user whose status follows their Jira ticket
+ */
+async function getTrackedByUser(userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection.find({
+            userId: ObjectId.createFromHexString(userId),
+            status: { $in: [FINDING_STATUS.OPEN, FINDING_STATUS.REMEDIATED] },
+            'ticket.key': { $ne: null }
+        }).toArray()
+
+        return findings.map(_toDto)
+    } catch (err) {
+        loggerService.error(`Cannot get tracked findings of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Findings of a user from one source that are still active: pending, open (with or without a ticket) or suppressed
+ * Used by checks that raise their own findings, to flag each problem once
+ */
+async function getActiveBySource(userId, source) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection.find({
+            userId: ObjectId.createFromHexString(userId),
+            source,
+            status: { $in: [FINDING_STATUS.PENDING, FINDING_STATUS.OPEN, FINDING_STATUS.SUPPRESSED] }
+        }).toArray()
+
+        return findings.map(_toDto)
+    } catch (err) {
+        loggerService.error(`Cannot get active ${source} findings of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Open findings of a user, or of one of their identities
+ */
+async function getOpenByUser(userId, identityId = null) {
+    try {
+        const criteria = {
+            userId: ObjectId.createFromHexString(userId),
+            status: FINDING_STATUS.OPEN
+        }
+        if (identityId) criteria.identityId = ObjectId.createFromHexString(identityId)
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection.find(criteria).toArray()
+
+        return findings.map(_toDto)
+    } catch (err) {
+        loggerService.error(`Cannot get open findings of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Store the risk score of a finding (see riskScoreService), updatedAt is left as it is
+ */
+async function setRisk(findingId, risk) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(findingId) },
+            { $set: { risk } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot set risk of finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Findings linked to a Jira issue of a site, by its id (stable when the issue is moved and its key changes)
+ * Issue ids are only unique within a site, so the ticket url must be on siteUrl
+ * Not scoped to a user: used for Jira webhook deliveries, which do not carry an IdentityHub user
+ */
+async function getByTicketId(issueId, siteUrl) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection.find({
+            'ticket.id': String(issueId),
+            'ticket.url': new RegExp(`^${_escapeRegex(siteUrl)}/browse/`, 'i')
+        }).toArray()
+
+        return findings.map(_toDto)
+    } catch (err) {
+        loggerService.error(`Cannot get findings of Jira issue ${issueId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Count a comment added to the ticket of a finding
+ */
+async function recordTicketComment(findingId, { author = null, createdAt = new Date() } = {}) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(findingId) },
+            {
+                $inc: { 'ticket.commentCount': 1 },
+                $set: {
+                    'ticket.lastCommentAt': createdAt,
+                    'ticket.lastCommentAuthor': author,
+                    updatedAt: new Date()
+                }
+            }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record ticket comment of finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Clears the identity link of a user's findings, when the identity leaves the inventory
+ */
+async function unlinkIdentity(identityId, userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateMany(
+            {
+                userId: ObjectId.createFromHexString(userId),
+                identityId: ObjectId.createFromHexString(identityId)
+            },
+            { $set: { identityId: null, updatedAt: new Date() } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot unlink findings of identity ${identityId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Open findings of every user that passed their SLA due date and were not escalated yet
+ */
+async function getSlaBreaches(now = new Date()) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection.find({
+            status: FINDING_STATUS.OPEN,
+            'sla.dueAt': { $lte: now },
+            'sla.breachedAt': null
+        }).toArray()
+
+        return findings.map(_toDto)
+    } catch (err) {
+        loggerService.error('Cannot get SLA breaches', err)
+        throw err
+    }
+}
+
+/**
+ * Mark the SLA of a finding as breached, with what was done on its ticket
+ * escalation: { commented, priority }
+ */
+async function recordSlaBreach(findingId, escalation, breachedAt = new Date()) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(findingId) },
+            {
+                $set: {
+                    'sla.breachedAt': breachedAt,
+                    'sla.escalation': escalation,
+                    updatedAt: new Date()
+                }
+            }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record SLA breach of finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * SLA status of the open findings of a user
+ * Breached: past due. At risk: due within atRiskHours. On track: due later. No SLA: severity without an SLA window
+ */
+async function getSlaSummary(userId, { projectKey, atRiskHours = SLA_AT_RISK_HOURS } = {}) {
+    try {
+        const criteria = {
+            userId: ObjectId.createFromHexString(userId),
+            status: FINDING_STATUS.OPEN
+        }
+        if (projectKey) criteria.projectKey = projectKey
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const findings = await collection
+            .find(criteria, { projection: { severity: 1, 'sla.dueAt': 1 } })
+            .toArray()
+
+        const now = Date.now()
+        const atRiskUntil = now + atRiskHours * 60 * 60 * 1000
+        const emptyCounts = () => ({ breached: 0, atRisk: 0, onTrack: 0, noSla: 0 })
+
+        const summary = { ...emptyCounts(), open: findings.length, atRiskHours, bySeverity: {} }
+        findings.forEach(finding => {
+            const dueAt = finding.sla?.dueAt?.getTime()
+            const state = !dueAt ? 'noSla'
+                : dueAt <= now ? 'breached'
+                    : dueAt <= atRiskUntil ? 'atRisk'
+                        : 'onTrack'
+
+            const severity = finding.severity || 'none'
+            summary.bySeverity[severity] = summary.bySeverity[severity] || emptyCounts()
+            summary.bySeverity[severity][state]++
+            summary[state]++
+        })
+
+        return summary
+    } catch (err) {
+        loggerService.error(`Cannot get SLA summary of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Stable fingerprint of a finding, used for deduplication
+ * Uses the client supplied fingerprint when present, otherwise hashes
+ * the project key, the normalized summary, the identity attributes
+ * and the hashes of the secrets found in the finding
+ */
+function computeFingerprint(data, secretHashes = []) {
+    if (data.fingerprint) return data.fingerprint.trim()
+
+    const identity = Object.entries(data.identity || {})
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key.toLowerCase(), String(value).trim().toLowerCase()])
+        .sort(([keyA], [keyB]) => keyA.localeCompare(keyB))
+
+    const parts = [
+        (data.projectKey || '').trim().toUpperCase(),
+        data.summary.trim().replace(/\s+/g, ' ').toLowerCase(),
+        identity
+    ]
+    // The same leaked secret keeps its fingerprint even though its value is redacted
+    if (secretHashes.length) parts.push(secretHashes)
+
+    const material = JSON.stringify(parts)
+
+    return crypto
+        .createHash('sha256')
+        .update(material)
+        .digest('hex')
+}
+
+/**
+ * Get the latest finding with this fingerprint that already has a Jira ticket
+ */
+async function getOpenByFingerprint(userId, fingerprint) {
+    return _getLatestByFingerprint(userId, fingerprint, FINDING_STATUS.OPEN)
+}
+
+/**
+ * Get the latest finding with this fingerprint that a suppression rule accepted
+ */
+async function getSuppressedByFingerprint(userId, fingerprint) {
+    return _getLatestByFingerprint(userId, fingerprint, FINDING_STATUS.SUPPRESSED)
+}
+
+async function _getLatestByFingerprint(userId, fingerprint, status) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const finding = await collection.findOne(
+            {
+                userId: ObjectId.createFromHexString(userId),
+                fingerprint,
+                status
+            },
+            { sort: { createdAt: -1 } }
+        )
+
+        return finding ? _toDto(finding) : null
+    } catch (err) {
+        loggerService.error(`Cannot get ${status} finding by fingerprint`, err)
+        throw err
+    }
+}
+
+/**
+ * Count another submission of an existing finding
+ */
+async function recordOccurrence(findingId) {
+    try {
+        const now = new Date()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const finding = await collection.findOneAndUpdate(
+            { _id: ObjectId.createFromHexString(findingId) },
+            {
+                $inc: { occurrenceCount: 1 },
+                $set: { lastSeenAt: now, updatedAt: now }
+            },
+            { returnDocument: 'after' }
+        )
+
+        return _toDto(finding)
+    } catch (err) {
+        loggerService.error(`Cannot record occurrence of finding ${findingId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Add a finding that claims its fingerprint
+ * Returns { finding } when the claim is taken, or { claimant } with the finding that holds it.
+ * A claimant pending for longer than PENDING_CLAIM_MINUTES lost its submission: it is failed and the claim taken over
+ */
+async function _addClaimed(findingData) {
+    const { userId, fingerprint } = findingData
+    const collection = await dbService.getCollection(COLLECTION_NAME)
+
+    // Two attempts: the claim can be released between the refused insert and the claimant lookup
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            return { finding: await add({ ...findingData, isClaimed: true }) }
+        } catch (err) {
+            if (err.code !== 11000) throw err
+        }
+
+        const claimant = await collection.findOne({ userId: ObjectId.createFromHexString(userId), activeFingerprint: fingerprint })
+        if (!claimant) continue
+
+        const claimExpiredAt = new Date(Date.now() - PENDING_CLAIM_MINUTES * 60 * 1000)
+        if (claimant.status !== FINDING_STATUS.PENDING || claimant.createdAt > claimExpiredAt) {
+            return { claimant: _toDto(claimant) }
+        }
+
+        loggerService.warn(`Finding ${claimant._id} was pending since ${claimant.createdAt.toISOString()}, its fingerprint is taken over`)
+        await transitionStatus(claimant._id.toString(), FINDING_STATUS.FAILED, {
+            from: FINDING_STATUS.PENDING,
+            reason: 'claim-expired',
+            fields: { error: 'The submission did not complete' }
+        })
+    }
+
+    throw new Error(`Cannot claim fingerprint ${fingerprint}`)
+}
+
+/**
+ * Issue fields of a finding, checked against the project's create metadata (cached):
+ * the project, issue type and priority must exist, the field mapping is applied and no required field may be empty
+ * Returns { issueData, rejection } - rejection is { reason, error, validOptions, missingFields } or null.
+ * When the metadata cannot be read, Jira is left to validate the issue.
+ */
+async function _prepareIssueData({ userId, accessToken, jiraConfig }, data) {
+    const issueData = _buildIssueData(data)
+    const { projectKey } = data
+
+    let metadata
+    try {
+        metadata = await jiraService.getCachedProjectMetadata(userId, accessToken, jiraConfig.cloudId, projectKey)
+    } catch (err) {
+        loggerService.warn(`Cannot read metadata of project ${projectKey}, skipping pre-flight checks:`, err.message)
+        return { issueData, rejection: null }
+    }
+
+    const project = metadata?.projects?.[0]
+    if (!project) {
+        return {
+            issueData,
+            rejection: {
+                reason: SUBMIT_FAILURE_REASON.PROJECT,
+                error: `Jira project ${projectKey} not found or you don't have access to it`
+            }
+        }
+    }
+
+    const issueTypes = project.issuetypes.map(issueType => issueType.name)
+    const issueType = _findOption(issueTypes, issueData.issuetype.name)
+    if (!issueType) {
+        return {
+            issueData,
+            rejection: {
+                reason: SUBMIT_FAILURE_REASON.ISSUE_TYPE,
+                error: `Issue type ${issueData.issuetype.name} does not exist in project ${projectKey}`,
+                validOptions: issueTypes
+            }
+        }
+    }
+    issueData.issuetype = { name: issueType }
+
+    const fields = fieldMappingService.getIssueTypeFields(metadata, issueType)
+
+    if (issueData.priority) {
+        const priorities = fields.priority?.allowedValues?.map(priority => priority.name) || []
+        const priority = _findOption(priorities, issueData.priority.name)
+        if (!priority) {
+            return {
+                issueData,
+                rejection: {
+                    reason: SUBMIT_FAILURE_REASON.PRIORITY,
+                    error: priorities.length
+                        ? `Priority ${issueData.priority.name} does not exist in project ${projectKey}`
+                        : `Issue type ${issueType} of project ${projectKey} does not accept a priority`,
+                    validOptions: priorities
+                }
+            }
+        }
+        issueData.priority = { name: priority }
+    }
+
+    const { fieldMapping } = await projectSettingsService.getByProject(userId, projectKey)
+    const mappedIssueData = fieldMappingService.applyMapping(issueData, data, fieldMapping, fields)
+
+    const missingFields = fieldMappingService.getMissingRequiredFields(mappedIssueData, fields)
+    if (missingFields.length) {
+        return {
+            issueData: mappedIssueData,
+            rejection: {
+                reason: SUBMIT_FAILURE_REASON.FIELDS,
+                error: `Missing required fields for issue type ${issueType} in project ${projectKey}: ` +
+                    missingFields.map(field => `${field.name} (${field.id})`).join(', '),
+                missingFields
+            }
+        }
+    }
+
+    return { issueData: mappedIssueData, rejection: null }
+}
+
+/* Priority names of the project, null when its metadata cannot be read */
+async function _getProjectPriorities({ userId, accessToken, jiraConfig }, projectKey) {
+    try {
+        const metadata = await jiraService.getCachedProjectMetadata(userId, accessToken, jiraConfig.cloudId, projectKey)
+        return projectSettingsService.getProjectPriorities(metadata)
+    } catch (err) {
+        loggerService.warn(`Cannot read priorities of project ${projectKey}:`, err.message)
+        return null
+    }
+}
+
+/* A failed rescore does not fail the finding, the periodic refresh catches up */
+async function _refreshIdentityRisk(userId, identityId) {
+    try {
+        await riskScoreService.refreshIdentity(userId, identityId)
+    } catch (err) {
+        loggerService.warn(`Cannot refresh risk of identity ${identityId}:`, err.message)
+    }
+}
+
+/* Jira names are matched case-insensitively, the project's spelling is sent */
+function _findOption(options, name) {
+    return options.find(option => option.toLowerCase() === name?.toLowerCase()) || null
+}
+
+function _buildIssueData(data) {
+    const {
+        projectKey,
+        summary,
+        description,
+        issueType = 'Bug', // Default to Bug if not specified
+        priority,
+        components,
+        assignee,
+        labels = []
+    } = data
+
+    const issueData = {
+        project: {
+            key: projectKey
+        },
+        summary: summary.trim(),
+        // Descriptions are Markdown
+        description: adfService.markdownToAdf(description.trim()),
+        issuetype: {
+            name: issueType
+        }
+    }
+
+    //if priority provided
+    if (priority) {
+        issueData.priority = {
+            name: priority
+        }
+    }
+
+    if (components?.length) {
+        issueData.components = components.map(name => ({ name }))
+    }
+
+    if (assignee) {
+        issueData.assignee = {
+            accountId: assignee
+        }
+    }
+
+    issueData.labels = [
+        ...labels,
+        'nhi-finding',
+        'created-via-api',
+        'created-from-identityhub'
+    ]
+
+    return issueData
+}
+
+/**
+ * Uploads the evidence of a finding to its new ticket
+ * A failed upload does not fail the finding, the ticket exists - the error is kept on the finding
+ * Resolves to the finding fields to set: { attachments } or { attachmentError }
+ */
+async function _uploadAttachments(accessToken, cloudId, issueKey, evidence) {
+    try {
+        const uploaded = await jiraService.addAttachments(accessToken, cloudId, issueKey, evidence)
+
+        return {
+            attachments: evidence.map((attachment, idx) => ({
+                ...attachmentService.toMetadata(attachment),
+                isRedacted: !!attachment.isRedacted,
+                jiraId: uploaded[idx]?.id || null
+            }))
+        }
+    } catch (err) {
+        loggerService.warn(`Cannot upload ${evidence.length} attachment(s) to ${issueKey}:`, err.message)
+        return { attachmentError: err.message }
+    }
+}
+
+/* Adds a comment with the occurrence count to the ticket of a re-submitted finding */
+async function _commentOccurrence(accessToken, cloudId, finding) {
+    const comment = `This finding was reported again (occurrence **#${finding.occurrenceCount}**, last seen ${finding.lastSeenAt.toISOString()}).`
+
+    try {
+        await jiraService.addComment(accessToken, cloudId, finding.ticket.key, adfService.markdownToAdf(comment))
+    } catch (err) {
+        // The occurrence is already recorded locally, a missing comment is not worth failing the request
+        loggerService.warn(`Cannot comment on ${finding.ticket.key} for repeated finding ${finding.id}:`, err.message)
+    }
+}
+
+function _buildCriteria(userId, filterBy) {
+    const criteria = { userId: ObjectId.createFromHexString(userId) }
+
+    if (filterBy.status) criteria.status = filterBy.status
+    if (filterBy.source) criteria.source = filterBy.source
+    if (filterBy.severity) criteria.severity = filterBy.severity
+    if (filterBy.projectKey) criteria.projectKey = filterBy.projectKey
+    if (filterBy.fingerprint) criteria.fingerprint = filterBy.fingerprint
+
+    if (filterBy.apiKeyId && ObjectId.isValid(filterBy.apiKeyId)) {
+        criteria.apiKeyId = ObjectId.createFromHexString(filterBy.apiKeyId)
+    }
+
+    if (filterBy.identityId && ObjectId.isValid(filterBy.identityId)) {
+        criteria.identityId = ObjectId.createFromHexString(filterBy.identityId)
+    }
+
+    if (filterBy.txt) {
+        const regex = new RegExp(_escapeRegex(filterBy.txt), 'i')
+        criteria.$or = [{ summary: regex }, { 'ticket.key': regex }]
+    }
+
+    if (filterBy.createdAfter || filterBy.createdBefore) {
+        criteria.createdAt = {}
+        if (filterBy.createdAfter) criteria.createdAt.$gte = new Date(filterBy.createdAfter)
+        if (filterBy.createdBefore) criteria.createdAt.$lte = new Date(filterBy.createdBefore)
+    }
+
+    return criteria
+}
+
+function _buildSort(sortBy) {
+    const field = SORTABLE_FIELDS.includes(sortBy.field) ? sortBy.field : 'createdAt'
+    const dir = +sortBy.dir === 1 ? 1 : -1
+    return { [field]: dir, _id: dir }
+}
+
+function _escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/* Identity attributes a linked finding is matched and fingerprinted on */
+function _getIdentityAttributes(identity) {
+    const attributes = { name: identity.name, type: identity.type }
+    if (identity.provider) attributes.provider = identity.provider
+    return attributes
+}
+
+function _toDto(finding) {
+    const { _id, userId, apiKeyId, identityId, ...rest } = finding
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        apiKeyId: apiKeyId ? apiKeyId.toString() : null,
+        identityId: identityId ? identityId.toString() : null,
+        ...rest
+    }
+}
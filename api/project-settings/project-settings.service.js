@@ -0,0 +1,234 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'project_settings'
+
+// Severity of a finding, from most to least severe
+export const SEVERITY_LEVELS = ['critical', 'high', 'medium', 'low', 'info']
+
+// Jira's default priority scheme, used until a project has its own mapping
+export const DEFAULT_PRIORITY_MAPPING = {
+    critical: 'Highest',
+    high: 'High',
+    medium: 'Medium',
+    low: 'Low',
+    info: 'Lowest'
+}
+
+// Days to remediate a finding of each severity, null for no SLA
+export const DEFAULT_SLA_DAYS = {
+    critical: 2,
+    high: 7,
+    medium: 30,
+    low: 90,
+    info: null
+}
+
+const DEFAULT_SETTINGS = {
+    priorityMapping: DEFAULT_PRIORITY_MAPPING,
+    slaDays: DEFAULT_SLA_DAYS,
+    // On an SLA breach the ticket always gets an escalation comment, its priority is raised only when enabled
+    raisePriorityOnBreach: false,
+    // Jira field id -> { attribute } or { value }, see fieldMappingService
+    fieldMapping: {}
+}
+
+export const projectSettingsService = {
+    getByProject,
+    setPriorityMapping,
+    setSlaPolicy,
+    setFieldMapping,
+    getPriorityForSeverity,
+    getSlaDueDate,
+    getProjectPriorities,
+    findProjectPriority,
+    initializeCollection
+}
+
+/**
+ * Initialize the project settings collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.createIndex({ userId: 1, projectKey: 1 }, { unique: true })
+    } catch (err) {
+        loggerService.error('Failed to initialize project settings collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Get the settings of a Jira project, falling back to the defaults when none were saved
+ */
+async function getByProject(userId, projectKey) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const settings = await collection.findOne({
+            userId: ObjectId.createFromHexString(userId),
+            projectKey: projectKey.toUpperCase()
+        })
+
+        if (!settings) {
+            return {
+                ...structuredClone(DEFAULT_SETTINGS),
+                projectKey: projectKey.toUpperCase(),
+                isDefault: true
+            }
+        }
+
+        return _toDto(settings)
+    } catch (err) {
+        loggerService.error(`Cannot get settings of project ${projectKey}`, err)
+        throw err
+    }
+}
+
+/**
+ * Save the severity -> Jira priority name mapping of a project
+ * The names must already be checked against the project's priorities (see getProjectPriorities)
+ */
+async function setPriorityMapping(userId, projectKey, priorityMapping) {
+    try {
+        const now = new Date()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const settings = await collection.findOneAndUpdate(
+            {
+                userId: ObjectId.createFromHexString(userId),
+                projectKey: projectKey.toUpperCase()
+            },
+            {
+                $set: { priorityMapping, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        )
+
+        loggerService.info(`Priority mapping of project ${projectKey} updated by user ${userId}`)
+        return _toDto(settings)
+    } catch (err) {
+        loggerService.error(`Cannot set priority mapping of project ${projectKey}`, err)
+        throw err
+    }
+}
+
+/**
+ * Save the remediation SLA of a project
+ * slaPolicy: { slaDays: { critical: 2, ... }, raisePriorityOnBreach }
+ */
+async function setSlaPolicy(userId, projectKey, { slaDays, raisePriorityOnBreach }) {
+    try {
+        const now = new Date()
+        const fieldsToSet = { slaDays, updatedAt: now }
+        if (raisePriorityOnBreach !== undefined) fieldsToSet.raisePriorityOnBreach = raisePriorityOnBreach
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const settings = await collection.findOneAndUpdate(
+            {
+                userId: ObjectId.createFromHexString(userId),
+                projectKey: projectKey.toUpperCase()
+            },
+            {
+                $set: fieldsToSet,
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        )
+
+        loggerService.info(`SLA policy of project ${projectKey} updated by user ${userId}`)
+        return _toDto(settings)
+    } catch (err) {
+        loggerService.error(`Cannot set SLA policy of project ${projectKey}`, err)
+        throw err
+    }
+}
+
+/**
+ * Save the custom field mapping of a project
+ * The field ids must already be checked against the project's fields (see fieldMappingService.validateMapping)
+ */
+async function setFieldMapping(userId, projectKey, fieldMapping) {
+    try {
+        const now = new Date()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const settings = await collection.findOneAndUpdate(
+            {
+                userId: ObjectId.createFromHexString(userId),
+                projectKey: projectKey.toUpperCase()
+            },
+            {
+                $set: { fieldMapping, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        )
+
+        loggerService.info(`Field mapping of project ${projectKey} updated by user ${userId}`)
+        return _toDto(settings)
+    } catch (err) {
+        loggerService.error(`Cannot set field mapping of project ${projectKey}`, err)
+        throw err
+    }
+}
+
+/**
+ * Jira priority name for a severity in a project, or null when the mapping leaves it out
+ * projectPriorities: the names the project accepts (see getProjectPriorities), null when unknown.
+ * The default names are Jira's stock scheme, they apply only to projects known to have them
+ */
+async function getPriorityForSeverity(userId, projectKey, severity, projectPriorities = null) {
+    const { priorityMapping } = await getByProject(userId, projectKey)
+    const priority = priorityMapping[severity] || null
+    if (!priority || priority !== DEFAULT_PRIORITY_MAPPING[severity]) return priority
+
+    return projectPriorities ? findProjectPriority(projectPriorities, priority) : null
+}
+
+/**
+ * Remediation SLA of a new finding: { days, dueAt }, or null when its severity has no SLA
+ */
+async function getSlaDueDate(userId, projectKey, severity, from = new Date()) {
+    const { slaDays } = await getByProject(userId, projectKey)
+    const days = slaDays[severity]
+    if (!days) return null
+
+    return { days, dueAt: new Date(from.getTime() + days * 24 * 60 * 60 * 1000) }
+}
+
+/**
+ * Priority names a project accepts, read from its create metadata (GET /issue/createmeta)
+ * The priorities of all issue types are merged
+ */
+function getProjectPriorities(metadata) {
+    const project = metadata?.projects?.[0]
+    if (!project) return null
+
+    const names = project.issuetypes
+        .flatMap(issueType => issueType.fields?.priority?.allowedValues || [])
+        .map(priority => priority.name)
+
+    return [...new Set(names)]
+}
+
+/**
+ * The project's spelling of a priority name, or null when the project does not have it
+ * Names are compared case-insensitively, as findings' priorities are when they are submitted
+ */
+function findProjectPriority(projectPriorities, name) {
+    return projectPriorities.find(projectPriority => projectPriority.toLowerCase() === name.trim().toLowerCase()) || null
+}
+
+/* Settings saved before a setting existed get its default */
+function _toDto(settings) {
+    const { _id, userId, ...rest } = settings
+    return {
+        ...structuredClone(DEFAULT_SETTINGS),
+        id: _id.toString(),
+        userId: userId.toString(),
+        ...rest
+    }
+}
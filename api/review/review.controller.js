@@ -0,0 +1,364 @@
+import { reviewService, CAMPAIGN_STATUS, ITEM_STATUS, ATTESTATION_DECISIONS } from './review.service.js'
+import { identityService, IDENTITY_TYPES } from '../identity/identity.service.js'
+import { reviewerService } from '../reviewer/reviewer.service.js'
+import { reviewCampaignService } from '../../services/review-campaign.service.js'
+import { outboundWebhookService } from '../../services/outbound-webhook.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+// Identity fields a campaign can be scoped to, as in GET /api/identities
+const FILTER_FIELDS = ['type', 'provider', 'environment', 'owner', 'tag']
+const DEFAULT_REMINDER_DAYS = [7, 1]
+const MAX_REMINDER_DAYS = 365
+
+/**
+ * Validation schema for review campaign
+ */
+function validateCampaign(data) {
+    const errors = []
+
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name is required and must be a non-empty string')
+    }
+
+    if (data.description !== undefined && data.description !== null && typeof data.description !== 'string') {
+        errors.push('description must be a string')
+    }
+
+    // Overdue attestations are ticketed, so a campaign always needs a project
+    if (!data.projectKey || typeof data.projectKey !== 'string' || data.projectKey.trim().length === 0) {
+        errors.push('projectKey is required and must be a non-empty string')
+    }
+
+    if (data.issueType !== undefined && data.issueType !== null && (typeof data.issueType !== 'string' || data.issueType.trim().length === 0)) {
+        errors.push('issueType must be a non-empty string')
+    }
+
+    const dueAt = new Date(data.dueAt)
+    if (!data.dueAt || typeof data.dueAt !== 'string' || isNaN(dueAt)) {
+        errors.push('dueAt is required and must be a date')
+    } else if (dueAt <= new Date()) {
+        errors.push('dueAt must be in the future')
+    }
+
+    if (data.reminderDays !== undefined) {
+        const isValid = Array.isArray(data.reminderDays) &&
+            data.reminderDays.every(days => Number.isInteger(days) && days >= 1 && days <= MAX_REMINDER_DAYS)
+        if (!isValid) errors.push(`reminderDays must be an array of whole numbers of days between 1 and ${MAX_REMINDER_DAYS}`)
+    }
+
+    // The server posts to it, so it cannot point at a local or private host
+    if (data.reminderWebhookUrl !== undefined && data.reminderWebhookUrl !== null && !outboundWebhookService.isAllowedUrl(data.reminderWebhookUrl)) {
+        errors.push('reminderWebhookUrl must be an https URL of a public host')
+    }
+
+    const filter = data.filter
+    if (filter !== undefined) {
+        if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+            errors.push('filter must be an object')
+        } else {
+            const unsupported = Object.keys(filter).filter(field => !FILTER_FIELDS.includes(field))
+            if (unsupported.length) {
+                errors.push(`filter ${unsupported.join(', ')} not supported. Supported filters: ${FILTER_FIELDS.join(', ')}`)
+            }
+
+            FILTER_FIELDS.forEach(field => {
+                if (filter[field] !== undefined && (typeof filter[field] !== 'string' || filter[field].trim().length === 0)) {
+                    errors.push(`filter.${field} must be a non-empty string`)
+                }
+            })
+
+            if (filter.type && !IDENTITY_TYPES.includes(filter.type)) {
+                errors.push(`filter.type must be one of: ${IDENTITY_TYPES.join(', ')}`)
+            }
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the review campaigns of the logged in user, with their progress
+ * GET /api/reviews
+ * Query: status (active, completed, closed)
+ */
+export async function getCampaigns(req, res) {
+    try {
+        const { status } = req.query
+        if (status && !Object.values(CAMPAIGN_STATUS).includes(status)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `status must be one of: ${Object.values(CAMPAIGN_STATUS).join(', ')}`
+            })
+        }
+
+        const campaigns = await reviewService.query(req.loggedinUser._id.toString(), { status })
+        res.json(campaigns)
+    } catch (err) {
+        loggerService.error('Cannot get review campaigns:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve review campaigns'
+        })
+    }
+}
+
+/**
+ * Get a review campaign with its progress, overall and per owner
+ * GET /api/reviews/:campaignId
+ */
+export async function getCampaign(req, res) {
+    try {
+        const campaign = await reviewService.getById(req.params.campaignId, req.loggedinUser._id.toString())
+
+        if (!campaign) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Review campaign not found'
+            })
+        }
+
+        res.json(campaign)
+    } catch (err) {
+        loggerService.error('Cannot get review campaign:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve review campaign'
+        })
+    }
+}
+
+/**
+ * Launch a review campaign over the inventory identities that match its filter
+ * Disabled identities are left out, there is nothing to attest for them
+ * POST /api/reviews
+ * Body: { name, description, dueAt, projectKey, issueType, reminderDays, reminderWebhookUrl, filter: { type, provider, environment, owner, tag } }
+ */
+export async function addCampaign(req, res) {
+    try {
+        const validation = validateCampaign(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid review campaign',
+                details: validation.errors
+            })
+        }
+
+        const userId = req.loggedinUser._id.toString()
+        const filter = Object.fromEntries(
+            FILTER_FIELDS.filter(field => req.body.filter?.[field]).map(field => [field, req.body.filter[field].trim()])
+        )
+
+        const identities = (await identityService.getByUser(userId, filter)).filter(identity => identity.isEnabled !== false)
+        if (!identities.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'No enabled identity matches the campaign filter'
+            })
+        }
+
+        const campaign = await reviewService.add(userId, {
+            ...req.body,
+            filter,
+            projectKey: req.body.projectKey.trim(),
+            issueType: req.body.issueType?.trim(),
+            reminderDays: req.body.reminderDays || DEFAULT_REMINDER_DAYS
+        }, identities)
+
+        res.status(201).json(campaign)
+    } catch (err) {
+        loggerService.error('Cannot add review campaign:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to add review campaign'
+        })
+    }
+}
+
+/**
+ * Get the items of a review campaign
+ * GET /api/reviews/:campaignId/items
+ * Query: status (pending, confirmed, revoked), owner, pageIdx, pageSize
+ */
+export async function getCampaignItems(req, res) {
+    try {
+        const { status, owner, pageIdx, pageSize } = req.query
+        if (status && !Object.values(ITEM_STATUS).includes(status)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `status must be one of: ${Object.values(ITEM_STATUS).join(', ')}`
+            })
+        }
+
+        const campaign = await reviewService.getById(req.params.campaignId, req.loggedinUser._id.toString())
+        if (!campaign) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Review campaign not found'
+            })
+        }
+
+        const items = await reviewService.getItems(campaign.id, { status, owner }, { pageIdx, pageSize })
+        res.json(items)
+    } catch (err) {
+        loggerService.error('Cannot get review campaign items:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve review campaign items'
+        })
+    }
+}
+
+/**
+ * Get the items the logged in user has to attest, as linked owner or backup owner, across active campaigns
+ * GET /api/reviews/assigned
+ * Query: status (pending by default)
+ */
+export async function getAssignedItems(req, res) {
+    try {
+        const { status } = req.query
+        if (status && !Object.values(ITEM_STATUS).includes(status)) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: `status must be one of: ${Object.values(ITEM_STATUS).join(', ')}`
+            })
+        }
+
+        // Only the campaigns of users the logged in user reviews for, and their own
+        const userId = req.loggedinUser._id.toString()
+        const campaignUserIds = [userId, ...await reviewerService.getInviterIds(userId)]
+        const items = await reviewService.getAssignedItems(userId, campaignUserIds, { status })
+        res.json(items)
+    } catch (err) {
+        loggerService.error('Cannot get assigned review items:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve assigned review items'
+        })
+    }
+}
+
+/**
+ * Confirm or revoke an identity of an active campaign
+ * Allowed to the identity's owner and backup owner, and to the campaign's creator
+ * A revoke opens a Jira ticket in the campaign's project to remove the identity, retried by the hourly job if it fails
+ * POST /api/reviews/:campaignId/items/:itemId/attest
+ * Body: { decision: 'confirm' | 'revoke', comment }
+ */
+export async function attestItem(req, res) {
+    try {
+        const { decision, comment } = req.body
+        const errors = []
+        if (!Object.keys(ATTESTATION_DECISIONS).includes(decision)) {
+            errors.push(`decision must be one of: ${Object.keys(ATTESTATION_DECISIONS).join(', ')}`)
+        }
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            errors.push('comment must be a string')
+        }
+        if (errors.length) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid attestation',
+                details: errors
+            })
+        }
+
+        const { _id, email } = req.loggedinUser
+        const userId = _id.toString()
+        const item = await reviewService.getItem(req.params.campaignId, req.params.itemId)
+
+        if (!item || !await _canAttest(item, userId)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Review item not found or you are not one of its reviewers'
+            })
+        }
+
+        if (item.campaign.status !== CAMPAIGN_STATUS.ACTIVE) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `The review campaign is ${item.campaign.status}`
+            })
+        }
+
+        const decidedBy = { userId, email: email || null }
+        const attested = await reviewService.attest(item.id, decision, decidedBy, comment?.trim() || null)
+        if (!attested) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `The identity was already ${item.status === ITEM_STATUS.PENDING ? 'attested' : item.status}`
+            })
+        }
+
+        await identityService.recordReview(item.identityId, {
+            campaignId: item.campaign.id,
+            decision,
+            decidedBy,
+            decidedAt: attested.decision.decidedAt
+        })
+        await reviewService.completeIfDone(item.campaign.id)
+
+        if (decision === 'revoke') {
+            try {
+                await reviewCampaignService.openRevocationTickets(item.campaign, [attested])
+            } catch (err) {
+                loggerService.error(`Revocation ticket for review item ${attested.id} failed, retried by the next run:`, err.message)
+            }
+        }
+
+        res.json(attested)
+    } catch (err) {
+        loggerService.error('Cannot attest review item:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to attest review item'
+        })
+    }
+}
+
+/**
+ * End a review campaign early, pending identities are no longer chased
+ * POST /api/reviews/:campaignId/close
+ */
+export async function closeCampaign(req, res) {
+    try {
+        const campaign = await reviewService.close(req.params.campaignId, req.loggedinUser._id.toString())
+        res.json(campaign)
+    } catch (err) {
+        loggerService.error('Cannot close review campaign:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Review campaign not found or you don\'t have permission to close it'
+            })
+        }
+
+        if (err.message.includes('already')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: `The review ${err.message.toLowerCase()}`
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to close review campaign'
+        })
+    }
+}
+
+/*
+ * Owners are matched by the user the campaign's creator linked to them, never by email:
+ * emails are not verified at signup, so anyone could register an owner's address.
+ * A linked owner must still be a reviewer of the campaign's creator.
+ */
+async function _canAttest(item, userId) {
+    if (item.campaign.userId === userId) return true
+    if (![item.ownerUserId, item.backupOwnerUserId].includes(userId)) return false
+
+    return reviewerService.isReviewer(item.campaign.userId, userId)
+}
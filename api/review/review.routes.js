@@ -0,0 +1,17 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getCampaigns, getCampaign, addCampaign, getCampaignItems, getAssignedItems, attestItem, closeCampaign } from './review.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// access review campaigns, where owners confirm or revoke each identity by a deadline
+router.get('/', getCampaigns)
+router.post('/', addCampaign)
+router.get('/assigned', getAssignedItems)
+router.get('/:campaignId', getCampaign)
+router.get('/:campaignId/items', getCampaignItems)
+router.post('/:campaignId/items/:itemId/attest', attestItem)
+router.post('/:campaignId/close', closeCampaign)
+
+export const reviewRoutes = router
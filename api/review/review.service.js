@@ -0,0 +1,569 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const CAMPAIGNS_COLLECTION = 'review_campaigns'
+const ITEMS_COLLECTION = 'review_items'
+
+export const CAMPAIGN_STATUS = {
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CLOSED: 'closed'
+}
+
+export const ITEM_STATUS = {
+    PENDING: 'pending',
+    CONFIRMED: 'confirmed',
+    REVOKED: 'revoked'
+}
+
+// What an owner can answer for an identity, and the item status it leads to
+export const ATTESTATION_DECISIONS = {
+    confirm: ITEM_STATUS.CONFIRMED,
+    revoke: ITEM_STATUS.REVOKED
+}
+
+const MAX_PAGE_SIZE = 100
+
+// How long a revocation ticket being created blocks the others, after that it was lost and is retried
+export const REVOCATION_LEASE_MINUTES = 5
+
+export const reviewService = {
+    query,
+    getById,
+    add,
+    close,
+    completeIfDone,
+    getActive,
+    getItems,
+    getItem,
+    getPendingItems,
+    getAssignedItems,
+    attest,
+    recordReminder,
+    recordOverdue,
+    getUnticketedRevocations,
+    claimRevocation,
+    recordRevocation,
+    initializeCollection
+}
+
+/**
+ * Initialize the review campaigns and items collections indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        await campaigns.createIndex({ userId: 1, createdAt: -1 })
+        await campaigns.createIndex({ status: 1 })
+
+        const items = await dbService.getCollection(ITEMS_COLLECTION)
+        await items.createIndex({ campaignId: 1, status: 1 })
+        await items.createIndex({ ownerUserId: 1, status: 1 })
+        await items.createIndex({ backupOwnerUserId: 1, status: 1 })
+    } catch (err) {
+        loggerService.error('Failed to initialize review collections:', err)
+        throw err
+    }
+}
+
+/**
+ * Campaigns of a user, newest first, with their progress
+ * filterBy: { status }
+ */
+async function query(userId, filterBy = {}) {
+    try {
+        const criteria = { userId: ObjectId.createFromHexString(userId) }
+        if (filterBy.status) criteria.status = filterBy.status
+
+        const collection = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const campaigns = await collection.find(criteria).sort({ createdAt: -1 }).toArray()
+
+        const items = await _getItemStatuses({ campaignId: { $in: campaigns.map(campaign => campaign._id) } })
+
+        return campaigns.map(campaign => ({
+            ..._toCampaignDto(campaign),
+            progress: _getProgress(items.filter(item => item.campaignId.equals(campaign._id)), campaign)
+        }))
+    } catch (err) {
+        loggerService.error(`Cannot query review campaigns of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * A campaign with its progress, overall and per owner
+ */
+async function getById(campaignId, userId) {
+    try {
+        if (!ObjectId.isValid(campaignId)) return null
+
+        const collection = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const campaign = await collection.findOne({
+            _id: ObjectId.createFromHexString(campaignId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+        if (!campaign) return null
+
+        const items = await _getItemStatuses({ campaignId: campaign._id })
+        const owners = [...new Set(items.map(item => item.owner))]
+
+        return {
+            ..._toCampaignDto(campaign),
+            progress: _getProgress(items, campaign),
+            progressByOwner: owners.map(owner => ({
+                owner,
+                ..._getProgress(items.filter(item => item.owner === owner), campaign)
+            }))
+        }
+    } catch (err) {
+        loggerService.error(`Cannot get review campaign ${campaignId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Launch a campaign: one pending item per identity, assigned to the identity's owners at this moment
+ * campaign: { name, description, dueAt, filter, projectKey, issueType, reminderDays, reminderWebhookUrl }
+ */
+async function add(userId, campaign, identities) {
+    try {
+        const now = new Date()
+        const campaignDoc = {
+            userId: ObjectId.createFromHexString(userId),
+            name: campaign.name.trim(),
+            description: campaign.description || null,
+            filter: campaign.filter || {},
+            dueAt: new Date(campaign.dueAt),
+            projectKey: campaign.projectKey.toUpperCase(),
+            issueType: campaign.issueType || null,
+            reminderDays: [...new Set(campaign.reminderDays)].sort((dayA, dayB) => dayB - dayA),
+            reminderWebhookUrl: campaign.reminderWebhookUrl || null,
+            status: CAMPAIGN_STATUS.ACTIVE,
+            itemCount: identities.length,
+            createdAt: now,
+            updatedAt: now
+        }
+
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const result = await campaigns.insertOne(campaignDoc)
+
+        const items = await dbService.getCollection(ITEMS_COLLECTION)
+        await items.insertMany(identities.map(identity => ({
+            campaignId: result.insertedId,
+            userId: campaignDoc.userId,
+            identityId: ObjectId.createFromHexString(identity.id),
+            identity: {
+                name: identity.name,
+                type: identity.type,
+                provider: identity.provider,
+                environment: identity.environment,
+                externalId: identity.externalId
+            },
+            owner: identity.owner,
+            ownerUserId: identity.ownerUserId ? ObjectId.createFromHexString(identity.ownerUserId) : null,
+            backupOwner: identity.backupOwner,
+            backupOwnerUserId: identity.backupOwnerUserId ? ObjectId.createFromHexString(identity.backupOwnerUserId) : null,
+            status: ITEM_STATUS.PENDING,
+            decision: null,
+            remindersSent: [],
+            lastRemindedAt: null,
+            overdueAt: null,
+            ticket: null,
+            ticketError: null,
+            revocationTicket: null,
+            revocationTicketError: null,
+            createdAt: now,
+            updatedAt: now
+        })))
+
+        loggerService.info(`Review campaign ${campaignDoc.name} launched by user ${userId} with ${identities.length} identities`)
+        return getById(result.insertedId.toString(), userId)
+    } catch (err) {
+        loggerService.error('Cannot add review campaign', err)
+        throw err
+    }
+}
+
+/**
+ * End an active campaign early, its pending items stay pending and are no longer chased
+ */
+async function close(campaignId, userId) {
+    try {
+        if (!ObjectId.isValid(campaignId)) {
+            throw new Error('Campaign not found or unauthorized')
+        }
+
+        const now = new Date()
+        const criteria = {
+            _id: ObjectId.createFromHexString(campaignId),
+            userId: ObjectId.createFromHexString(userId)
+        }
+        const collection = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const campaign = await collection.findOneAndUpdate(
+            { ...criteria, status: CAMPAIGN_STATUS.ACTIVE },
+            { $set: { status: CAMPAIGN_STATUS.CLOSED, closedAt: now, updatedAt: now } },
+            { returnDocument: 'after' }
+        )
+
+        if (!campaign) {
+            const existing = await collection.findOne(criteria)
+            throw new Error(existing ? `Campaign is already ${existing.status}` : 'Campaign not found or unauthorized')
+        }
+
+        loggerService.info(`Review campaign ${campaignId} closed by user ${userId}`)
+        return getById(campaignId, userId)
+    } catch (err) {
+        loggerService.error(`Cannot close review campaign ${campaignId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Complete an active campaign once no item is pending
+ * Returns true when the campaign was completed
+ */
+async function completeIfDone(campaignId) {
+    try {
+        const _id = ObjectId.createFromHexString(campaignId)
+
+        const items = await dbService.getCollection(ITEMS_COLLECTION)
+        const pendingCount = await items.countDocuments({ campaignId: _id, status: ITEM_STATUS.PENDING })
+        if (pendingCount) return false
+
+        const now = new Date()
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const result = await campaigns.updateOne(
+            { _id, status: CAMPAIGN_STATUS.ACTIVE },
+            { $set: { status: CAMPAIGN_STATUS.COMPLETED, completedAt: now, updatedAt: now } }
+        )
+
+        if (result.modifiedCount) loggerService.info(`Review campaign ${campaignId} completed`)
+        return result.modifiedCount > 0
+    } catch (err) {
+        loggerService.error(`Cannot complete review campaign ${campaignId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Active campaigns of every user, for the campaign engine
+ */
+async function getActive() {
+    try {
+        const collection = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const campaigns = await collection.find({ status: CAMPAIGN_STATUS.ACTIVE }).toArray()
+
+        return campaigns.map(_toCampaignDto)
+    } catch (err) {
+        loggerService.error('Cannot get active review campaigns', err)
+        throw err
+    }
+}
+
+/**
+ * Items of a campaign, by identity name
+ * filterBy: { status, owner }
+ */
+async function getItems(campaignId, filterBy = {}, pagination = {}) {
+    try {
+        const criteria = { campaignId: ObjectId.createFromHexString(campaignId) }
+        if (filterBy.status) criteria.status = filterBy.status
+        if (filterBy.owner) criteria.$or = [{ owner: filterBy.owner }, { backupOwner: filterBy.owner }]
+
+        const pageSize = Math.min(Math.max(+pagination.pageSize || 20, 1), MAX_PAGE_SIZE)
+        const pageIdx = Math.max(+pagination.pageIdx || 0, 0)
+
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const [items, total] = await Promise.all([
+            collection.find(criteria)
+                .sort({ 'identity.name': 1, _id: 1 })
+                .skip(pageIdx * pageSize)
+                .limit(pageSize)
+                .toArray(),
+            collection.countDocuments(criteria)
+        ])
+
+        return {
+            items: items.map(_toItemDto),
+            total,
+            pageIdx,
+            pageSize
+        }
+    } catch (err) {
+        loggerService.error(`Cannot get items of review campaign ${campaignId}`, err)
+        throw err
+    }
+}
+
+/**
+ * An item with the campaign it belongs to, whoever created the campaign
+ */
+async function getItem(campaignId, itemId) {
+    try {
+        if (!ObjectId.isValid(campaignId) || !ObjectId.isValid(itemId)) return null
+
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const item = await collection.findOne({
+            _id: ObjectId.createFromHexString(itemId),
+            campaignId: ObjectId.createFromHexString(campaignId)
+        })
+        if (!item) return null
+
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const campaign = await campaigns.findOne({ _id: item.campaignId })
+
+        return {
+            ..._toItemDto(item),
+            campaign: {
+                id: campaignId,
+                userId: campaign.userId.toString(),
+                name: campaign.name,
+                dueAt: campaign.dueAt,
+                status: campaign.status,
+                projectKey: campaign.projectKey,
+                issueType: campaign.issueType
+            }
+        }
+    } catch (err) {
+        loggerService.error(`Cannot get review item ${itemId}`, err)
+        throw err
+    }
+}
+
+async function getPendingItems(campaignId) {
+    try {
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const items = await collection.find({
+            campaignId: ObjectId.createFromHexString(campaignId),
+            status: ITEM_STATUS.PENDING
+        }).toArray()
+
+        return items.map(_toItemDto)
+    } catch (err) {
+        loggerService.error(`Cannot get pending items of review campaign ${campaignId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Items of active campaigns that a user reviews as owner or backup owner
+ * Only owners linked to the user count (ownerUserId / backupOwnerUserId), not owner emails,
+ * in the campaigns of campaignUserIds
+ * filterBy: { status } - pending by default
+ */
+async function getAssignedItems(userId, campaignUserIds, filterBy = {}) {
+    try {
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const activeCampaigns = await campaigns.find({
+            userId: { $in: campaignUserIds.map(campaignUserId => ObjectId.createFromHexString(campaignUserId)) },
+            status: CAMPAIGN_STATUS.ACTIVE
+        }).toArray()
+        const campaignsById = new Map(activeCampaigns.map(campaign => [campaign._id.toString(), campaign]))
+
+        const userObjectId = ObjectId.createFromHexString(userId)
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const items = await collection.find({
+            campaignId: { $in: activeCampaigns.map(campaign => campaign._id) },
+            status: filterBy.status || ITEM_STATUS.PENDING,
+            $or: [{ ownerUserId: userObjectId }, { backupOwnerUserId: userObjectId }]
+        }).toArray()
+
+        return items
+            .map(item => {
+                const campaign = campaignsById.get(item.campaignId.toString())
+                return {
+                    ..._toItemDto(item),
+                    campaign: { id: campaign._id.toString(), name: campaign.name, dueAt: campaign.dueAt }
+                }
+            })
+            .sort((itemA, itemB) => itemA.campaign.dueAt - itemB.campaign.dueAt)
+    } catch (err) {
+        loggerService.error(`Cannot get review items assigned to user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Record an owner's decision on a pending item
+ * decidedBy: { userId, email }
+ * Returns the updated item, or null when it was already decided
+ */
+async function attest(itemId, decision, decidedBy, comment = null) {
+    try {
+        const now = new Date()
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const item = await collection.findOneAndUpdate(
+            { _id: ObjectId.createFromHexString(itemId), status: ITEM_STATUS.PENDING },
+            {
+                $set: {
+                    status: ATTESTATION_DECISIONS[decision],
+                    decision: { decision, decidedBy, decidedAt: now, comment },
+                    updatedAt: now
+                }
+            },
+            { returnDocument: 'after' }
+        )
+
+        return item ? _toItemDto(item) : null
+    } catch (err) {
+        loggerService.error(`Cannot record attestation of review item ${itemId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Mark items as reminded, reminder: the reminder sent, e.g. 'due-7d' or 'overdue'
+ */
+async function recordReminder(itemIds, reminder) {
+    try {
+        const now = new Date()
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        await collection.updateMany(
+            { _id: { $in: itemIds.map(itemId => ObjectId.createFromHexString(itemId)) } },
+            {
+                $addToSet: { remindersSent: reminder },
+                $set: { lastRemindedAt: now, updatedAt: now }
+            }
+        )
+    } catch (err) {
+        loggerService.error('Cannot record review reminders', err)
+        throw err
+    }
+}
+
+/**
+ * Mark an item as overdue, with its Jira ticket or the error that prevented it
+ */
+async function recordOverdue(itemId, { ticket = null, ticketError = null }) {
+    try {
+        const now = new Date()
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const item = await collection.findOne({ _id: ObjectId.createFromHexString(itemId) })
+
+        await collection.updateOne(
+            { _id: item._id },
+            { $set: { overdueAt: item.overdueAt || now, ticket, ticketError, updatedAt: now } }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record overdue review item ${itemId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Revoked items of every campaign, whatever its status, that have no revocation ticket yet
+ * Grouped by campaign: [{ campaign, items }]
+ */
+async function getUnticketedRevocations() {
+    try {
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const items = await collection.find({
+            status: ITEM_STATUS.REVOKED,
+            'revocationTicket.key': { $exists: false }
+        }).toArray()
+        if (!items.length) return []
+
+        const campaigns = await dbService.getCollection(CAMPAIGNS_COLLECTION)
+        const itemCampaigns = await campaigns.find({ _id: { $in: items.map(item => item.campaignId) } }).toArray()
+
+        return itemCampaigns.map(campaign => ({
+            campaign: _toCampaignDto(campaign),
+            items: items.filter(item => item.campaignId.equals(campaign._id)).map(_toItemDto)
+        }))
+    } catch (err) {
+        loggerService.error('Cannot get unticketed revoked review items', err)
+        throw err
+    }
+}
+
+/**
+ * Claim a revoked item before creating its revocation ticket, so the attestation and the hourly job
+ * never both create one. A claim older than REVOCATION_LEASE_MINUTES was lost and can be taken over.
+ * Returns whether the caller got the claim
+ */
+async function claimRevocation(itemId, now = new Date()) {
+    try {
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        const claimed = await collection.findOneAndUpdate(
+            {
+                _id: ObjectId.createFromHexString(itemId),
+                status: ITEM_STATUS.REVOKED,
+                'revocationTicket.key': { $exists: false },
+                $or: [
+                    { revocationTicketPendingAt: null },
+                    { revocationTicketPendingAt: { $lte: new Date(now.getTime() - REVOCATION_LEASE_MINUTES * 60 * 1000) } }
+                ]
+            },
+            { $set: { revocationTicketPendingAt: now } }
+        )
+
+        return !!claimed
+    } catch (err) {
+        loggerService.error(`Cannot claim revocation of review item ${itemId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Store the Jira ticket that removes a revoked identity, or the error that prevented it, and release the claim
+ */
+async function recordRevocation(itemId, { ticket = null, ticketError = null }) {
+    try {
+        const collection = await dbService.getCollection(ITEMS_COLLECTION)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(itemId) },
+            {
+                $set: { revocationTicket: ticket, revocationTicketError: ticketError, updatedAt: new Date() },
+                $unset: { revocationTicketPendingAt: '' }
+            }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record revocation of review item ${itemId}`, err)
+        throw err
+    }
+}
+
+async function _getItemStatuses(criteria) {
+    const collection = await dbService.getCollection(ITEMS_COLLECTION)
+    return collection.find(criteria).project({ campaignId: 1, status: 1, owner: 1 }).toArray()
+}
+
+/* Counts per status; pending items of a campaign past its due date are overdue */
+function _getProgress(items, campaign) {
+    const countOf = status => items.filter(item => item.status === status).length
+    const pending = countOf(ITEM_STATUS.PENDING)
+    const decided = items.length - pending
+
+    return {
+        total: items.length,
+        pending,
+        confirmed: countOf(ITEM_STATUS.CONFIRMED),
+        revoked: countOf(ITEM_STATUS.REVOKED),
+        overdue: campaign.dueAt < new Date() ? pending : 0,
+        percentComplete: items.length ? Math.round(100 * decided / items.length) : 100
+    }
+}
+
+function _toCampaignDto(campaign) {
+    const { _id, userId, ...rest } = campaign
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        ...rest
+    }
+}
+
+function _toItemDto(item) {
+    const { _id, campaignId, userId, identityId, ownerUserId, backupOwnerUserId, ...rest } = item
+    return {
+        id: _id.toString(),
+        campaignId: campaignId.toString(),
+        userId: userId.toString(),
+        identityId: identityId.toString(),
+        ownerUserId: ownerUserId ? ownerUserId.toString() : null,
+        backupOwnerUserId: backupOwnerUserId ? backupOwnerUserId.toString() : null,
+        ...rest
+    }
+}
@@ -0,0 +1,105 @@
+import { reviewerService, INVITATION_TTL_DAYS } from './reviewer.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+/**
+ * Get the reviewers of the logged in user, and their pending invitations
+ * GET /api/reviewers
+ */
+export async function getReviewers(req, res) {
+    try {
+        const reviewers = await reviewerService.getByUser(req.loggedinUser._id.toString())
+        res.json(reviewers)
+    } catch (err) {
+        loggerService.error('Cannot get reviewers:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve reviewers'
+        })
+    }
+}
+
+/**
+ * Create an invitation code, to hand to the user who should review the logged in user's identities
+ * POST /api/reviewers/invitations
+ */
+export async function inviteReviewer(req, res) {
+    try {
+        const invitation = await reviewerService.invite(req.loggedinUser._id.toString())
+        res.status(201).json({
+            ...invitation,
+            message: `Share this code with the reviewer, it can be accepted once within ${INVITATION_TTL_DAYS} days and won't be shown again`
+        })
+    } catch (err) {
+        loggerService.error('Cannot invite reviewer:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create reviewer invitation'
+        })
+    }
+}
+
+/**
+ * Accept an invitation: the logged in user becomes a reviewer of the inviter
+ * POST /api/reviewers/invitations/accept
+ * Body: { code }
+ */
+export async function acceptInvitation(req, res) {
+    try {
+        const { code } = req.body
+        if (!code || typeof code !== 'string') {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'code is required and must be a string'
+            })
+        }
+
+        const reviewer = await reviewerService.accept(code.trim(), req.loggedinUser._id.toString())
+        res.json(reviewer)
+    } catch (err) {
+        loggerService.error('Cannot accept reviewer invitation:', err)
+
+        if (err.message.includes('not found') || err.message.includes('own')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Invitation not found or expired'
+            })
+        }
+
+        if (err.message.includes('already')) {
+            return res.status(409).json({
+                error: 'Conflict',
+                message: err.message
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to accept reviewer invitation'
+        })
+    }
+}
+
+/**
+ * Remove a reviewer, or cancel a pending invitation
+ * DELETE /api/reviewers/:id
+ */
+export async function removeReviewer(req, res) {
+    try {
+        await reviewerService.remove(req.params.id, req.loggedinUser._id.toString())
+        res.json({ message: 'Reviewer removed successfully' })
+    } catch (err) {
+        loggerService.error('Cannot remove reviewer:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Reviewer not found or you don\'t have permission to remove it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to remove reviewer'
+        })
+    }
+}
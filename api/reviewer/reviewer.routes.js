@@ -0,0 +1,14 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getReviewers, inviteReviewer, acceptInvitation, removeReviewer } from './reviewer.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// reviewers are the users who may be linked as owners of the logged in user's identities
+router.get('/', getReviewers)
+router.post('/invitations', inviteReviewer)
+router.post('/invitations/accept', acceptInvitation)
+router.delete('/:id', removeReviewer)
+
+export const reviewerRoutes = router
@@ -0,0 +1,221 @@
+import crypto from 'crypto'
+import { ObjectId } from 'mongodb'
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+const COLLECTION_NAME = 'reviewers'
+const INVITATION_CODE_PREFIX = 'ihr_'
+
+export const INVITATION_TTL_DAYS = 7
+
+export const REVIEWER_STATUS = {
+    PENDING: 'pending',
+    ACCEPTED: 'accepted'
+}
+
+/*
+ * Reviewers are the users a user may link as owners of their identities.
+ * A user becomes someone's reviewer by accepting an invitation code, there is no other way to be linked.
+ */
+export const reviewerService = {
+    invite,
+    accept,
+    getByUser,
+    isReviewer,
+    getInviterIds,
+    remove,
+    initializeCollection
+}
+
+/**
+ * Initialize the reviewers collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+
+        // Pending invitations expire, accepted ones have no expiresAt
+        await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        await collection.createIndex({ codeHash: 1 }, { unique: true })
+        await collection.createIndex({ userId: 1, reviewerUserId: 1 })
+        await collection.createIndex({ reviewerUserId: 1 })
+    } catch (err) {
+        loggerService.error('Failed to initialize reviewers collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Create an invitation, the code is only returned here (a hash is stored)
+ */
+async function invite(userId) {
+    try {
+        const code = crypto.randomBytes(24).toString('hex')
+        const now = new Date()
+        const invitation = {
+            userId: ObjectId.createFromHexString(userId),
+            codeHash: _hashCode(code),
+            reviewerUserId: null,
+            status: REVIEWER_STATUS.PENDING,
+            expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+            createdAt: now
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.insertOne(invitation)
+
+        loggerService.info(`Reviewer invitation ${result.insertedId} created by user ${userId}`)
+        return {
+            id: result.insertedId.toString(),
+            code: `${INVITATION_CODE_PREFIX}${code}`,
+            expiresAt: invitation.expiresAt
+        }
+    } catch (err) {
+        loggerService.error('Cannot create reviewer invitation', err)
+        throw err
+    }
+}
+
+/**
+ * Accept an invitation: the user becomes a reviewer of its inviter, who can then see their name and email
+ */
+async function accept(code, reviewerUserId) {
+    try {
+        const cleanCode = code.startsWith(INVITATION_CODE_PREFIX) ? code.substring(INVITATION_CODE_PREFIX.length) : code
+        const now = new Date()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const invitation = await collection.findOne({
+            codeHash: _hashCode(cleanCode),
+            status: REVIEWER_STATUS.PENDING,
+            expiresAt: { $gt: now }
+        })
+
+        if (!invitation) throw new Error('Invitation not found or expired')
+        if (invitation.userId.toString() === reviewerUserId) throw new Error('Invitation is your own')
+        if (await isReviewer(invitation.userId.toString(), reviewerUserId)) throw new Error('You are already a reviewer of this user')
+
+        // Claimed by status, an invitation is accepted once
+        const accepted = await collection.findOneAndUpdate(
+            { _id: invitation._id, status: REVIEWER_STATUS.PENDING },
+            {
+                $set: { status: REVIEWER_STATUS.ACCEPTED, reviewerUserId: ObjectId.createFromHexString(reviewerUserId), acceptedAt: now },
+                $unset: { expiresAt: '' }
+            },
+            { returnDocument: 'after' }
+        )
+        if (!accepted) throw new Error('Invitation not found or expired')
+
+        loggerService.info(`User ${reviewerUserId} accepted reviewer invitation ${invitation._id} of user ${invitation.userId}`)
+        return _toDto(accepted)
+    } catch (err) {
+        loggerService.error('Cannot accept reviewer invitation', err)
+        throw err
+    }
+}
+
+/**
+ * Reviewers and pending invitations of a user, newest first
+ */
+async function getByUser(userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const reviewers = await collection
+            .find({ userId: ObjectId.createFromHexString(userId) })
+            .sort({ createdAt: -1 })
+            .toArray()
+
+        const users = await dbService.getCollection('user')
+        return Promise.all(reviewers.map(async reviewer => {
+            if (!reviewer.reviewerUserId) return _toDto(reviewer)
+
+            const user = await users.findOne({ _id: reviewer.reviewerUserId })
+            return { ..._toDto(reviewer), name: user?.name || null, email: user?.email || null }
+        }))
+    } catch (err) {
+        loggerService.error(`Cannot get reviewers of user ${userId}`, err)
+        throw err
+    }
+}
+
+/* Whether reviewerUserId accepted an invitation of userId */
+async function isReviewer(userId, reviewerUserId) {
+    try {
+        if (!ObjectId.isValid(reviewerUserId)) return false
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const count = await collection.countDocuments({
+            userId: ObjectId.createFromHexString(userId),
+            reviewerUserId: ObjectId.createFromHexString(reviewerUserId),
+            status: REVIEWER_STATUS.ACCEPTED
+        })
+
+        return count > 0
+    } catch (err) {
+        loggerService.error(`Cannot check reviewer ${reviewerUserId} of user ${userId}`, err)
+        throw err
+    }
+}
+
+/* The users whose invitation reviewerUserId accepted */
+async function getInviterIds(reviewerUserId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const reviewers = await collection.find({
+            reviewerUserId: ObjectId.createFromHexString(reviewerUserId),
+            status: REVIEWER_STATUS.ACCEPTED
+        }).toArray()
+
+        return reviewers.map(reviewer => reviewer.userId.toString())
+    } catch (err) {
+        loggerService.error(`Cannot get inviters of reviewer ${reviewerUserId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Remove a reviewer or cancel a pending invitation
+ */
+async function remove(id, userId) {
+    try {
+        if (!ObjectId.isValid(id)) {
+            throw new Error('Reviewer not found or unauthorized')
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.deleteOne({
+            _id: ObjectId.createFromHexString(id),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        if (result.deletedCount === 0) {
+            throw new Error('Reviewer not found or unauthorized')
+        }
+
+        loggerService.info(`Reviewer ${id} removed by user ${userId}`)
+        return true
+    } catch (err) {
+        loggerService.error(`Cannot remove reviewer ${id}`, err)
+        throw err
+    }
+}
+
+function _hashCode(code) {
+    return crypto
+        .createHash('sha256')
+        .update(code)
+        .digest('hex')
+}
+
+function _toDto(reviewer) {
+    return {
+        id: reviewer._id.toString(),
+        userId: reviewer.userId.toString(),
+        reviewerUserId: reviewer.reviewerUserId ? reviewer.reviewerUserId.toString() : null,
+        status: reviewer.status,
+        expiresAt: reviewer.expiresAt || null,
+        createdAt: reviewer.createdAt,
+        acceptedAt: reviewer.acceptedAt || null
+    }
+}
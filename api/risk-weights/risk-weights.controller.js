@@ -0,0 +1,109 @@
+import { riskWeightsService, RISK_FACTORS, DEFAULT_RISK_WEIGHTS } from './risk-weights.service.js'
+import { riskScoreService } from '../../services/risk-score.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+const THRESHOLD_LEVELS = Object.keys(DEFAULT_RISK_WEIGHTS.thresholds)
+const MAX_WEIGHT = 100
+
+/**
+ * Validation schema for risk weights
+ * current: the saved weights, the merged thresholds must still go down from critical to low
+ */
+function validateRiskWeights(data, current) {
+    const errors = []
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value)
+
+    if (data.weights !== undefined) {
+        if (!isObject(data.weights)) {
+            errors.push('weights must be an object of factor weights')
+        } else {
+            Object.entries(data.weights).forEach(([factor, weight]) => {
+                if (!RISK_FACTORS.includes(factor)) {
+                    errors.push(`weights.${factor} is not a risk factor. Factors: ${RISK_FACTORS.join(', ')}`)
+                } else if (typeof weight !== 'number' || weight < 0 || weight > MAX_WEIGHT) {
+                    errors.push(`weights.${factor} must be a number between 0 and ${MAX_WEIGHT}`)
+                }
+            })
+
+            const weights = { ...current.weights, ...data.weights }
+            if (RISK_FACTORS.every(factor => !weights[factor])) {
+                errors.push('at least one factor must have a weight above 0')
+            }
+        }
+    }
+
+    if (data.thresholds !== undefined) {
+        if (!isObject(data.thresholds)) {
+            errors.push('thresholds must be an object of minimum scores per level')
+        } else {
+            Object.entries(data.thresholds).forEach(([level, score]) => {
+                if (!THRESHOLD_LEVELS.includes(level)) {
+                    errors.push(`thresholds.${level} is not supported. Levels: ${THRESHOLD_LEVELS.join(', ')}`)
+                } else if (!Number.isInteger(score) || score < 0 || score > 100) {
+                    errors.push(`thresholds.${level} must be a whole number between 0 and 100`)
+                }
+            })
+
+            const thresholds = { ...current.thresholds, ...data.thresholds }
+            const isDescending = THRESHOLD_LEVELS.every((level, idx) => idx === 0 || thresholds[level] < thresholds[THRESHOLD_LEVELS[idx - 1]])
+            if (!errors.length && !isDescending) {
+                errors.push(`thresholds must go down from ${THRESHOLD_LEVELS.join(' to ')}`)
+            }
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the risk weights of the logged in user (the defaults when none were saved)
+ * GET /api/risk-weights
+ */
+export async function getRiskWeights(req, res) {
+    try {
+        const riskWeights = await riskWeightsService.getByUser(req.loggedinUser._id.toString())
+        res.json(riskWeights)
+    } catch (err) {
+        loggerService.error('Cannot get risk weights:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve risk weights'
+        })
+    }
+}
+
+/**
+ * Update the risk weights and rescore the identities and open findings with them
+ * Tickets keep the priority they were created with
+ * PUT /api/risk-weights
+ * Body: { weights: { privilege, exposure, severity, environment, credentialAge, lastUse, openFindings }, thresholds: { critical, high, medium, low } }
+ */
+export async function updateRiskWeights(req, res) {
+    try {
+        const userId = req.loggedinUser._id.toString()
+        const current = await riskWeightsService.getByUser(userId)
+
+        const validation = validateRiskWeights(req.body, current)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid risk weights',
+                details: validation.errors
+            })
+        }
+
+        const riskWeights = await riskWeightsService.setWeights(userId, req.body)
+        const rescored = await riskScoreService.refreshUser(userId)
+
+        res.json({ ...riskWeights, rescored })
+    } catch (err) {
+        loggerService.error('Cannot update risk weights:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update risk weights'
+        })
+    }
+}
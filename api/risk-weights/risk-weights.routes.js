@@ -0,0 +1,12 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getRiskWeights, updateRiskWeights } from './risk-weights.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// weights of the risk score of identities and findings, and the score of each priority level
+router.get('/', getRiskWeights)
+router.put('/', updateRiskWeights)
+
+export const riskWeightsRoutes = router
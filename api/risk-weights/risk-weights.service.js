@@ -0,0 +1,116 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'risk_weights'
+
+// Inputs of the risk score, each one scored between 0 and 1 (see riskScoreService)
+export const RISK_FACTORS = ['privilege', 'exposure', 'severity', 'environment', 'credentialAge', 'lastUse', 'openFindings']
+
+// Used until a user saves their own weights
+export const DEFAULT_RISK_WEIGHTS = {
+    // Relative weight of each factor, the score is their weighted average on a 0-100 scale
+    weights: {
+        privilege: 25,
+        exposure: 20,
+        severity: 20,
+        environment: 15,
+        credentialAge: 10,
+        lastUse: 5,
+        openFindings: 5
+    },
+    // Lowest score of each level, the level picks the ticket priority through the project's priority mapping
+    thresholds: {
+        critical: 80,
+        high: 60,
+        medium: 40,
+        low: 20
+    }
+}
+
+export const riskWeightsService = {
+    getByUser,
+    setWeights,
+    initializeCollection
+}
+
+/**
+ * Initialize the risk weights collection indexes
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.createIndex({ userId: 1 }, { unique: true })
+    } catch (err) {
+        loggerService.error('Failed to initialize risk weights collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Get the risk weights of a user, falling back to the defaults when none were saved
+ */
+async function getByUser(userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const riskWeights = await collection.findOne({ userId: ObjectId.createFromHexString(userId) })
+
+        if (!riskWeights) {
+            return {
+                ...structuredClone(DEFAULT_RISK_WEIGHTS),
+                userId,
+                isDefault: true
+            }
+        }
+
+        return _toDto(riskWeights)
+    } catch (err) {
+        loggerService.error(`Cannot get risk weights of user ${userId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Save the risk weights of a user
+ * Factors and levels left out keep their current value
+ * riskWeights: { weights: { privilege, ... }, thresholds: { critical, high, medium, low } }
+ */
+async function setWeights(userId, { weights = {}, thresholds = {} }) {
+    try {
+        const now = new Date()
+        const current = await getByUser(userId)
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const riskWeights = await collection.findOneAndUpdate(
+            { userId: ObjectId.createFromHexString(userId) },
+            {
+                $set: {
+                    weights: { ...current.weights, ...weights },
+                    thresholds: { ...current.thresholds, ...thresholds },
+                    updatedAt: now
+                },
+                $setOnInsert: { createdAt: now }
+            },
+            { upsert: true, returnDocument: 'after' }
+        )
+
+        loggerService.info(`Risk weights updated by user ${userId}`)
+        return _toDto(riskWeights)
+    } catch (err) {
+        loggerService.error(`Cannot set risk weights of user ${userId}`, err)
+        throw err
+    }
+}
+
+/* Weights saved before a factor existed get its default */
+function _toDto(riskWeights) {
+    const { _id, userId, weights, thresholds, ...rest } = riskWeights
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        weights: { ...DEFAULT_RISK_WEIGHTS.weights, ...weights },
+        thresholds: { ...DEFAULT_RISK_WEIGHTS.thresholds, ...thresholds },
+        ...rest
+    }
+}
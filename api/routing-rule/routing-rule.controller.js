@@ -0,0 +1,202 @@
+import { routingRuleService, ROUTING_MATCH_FIELDS, ROUTING_ACTION_FIELDS } from './routing-rule.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+/**
+ * Validation schema for routing rule
+ */
+function validateRoutingRule(data) {
+    const errors = []
+
+    if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
+        errors.push('name is required and must be a non-empty string')
+    }
+
+    if (data.order !== undefined && !Number.isInteger(data.order)) {
+        errors.push('order must be an integer')
+    }
+
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+        errors.push('isActive must be a boolean')
+    }
+
+    // Match criteria - every criterion is an optional array of strings
+    if (data.match !== undefined) {
+        if (!data.match || typeof data.match !== 'object' || Array.isArray(data.match)) {
+            errors.push('match must be an object')
+        } else {
+            Object.entries(data.match).forEach(([field, values]) => {
+                if (!ROUTING_MATCH_FIELDS.includes(field)) {
+                    errors.push(`match.${field} is not supported. Supported criteria: ${ROUTING_MATCH_FIELDS.join(', ')}`)
+                } else if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+                    errors.push(`match.${field} must be an array of strings`)
+                }
+            })
+        }
+    }
+
+    // Actions - at least one issue field must be chosen
+    const actions = data.actions
+    if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+        errors.push('actions is required and must be an object')
+    } else {
+        const fields = Object.keys(actions)
+        const unsupported = fields.filter(field => !ROUTING_ACTION_FIELDS.includes(field))
+        if (unsupported.length) {
+            errors.push(`actions ${unsupported.join(', ')} not supported. Supported actions: ${ROUTING_ACTION_FIELDS.join(', ')}`)
+        }
+        if (!fields.some(field => ROUTING_ACTION_FIELDS.includes(field))) {
+            errors.push('actions must set at least one of: ' + ROUTING_ACTION_FIELDS.join(', '))
+        }
+
+        ['projectKey', 'issueType', 'priority', 'assignee'].forEach(field => {
+            if (actions[field] !== undefined && (typeof actions[field] !== 'string' || actions[field].trim().length === 0)) {
+                errors.push(`actions.${field} must be a non-empty string`)
+            }
+        })
+
+        if (actions.components !== undefined &&
+            (!Array.isArray(actions.components) || actions.components.some(component => typeof component !== 'string'))) {
+            errors.push('actions.components must be an array of component names')
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the routing rules of the logged in user
+ * GET /api/routing-rules
+ */
+export async function getRoutingRules(req, res) {
+    try {
+        const rules = await routingRuleService.query(req.loggedinUser._id.toString())
+        res.json(rules)
+    } catch (err) {
+        loggerService.error('Cannot get routing rules:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve routing rules'
+        })
+    }
+}
+
+/**
+ * Get a routing rule
+ * GET /api/routing-rules/:ruleId
+ */
+export async function getRoutingRule(req, res) {
+    try {
+        const rule = await routingRuleService.getById(req.params.ruleId, req.loggedinUser._id.toString())
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Routing rule not found'
+            })
+        }
+
+        res.json(rule)
+    } catch (err) {
+        loggerService.error('Cannot get routing rule:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve routing rule'
+        })
+    }
+}
+
+/**
+ * Create a routing rule
+ * POST /api/routing-rules
+ */
+export async function addRoutingRule(req, res) {
+    try {
+        const validation = validateRoutingRule(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid routing rule',
+                details: validation.errors
+            })
+        }
+
+        const rule = await routingRuleService.add(req.loggedinUser._id.toString(), {
+            ...req.body,
+            name: req.body.name.trim()
+        })
+
+        res.status(201).json(rule)
+    } catch (err) {
+        loggerService.error('Cannot add routing rule:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create routing rule'
+        })
+    }
+}
+
+/**
+ * Replace a routing rule
+ * PUT /api/routing-rules/:ruleId
+ */
+export async function updateRoutingRule(req, res) {
+    try {
+        const validation = validateRoutingRule(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid routing rule',
+                details: validation.errors
+            })
+        }
+
+        const rule = await routingRuleService.update(req.params.ruleId, req.loggedinUser._id.toString(), {
+            ...req.body,
+            name: req.body.name.trim()
+        })
+
+        res.json(rule)
+    } catch (err) {
+        loggerService.error('Cannot update routing rule:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Routing rule not found or you don\'t have permission to update it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update routing rule'
+        })
+    }
+}
+
+/**
+ * Delete a routing rule
+ * DELETE /api/routing-rules/:ruleId
+ */
+export async function deleteRoutingRule(req, res) {
+    try {
+        await routingRuleService.remove(req.params.ruleId, req.loggedinUser._id.toString())
+        res.json({ message: 'Routing rule deleted successfully' })
+    } catch (err) {
+        loggerService.error('Cannot delete routing rule:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Routing rule not found or you don\'t have permission to delete it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete routing rule'
+        })
+    }
+}
@@ -0,0 +1,15 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getRoutingRules, getRoutingRule, addRoutingRule, updateRoutingRule, deleteRoutingRule } from './routing-rule.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// routing rules pick the Jira project, issue type, priority, components and assignee of NHI findings
+router.get('/', getRoutingRules)
+router.get('/:ruleId', getRoutingRule)
+router.post('/', addRoutingRule)
+router.put('/:ruleId', updateRoutingRule)
+router.delete('/:ruleId', deleteRoutingRule)
+
+export const routingRuleRoutes = router
@@ -0,0 +1,202 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'routing_rules'
+
+// Finding attributes a rule can match on -> how to read them from a finding
+const MATCHERS = {
+    sources: data => [data.source || 'api'],
+    labels: data => data.labels || [],
+    severities: data => (data.severity ? [data.severity] : []),
+    cloudProviders: data => (data.identity?.provider ? [data.identity.provider] : []),
+    identityTypes: data => (data.identity?.type ? [data.identity.type] : [])
+}
+
+export const ROUTING_MATCH_FIELDS = Object.keys(MATCHERS)
+
+// Issue fields a rule can choose
+export const ROUTING_ACTION_FIELDS = ['projectKey', 'issueType', 'priority', 'components', 'assignee']
+
+export const routingRuleService = {
+    query,
+    getById,
+    add,
+    update,
+    remove,
+    resolve
+}
+
+/**
+ * Get the routing rules of a user, in evaluation order
+ */
+async function query(userId) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const rules = await collection
+            .find({ userId: ObjectId.createFromHexString(userId) })
+            .sort({ order: 1, createdAt: 1 })
+            .toArray()
+
+        return rules.map(_toDto)
+    } catch (err) {
+        loggerService.error('Cannot get routing rules', err)
+        throw err
+    }
+}
+
+async function getById(ruleId, userId) {
+    try {
+        if (!ObjectId.isValid(ruleId)) return null
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const rule = await collection.findOne({
+            _id: ObjectId.createFromHexString(ruleId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        return rule ? _toDto(rule) : null
+    } catch (err) {
+        loggerService.error(`Cannot get routing rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+async function add(userId, rule) {
+    try {
+        const now = new Date()
+        const ruleDoc = {
+            userId: ObjectId.createFromHexString(userId),
+            name: rule.name,
+            order: rule.order ?? 0,
+            isActive: rule.isActive ?? true,
+            match: rule.match || {},
+            actions: rule.actions,
+            createdAt: now,
+            updatedAt: now
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.insertOne(ruleDoc)
+
+        loggerService.info(`Routing rule created for user ${userId}: ${rule.name}`)
+        return _toDto({ ...ruleDoc, _id: result.insertedId })
+    } catch (err) {
+        loggerService.error('Cannot add routing rule', err)
+        throw err
+    }
+}
+
+async function update(ruleId, userId, rule) {
+    try {
+        if (!ObjectId.isValid(ruleId)) {
+            throw new Error('Routing rule not found or unauthorized')
+        }
+
+        // peek only updatable properties
+        const ruleToSave = {
+            name: rule.name,
+            order: rule.order ?? 0,
+            isActive: rule.isActive ?? true,
+            match: rule.match || {},
+            actions: rule.actions,
+            updatedAt: new Date()
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const updatedRule = await collection.findOneAndUpdate(
+            {
+                _id: ObjectId.createFromHexString(ruleId),
+                userId: ObjectId.createFromHexString(userId)
+            },
+            { $set: ruleToSave },
+            { returnDocument: 'after' }
+        )
+
+        if (!updatedRule) {
+            throw new Error('Routing rule not found or unauthorized')
+        }
+
+        return _toDto(updatedRule)
+    } catch (err) {
+        loggerService.error(`Cannot update routing rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+async function remove(ruleId, userId) {
+    try {
+        if (!ObjectId.isValid(ruleId)) {
+            throw new Error('Routing rule not found or unauthorized')
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.deleteOne({
+            _id: ObjectId.createFromHexString(ruleId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        if (result.deletedCount === 0) {
+            throw new Error('Routing rule not found or unauthorized')
+        }
+
+        loggerService.info(`Routing rule ${ruleId} deleted by user ${userId}`)
+    } catch (err) {
+        loggerService.error(`Cannot delete routing rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+/**
+ * Applies the user's routing rules to a finding
+ * Active rules are evaluated in order; for every issue field the first matching rule that sets it wins.
+ * Values sent explicitly with the finding always take precedence over the rules.
+ * @returns {Promise<{data: object, ruleIds: string[]}>} The finding with the routed fields and the rules that contributed
+ */
+async function resolve(userId, data) {
+    const rules = await query(userId)
+    const routed = {}
+    const ruleIds = []
+
+    rules
+        .filter(rule => rule.isActive && _matches(rule.match, data))
+        .forEach(rule => {
+            let contributed = false
+            ROUTING_ACTION_FIELDS.forEach(field => {
+                const value = rule.actions?.[field]
+                if (value === undefined || value === null || field in routed) return
+                routed[field] = value
+                contributed = true
+            })
+            if (contributed) ruleIds.push(rule.id)
+        })
+
+    const resolved = { ...data }
+    Object.entries(routed).forEach(([field, value]) => {
+        if (resolved[field] === undefined || resolved[field] === null || resolved[field] === '') {
+            resolved[field] = value
+        }
+    })
+
+    return { data: resolved, ruleIds }
+}
+
+/* Every criterion of the rule must hold; a criterion holds when any of its values matches (case-insensitive) */
+function _matches(match = {}, data) {
+    return Object.entries(MATCHERS).every(([field, getValues]) => {
+        const expected = match[field]
+        if (!Array.isArray(expected) || expected.length === 0) return true
+
+        const actual = getValues(data).map(value => String(value).toLowerCase())
+        return expected.some(value => actual.includes(String(value).toLowerCase()))
+    })
+}
+
+function _toDto(rule) {
+    const { _id, userId, ...rest } = rule
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        ...rest
+    }
+}
@@ -0,0 +1,194 @@
+import { suppressionRuleService, SUPPRESSION_MATCH_FIELDS } from './suppression-rule.service.js'
+import { loggerService } from '../../services/logger.service.js'
+
+/**
+ * Validation schema for suppression rule
+ */
+function validateSuppressionRule(data) {
+    const errors = []
+
+    // An accepted risk must always say why
+    if (!data.justification || typeof data.justification !== 'string' || data.justification.trim().length === 0) {
+        errors.push('justification is required and must be a non-empty string')
+    }
+
+    if (data.name !== undefined && typeof data.name !== 'string') {
+        errors.push('name must be a string')
+    }
+
+    if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+        errors.push('isActive must be a boolean')
+    }
+
+    if (data.expiresAt !== undefined && data.expiresAt !== null) {
+        const expiresAt = new Date(data.expiresAt)
+        if (typeof data.expiresAt !== 'string' || isNaN(expiresAt)) {
+            errors.push('expiresAt must be a date')
+        } else if (expiresAt <= new Date()) {
+            errors.push('expiresAt must be in the future')
+        }
+    }
+
+    // Match criteria - at least one, every one a non-empty string
+    const match = data.match
+    if (!match || typeof match !== 'object' || Array.isArray(match)) {
+        errors.push('match is required and must be an object')
+    } else {
+        const fields = Object.keys(match)
+        const unsupported = fields.filter(field => !SUPPRESSION_MATCH_FIELDS.includes(field))
+        if (unsupported.length) {
+            errors.push(`match ${unsupported.join(', ')} not supported. Supported criteria: ${SUPPRESSION_MATCH_FIELDS.join(', ')}`)
+        }
+        if (!fields.some(field => SUPPRESSION_MATCH_FIELDS.includes(field))) {
+            errors.push('match must set at least one of: ' + SUPPRESSION_MATCH_FIELDS.join(', '))
+        }
+
+        SUPPRESSION_MATCH_FIELDS.forEach(field => {
+            if (match[field] !== undefined && (typeof match[field] !== 'string' || match[field].trim().length === 0)) {
+                errors.push(`match.${field} must be a non-empty string`)
+            }
+        })
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Get the suppression rules of the logged in user
+ * GET /api/suppression-rules?includeExpired=true
+ */
+export async function getSuppressionRules(req, res) {
+    try {
+        const rules = await suppressionRuleService.query(req.loggedinUser._id.toString(), {
+            includeExpired: req.query.includeExpired === 'true'
+        })
+        res.json(rules)
+    } catch (err) {
+        loggerService.error('Cannot get suppression rules:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve suppression rules'
+        })
+    }
+}
+
+/**
+ * Get a suppression rule
+ * GET /api/suppression-rules/:ruleId
+ */
+export async function getSuppressionRule(req, res) {
+    try {
+        const rule = await suppressionRuleService.getById(req.params.ruleId, req.loggedinUser._id.toString())
+
+        if (!rule) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Suppression rule not found'
+            })
+        }
+
+        res.json(rule)
+    } catch (err) {
+        loggerService.error('Cannot get suppression rule:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to retrieve suppression rule'
+        })
+    }
+}
+
+/**
+ * Create a suppression rule
+ * POST /api/suppression-rules
+ */
+export async function addSuppressionRule(req, res) {
+    try {
+        const validation = validateSuppressionRule(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid suppression rule',
+                details: validation.errors
+            })
+        }
+
+        const rule = await suppressionRuleService.add(req.loggedinUser._id.toString(), {
+            ...req.body,
+            justification: req.body.justification.trim()
+        })
+
+        res.status(201).json(rule)
+    } catch (err) {
+        loggerService.error('Cannot add suppression rule:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to create suppression rule'
+        })
+    }
+}
+
+/**
+ * Replace a suppression rule
+ * PUT /api/suppression-rules/:ruleId
+ */
+export async function updateSuppressionRule(req, res) {
+    try {
+        const validation = validateSuppressionRule(req.body)
+        if (!validation.isValid) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: 'Invalid suppression rule',
+                details: validation.errors
+            })
+        }
+
+        const rule = await suppressionRuleService.update(req.params.ruleId, req.loggedinUser._id.toString(), {
+            ...req.body,
+            justification: req.body.justification.trim()
+        })
+
+        res.json(rule)
+    } catch (err) {
+        loggerService.error('Cannot update suppression rule:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Suppression rule not found or you don\'t have permission to update it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to update suppression rule'
+        })
+    }
+}
+
+/**
+ * Delete a suppression rule
+ * DELETE /api/suppression-rules/:ruleId
+ */
+export async function deleteSuppressionRule(req, res) {
+    try {
+        await suppressionRuleService.remove(req.params.ruleId, req.loggedinUser._id.toString())
+        res.json({ message: 'Suppression rule deleted successfully' })
+    } catch (err) {
+        loggerService.error('Cannot delete suppression rule:', err)
+
+        if (err.message.includes('not found')) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: 'Suppression rule not found or you don\'t have permission to delete it'
+            })
+        }
+
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to delete suppression rule'
+        })
+    }
+}
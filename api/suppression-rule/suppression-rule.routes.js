@@ -0,0 +1,15 @@
+import express from 'express'
+import { requireAuth } from '../../middlewares/requireAuth.middleware.js'
+import { getSuppressionRules, getSuppressionRule, addSuppressionRule, updateSuppressionRule, deleteSuppressionRule } from './suppression-rule.controller.js'
+
+const router = express.Router()
+router.use(requireAuth)
+
+// suppression rules accept matching NHI findings without opening a ticket
+router.get('/', getSuppressionRules)
+router.get('/:ruleId', getSuppressionRule)
+router.post('/', addSuppressionRule)
+router.put('/:ruleId', updateSuppressionRule)
+router.delete('/:ruleId', deleteSuppressionRule)
+
+export const suppressionRuleRoutes = router
@@ -0,0 +1,231 @@
+import { dbService } from '../../services/db.service.js'
+import { loggerService } from '../../services/logger.service.js'
+import { ObjectId } from 'mongodb'
+
+const COLLECTION_NAME = 'suppression_rules'
+
+// Finding attributes a rule can match on
+export const SUPPRESSION_MATCH_FIELDS = ['fingerprint', 'repo', 'path', 'identityName', 'label']
+
+export const suppressionRuleService = {
+    query,
+    getById,
+    add,
+    update,
+    remove,
+    findMatch,
+    recordMatch
+}
+
+/**
+ * Get the suppression rules of a user, newest first
+ * filterBy: { includeExpired } - expired rules are left out unless true
+ */
+async function query(userId, filterBy = {}) {
+    try {
+        const criteria = { userId: ObjectId.createFromHexString(userId) }
+        if (!filterBy.includeExpired) {
+            criteria.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const rules = await collection
+            .find(criteria)
+            .sort({ createdAt: -1 })
+            .toArray()
+
+        return rules.map(_toDto)
+    } catch (err) {
+        loggerService.error('Cannot get suppression rules', err)
+        throw err
+    }
+}
+
+async function getById(ruleId, userId) {
+    try {
+        if (!ObjectId.isValid(ruleId)) return null
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const rule = await collection.findOne({
+            _id: ObjectId.createFromHexString(ruleId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        return rule ? _toDto(rule) : null
+    } catch (err) {
+        loggerService.error(`Cannot get suppression rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+async function add(userId, rule) {
+    try {
+        const now = new Date()
+        const ruleDoc = {
+            userId: ObjectId.createFromHexString(userId),
+            name: rule.name || null,
+            justification: rule.justification,
+            match: rule.match,
+            expiresAt: rule.expiresAt ? new Date(rule.expiresAt) : null,
+            isActive: rule.isActive ?? true,
+            matchCount: 0,
+            lastMatchedAt: null,
+            createdAt: now,
+            updatedAt: now
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.insertOne(ruleDoc)
+
+        loggerService.info(`Suppression rule created for user ${userId}: ${rule.justification}`)
+        return _toDto({ ...ruleDoc, _id: result.insertedId })
+    } catch (err) {
+        loggerService.error('Cannot add suppression rule', err)
+        throw err
+    }
+}
+
+async function update(ruleId, userId, rule) {
+    try {
+        if (!ObjectId.isValid(ruleId)) {
+            throw new Error('Suppression rule not found or unauthorized')
+        }
+
+        // peek only updatable properties, match statistics are kept
+        const ruleToSave = {
+            name: rule.name || null,
+            justification: rule.justification,
+            match: rule.match,
+            expiresAt: rule.expiresAt ? new Date(rule.expiresAt) : null,
+            isActive: rule.isActive ?? true,
+            updatedAt: new Date()
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const updatedRule = await collection.findOneAndUpdate(
+            {
+                _id: ObjectId.createFromHexString(ruleId),
+                userId: ObjectId.createFromHexString(userId)
+            },
+            { $set: ruleToSave },
+            { returnDocument: 'after' }
+        )
+
+        if (!updatedRule) {
+            throw new Error('Suppression rule not found or unauthorized')
+        }
+
+        return _toDto(updatedRule)
+    } catch (err) {
+        loggerService.error(`Cannot update suppression rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+async function remove(ruleId, userId) {
+    try {
+        if (!ObjectId.isValid(ruleId)) {
+            throw new Error('Suppression rule not found or unauthorized')
+        }
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        const result = await collection.deleteOne({
+            _id: ObjectId.createFromHexString(ruleId),
+            userId: ObjectId.createFromHexString(userId)
+        })
+
+        if (result.deletedCount === 0) {
+            throw new Error('Suppression rule not found or unauthorized')
+        }
+
+        loggerService.info(`Suppression rule ${ruleId} deleted by user ${userId}`)
+    } catch (err) {
+        loggerService.error(`Cannot delete suppression rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+/**
+ * First active, unexpired rule of the user that matches the finding, or null
+ * Every criterion of a rule must match:
+ * - fingerprint: exact
+ * - repo, path: glob on location.repo / location.path ('*' within a path segment, '**' across segments)
+ * - identityName: glob on identity.name ('*' matches anything), case-insensitive
+ * - label: one of the finding's labels, case-insensitive
+ */
+async function findMatch(userId, data, fingerprint) {
+    const rules = await query(userId)
+
+    return rules.find(rule => rule.isActive && _matches(rule.match, data, fingerprint)) || null
+}
+
+/**
+ * Count a finding suppressed by a rule
+ */
+async function recordMatch(ruleId) {
+    try {
+        const now = new Date()
+
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { _id: ObjectId.createFromHexString(ruleId) },
+            {
+                $inc: { matchCount: 1 },
+                $set: { lastMatchedAt: now }
+            }
+        )
+    } catch (err) {
+        loggerService.error(`Cannot record match of suppression rule ${ruleId}`, err)
+        throw err
+    }
+}
+
+function _matches(match = {}, data, fingerprint) {
+    const criteria = SUPPRESSION_MATCH_FIELDS.filter(field => match[field])
+    if (!criteria.length) return false
+
+    return criteria.every(field => {
+        const expected = match[field]
+        switch (field) {
+            case 'fingerprint':
+                return expected === fingerprint
+            case 'repo':
+                return _globToRegex(expected, { isPath: true, flags: 'i' }).test(data.location?.repo || '')
+            case 'path':
+                return _globToRegex(expected, { isPath: true }).test(data.location?.path || '')
+            case 'identityName':
+                return _globToRegex(expected, { flags: 'i' }).test(data.identity?.name || '')
+            case 'label':
+                return (data.labels || []).some(label => typeof label === 'string' && label.toLowerCase() === expected.toLowerCase())
+            default:
+                return false
+        }
+    })
+}
+
+// '**' matches anything ('/**/' also matches a single '/'), '*' anything but '/' in paths, '?' a single character
+function _globToRegex(glob, { isPath = false, flags = '' } = {}) {
+    const pattern = glob
+        .split(/(\/\*\*\/|\*\*|\*|\?)/)
+        .map(token => {
+            switch (token) {
+                case '/**/': return '/(?:.*/)?'
+                case '**': return '.*'
+                case '*': return isPath ? '[^/]*' : '.*'
+                case '?': return isPath ? '[^/]' : '.'
+                default: return token.replace(/[.+^${}()|[\]\\*?]/g, '\\$&')
+            }
+        })
+        .join('')
+
+    return new RegExp(`^${pattern}$`, flags)
+}
+
+function _toDto(rule) {
+    const { _id, userId, ...rest } = rule
+    return {
+        id: _id.toString(),
+        userId: userId.toString(),
+        ...rest
+    }
+}
@@ -35,6 +35,7 @@ async function getById(userId) {
 
         const collection = await dbService.getCollection('user')
         const user = await collection.findOne(criteria)
+        if (!user) return null
         delete user.password
 
         criteria = { byUserId: userId }
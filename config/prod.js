@@ -7,6 +7,8 @@ export default {
         clientId: process.env.JIRA_CLIENT_ID,
         clientSecret: process.env.JIRA_CLIENT_SECRET,
         redirectUri: process.env.JIRA_REDIRECT_URI || 'http://localhost:3030/api/jira/callback',
+        // Shared secret of the Jira webhook, signs every delivery (X-Hub-Signature)
+        webhookSecret: process.env.JIRA_WEBHOOK_SECRET,
         scopes: [
             'read:jira-work',
             'write:jira-work',
@@ -0,0 +1,17 @@
+import { attachmentService } from '../services/attachment.service.js'
+import { loggerService } from '../services/logger.service.js'
+
+/**
+ * Error handler for request bodies over the body parser's limit
+ * On the finding routes, they are almost always base64 evidence: the answer says how to send it instead
+ * Usage: app.use('/api/nhi-findings', rejectOversizedFindings)
+ */
+export function rejectOversizedFindings(err, req, res, next) {
+    if (err.type !== 'entity.too.large') return next(err)
+
+    loggerService.warn(`Request body of ${err.length} bytes refused on ${req.method} ${req.originalUrl}, the limit is ${err.limit}`)
+    res.status(413).json({
+        error: 'Payload too large',
+        message: `The request body is larger than ${err.limit / 1024 / 1024}MB. ${attachmentService.getBase64LimitMessage()}`
+    })
+}
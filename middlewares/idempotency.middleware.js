@@ -0,0 +1,84 @@
+import crypto from 'crypto'
+import { idempotencyService, IDEMPOTENCY_STATUS, PROCESSING_LEASE_MINUTES } from '../services/idempotency.service.js'
+import { loggerService } from '../services/logger.service.js'
+
+const MAX_KEY_LENGTH = 255
+
+/**
+ * Middleware for ticket-creating endpoints that honours the Idempotency-Key header
+ * A retry with the same key (and the same body) replays the original response instead of
+ * running the request again. Must run after requireAuth / requireApiKey.
+ */
+export async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key')
+    if (!key) return next()
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            error: 'Validation error',
+            message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+        })
+    }
+
+    try {
+        const ownerId = req.apiKeyAuth?.userId || req.loggedinUser?._id
+        const scope = `${ownerId}:${req.method}:${req.baseUrl}${req.path}`
+        const hash = crypto
+            .createHash('sha256')
+            .update(JSON.stringify(req.body ?? null))
+        // multipart uploads (see acceptAttachments) are part of the request body
+        req.files?.forEach(file => hash.update(file.buffer))
+        const requestHash = hash.digest('hex')
+
+        const { isNew, record } = await idempotencyService.begin(scope, key, requestHash)
+
+        if (!isNew) {
+            if (record.requestHash !== requestHash) {
+                return res.status(422).json({
+                    error: 'Idempotency error',
+                    message: 'This Idempotency-Key was already used with a different request body'
+                })
+            }
+
+            if (record.status === IDEMPOTENCY_STATUS.PROCESSING) {
+                return res.status(409).json({
+                    error: 'Idempotency error',
+                    message: `A request with this Idempotency-Key is still being processed, retry later (after ${PROCESSING_LEASE_MINUTES} minutes it is taken over)`
+                })
+            }
+
+            loggerService.info(`Replaying response for Idempotency-Key ${key}`)
+            res.set('Idempotent-Replayed', 'true')
+            return res.status(record.response.statusCode).json(record.response.body)
+        }
+
+        // Capture the response body so it can be replayed
+        let responseBody
+        const originalJson = res.json.bind(res)
+        res.json = body => {
+            responseBody = body
+            return originalJson(body)
+        }
+
+        res.on('close', async () => {
+            try {
+                // Server errors and aborted requests can be retried with the same key
+                if (!res.writableFinished || res.statusCode >= 500 || responseBody === undefined) {
+                    await idempotencyService.release(scope, key)
+                } else {
+                    await idempotencyService.complete(scope, key, res.statusCode, responseBody)
+                }
+            } catch (err) {
+                loggerService.error(`Cannot store response for Idempotency-Key ${key}:`, err)
+            }
+        })
+
+        next()
+    } catch (err) {
+        loggerService.error('Idempotency check failed:', err)
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Failed to process Idempotency-Key'
+        })
+    }
+}
@@ -0,0 +1,38 @@
+import multer from 'multer'
+import { MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS } from '../services/attachment.service.js'
+
+// Evidence is kept in memory only long enough to forward it to Jira
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS }
+}).array('attachments')
+
+/**
+ * Middleware that accepts finding evidence sent as multipart/form-data ('attachments' file fields)
+ * The files land in req.files, the other form fields in req.body. JSON requests pass through untouched.
+ */
+export function acceptAttachments(req, res, next) {
+    if (!req.is('multipart/form-data')) return next()
+
+    upload(req, res, err => {
+        if (!err) return next()
+
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({
+                error: 'Validation error',
+                message: _getLimitMessage(err),
+                details: err.field ? [`${err.field}: ${err.message}`] : undefined
+            })
+        }
+        next(err)
+    })
+}
+
+function _getLimitMessage(err) {
+    switch (err.code) {
+        case 'LIMIT_FILE_SIZE': return `Attachments must be at most ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB`
+        case 'LIMIT_FILE_COUNT': return `A finding can have at most ${MAX_ATTACHMENTS} attachments`
+        case 'LIMIT_UNEXPECTED_FILE': return 'Files must be sent in the attachments field'
+        default: return err.message
+    }
+}
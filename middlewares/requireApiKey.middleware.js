@@ -40,7 +40,8 @@ export async function requireApiKey(req, res, next) {
         // Attach user info to request
         req.apiKeyAuth = {
             userId: validation.userId,
-            keyId: validation.keyId
+            keyId: validation.keyId,
+            scopes: validation.scopes
         }
 
         next()
@@ -0,0 +1,12 @@
+import { requireAuth } from './requireAuth.middleware.js'
+import { requireApiKey } from './requireApiKey.middleware.js'
+
+/**
+ * Middleware for routes shared by the web app and API clients
+ * A Bearer Authorization header is checked as an API key (req.apiKeyAuth), otherwise the
+ * login session is required (req.loggedinUser)
+ */
+export function requireAuthOrApiKey(req, res, next) {
+    if (req.headers.authorization?.startsWith('Bearer ')) return requireApiKey(req, res, next)
+    return requireAuth(req, res, next)
+}
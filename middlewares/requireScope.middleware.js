@@ -0,0 +1,18 @@
+import { loggerService } from '../services/logger.service.js'
+
+/**
+ * Middleware that limits a route to API keys holding the given scope
+ * Must run after requireApiKey or requireAuthOrApiKey; login sessions are not scoped and pass
+ * Usage: router.post('/', requireScope('findings:write'), handler)
+ */
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKeyAuth || req.apiKeyAuth.scopes.includes(scope)) return next()
+
+        loggerService.warn(`API key ${req.apiKeyAuth.keyId} denied ${req.method} ${req.originalUrl}: missing scope ${scope}`)
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `This API key is missing the ${scope} scope`
+        })
+    }
+}
@@ -10,15 +10,29 @@ import { jiraRoutes } from './api/jira/jira.routes.js'
 import { apikeyRoutes } from './api/apikey/apikey.routes.js'
 import { nhiFindingsRoutes } from './api/nhi-findings/nhi-findings.routes.js'
 import { automationRoutes } from './api/automation/automation.routes.js'
+import { routingRuleRoutes } from './api/routing-rule/routing-rule.routes.js'
+import { suppressionRuleRoutes } from './api/suppression-rule/suppression-rule.routes.js'
+import { identityRoutes } from './api/identity/identity.routes.js'
+import { hygienePolicyRoutes } from './api/hygiene-policy/hygiene-policy.routes.js'
+import { riskWeightsRoutes } from './api/risk-weights/risk-weights.routes.js'
+import { reviewRoutes } from './api/review/review.routes.js'
+import { reviewerRoutes } from './api/reviewer/reviewer.routes.js'
 
 import { setupAsyncLocalStorage } from './middlewares/setupAls.middleware.js'
+import { rejectOversizedFindings } from './middlewares/bodyLimit.middleware.js'
 
 const app = express()
 const server = http.createServer(app)
 
 // Express App Config
 app.use(cookieParser())
-app.use(express.json())
+// Scanner reports (e.g. SARIF) are larger than the default 100kb limit
+// The raw body is kept for signature checks (Jira webhooks)
+app.use(express.json({
+    limit: '10mb',
+    type: ['application/json', 'application/*+json'],
+    verify: (req, res, buf) => { req.rawBody = buf }
+}))
 
 app.all('*', setupAsyncLocalStorage)
 
@@ -41,7 +55,16 @@ app.use('/api/user', userRoutes)
 app.use('/api/jira', jiraRoutes)
 app.use('/api/apikeys', apikeyRoutes)
 app.use('/api/nhi-findings', nhiFindingsRoutes)
+// The JSON body limit is hit before the route, its error is answered here
+app.use('/api/nhi-findings', rejectOversizedFindings)
 app.use('/api/automation', automationRoutes)
+app.use('/api/routing-rules', routingRuleRoutes)
+app.use('/api/suppression-rules', suppressionRuleRoutes)
+app.use('/api/identities', identityRoutes)
+app.use('/api/hygiene-policy', hygienePolicyRoutes)
+app.use('/api/risk-weights', riskWeightsRoutes)
+app.use('/api/reviews', reviewRoutes)
+app.use('/api/reviewers', reviewerRoutes)
 
 // Serve the frontend for any non-API routes (MUST be last!)
 app.get('*', (req, res) => {
@@ -55,6 +78,14 @@ app.get('/', (req, res) => {
 import { loggerService} from './services/logger.service.js'
 import { schedulerService } from './services/nhi-blog-digest/scheduler.service.js'
 import { oauthStateService } from './services/oauth-state.service.js'
+import { nhiFindingsService } from './api/nhi-findings/nhi-findings.service.js'
+import { idempotencyService } from './services/idempotency.service.js'
+import { projectSettingsService } from './api/project-settings/project-settings.service.js'
+import { identityService } from './api/identity/identity.service.js'
+import { hygienePolicyService } from './api/hygiene-policy/hygiene-policy.service.js'
+import { riskWeightsService } from './api/risk-weights/risk-weights.service.js'
+import { reviewService } from './api/review/review.service.js'
+import { reviewerService } from './api/reviewer/reviewer.service.js'
 
 const port = process.env.PORT || 3030
 
@@ -64,6 +95,30 @@ server.listen(port, async () => {
     // Initialize OAuth state collection with TTL index
     await oauthStateService.initializeCollection()
 
+    // Initialize findings collection indexes
+    await nhiFindingsService.initializeCollection()
+
+    // Initialize idempotency key collection with TTL index
+    await idempotencyService.initializeCollection()
+
+    // Initialize project settings collection indexes
+    await projectSettingsService.initializeCollection()
+
+    // Initialize identities collection indexes
+    await identityService.initializeCollection()
+
+    // Initialize hygiene policies collection indexes
+    await hygienePolicyService.initializeCollection()
+
+    // Initialize risk weights collection indexes
+    await riskWeightsService.initializeCollection()
+
+    // Initialize review campaigns and items collections indexes
+    await reviewService.initializeCollection()
+
+    // Initialize reviewers collection indexes
+    await reviewerService.initializeCollection()
+
     // Start scheduled automation jobs
     schedulerService.startScheduledJobs()
 })
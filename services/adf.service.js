@@ -0,0 +1,307 @@
+import { marked } from 'marked'
+
+/**
+ * Converts Markdown to Atlassian Document Format (ADF), the rich text format of Jira Cloud descriptions and comments
+ * https://developer.atlassian.com/cloud/jira/platform/apis/document/structure/
+ */
+export const adfService = {
+    markdownToAdf,
+    splitDocument,
+    getSize
+}
+
+// The only block nodes ADF allows inside a blockquote
+const QUOTE_CONTENT_TYPES = ['paragraph', 'bulletList', 'orderedList', 'codeBlock']
+
+const HTML_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&#39;': '\''
+}
+
+/**
+ * Converts a Markdown string to an ADF document
+ * Supports headings, paragraphs, emphasis, strike, inline code, links, bullet/ordered/nested lists,
+ * code blocks, blockquotes, tables and horizontal rules
+ * @param {string} markdown
+ * @returns {object} ADF document
+ */
+function markdownToAdf(markdown = '') {
+    const tokens = marked.lexer(markdown, { gfm: true })
+
+    return {
+        type: 'doc',
+        version: 1,
+        content: convertBlocks(tokens)
+    }
+}
+
+/**
+ * Splits an ADF document into documents whose JSON is at most maxLength characters
+ * Blocks are kept whole when they fit, larger ones (lists, tables, code blocks, long paragraphs)
+ * are split between their children and, at the bottom, their text
+ * @returns {object[]} ADF documents, in order
+ */
+function splitDocument(doc, maxLength) {
+    const parts = []
+    let rest = doc
+
+    while (rest) {
+        const { head, tail } = takeHead(rest, maxLength)
+        // Nothing fits (a node whose own markup exceeds the limit): keep it whole
+        parts.push(head || tail)
+        rest = head ? tail : null
+    }
+
+    return parts
+}
+
+/* Size Jira measures a rich text field by: the length of its ADF JSON */
+function getSize(node) {
+    return JSON.stringify(node).length
+}
+
+/**
+ * Cuts the largest leading part of a node that fits in maxLength
+ * Returns { head, tail }: copies of the node (same type and attrs) with the leading and remaining
+ * children, or text - either is null when empty
+ */
+function takeHead(node, maxLength) {
+    if (getSize(node) <= maxLength) return { head: node, tail: null }
+
+    if (node.type === 'text') return takeText(node, maxLength)
+
+    const shellSize = getSize({ ...node, content: [] })
+    if (!node.content?.length || shellSize >= maxLength) return { head: null, tail: node }
+
+    const headContent = []
+    let size = shellSize
+    let idx = 0
+
+    for (; idx < node.content.length; idx++) {
+        const child = node.content[idx]
+        const separator = headContent.length ? 1 : 0
+
+        if (size + separator + getSize(child) > maxLength) {
+            const { head, tail } = takeHead(child, maxLength - size - separator)
+            if (head) headContent.push(head)
+            return {
+                head: headContent.length ? { ...node, content: headContent } : null,
+                tail: { ...node, content: [...(tail ? [tail] : []), ...node.content.slice(idx + 1)] }
+            }
+        }
+
+        headContent.push(child)
+        size += separator + getSize(child)
+    }
+
+    return { head: node, tail: null }
+}
+
+function takeText(node, maxLength) {
+    // Escaped characters (quotes, newlines) take more than one character in JSON
+    let length = maxLength - getSize({ ...node, text: '' })
+    while (length > 0 && getSize({ ...node, text: node.text.slice(0, length) }) > maxLength) {
+        length = Math.floor(length * 0.9)
+    }
+    if (length <= 0) return { head: null, tail: node }
+
+    return {
+        head: { ...node, text: node.text.slice(0, length) },
+        tail: { ...node, text: node.text.slice(length) }
+    }
+}
+
+/* Block level tokens -> ADF block nodes */
+function convertBlocks(tokens = []) {
+    return tokens.flatMap(token => {
+        switch (token.type) {
+            case 'heading':
+                return [{
+                    type: 'heading',
+                    attrs: { level: Math.min(Math.max(token.depth, 1), 6) },
+                    content: convertInline(token.tokens)
+                }]
+
+            case 'paragraph':
+                return [paragraph(convertInline(token.tokens))]
+
+            // Tight list items hold 'text' blocks instead of paragraphs
+            case 'text':
+                return [paragraph(token.tokens ? convertInline(token.tokens) : textNodes(unescape(token.text)))]
+
+            case 'list':
+                return [convertList(token)]
+
+            case 'code':
+                return [{
+                    type: 'codeBlock',
+                    attrs: token.lang ? { language: token.lang } : {},
+                    content: token.text ? [{ type: 'text', text: token.text }] : []
+                }]
+
+            case 'blockquote':
+                return convertBlockquote(token)
+
+            case 'table':
+                return [convertTable(token)]
+
+            case 'hr':
+                return [{ type: 'rule' }]
+
+            // Raw HTML is kept as plain text, ADF has no equivalent
+            case 'html':
+                return token.text.trim() ? [paragraph(textNodes(token.text.trim()))] : []
+
+            default:
+                return []
+        }
+    })
+}
+
+/**
+ * Headings in a quote become bold paragraphs and nested quotes are flattened,
+ * the blocks ADF does not allow in a quote (tables, rules) end it and are placed after it
+ */
+function convertBlockquote(token) {
+    const blocks = []
+    let quoted = []
+    const endQuote = () => {
+        if (quoted.length) blocks.push({ type: 'blockquote', content: quoted })
+        quoted = []
+    }
+
+    for (const node of convertBlocks(token.tokens).flatMap(toQuoteContent)) {
+        if (QUOTE_CONTENT_TYPES.includes(node.type)) {
+            quoted.push(node)
+        } else {
+            endQuote()
+            blocks.push(node)
+        }
+    }
+    endQuote()
+
+    return blocks
+}
+
+function toQuoteContent(node) {
+    if (node.type === 'blockquote') return node.content
+    if (node.type !== 'heading') return [node]
+
+    // The code mark can only be combined with a link
+    return [paragraph(node.content.map(child => (
+        child.type === 'text' && !child.marks?.some(mark => mark.type === 'code')
+            ? { ...child, marks: [...(child.marks || []), { type: 'strong' }] }
+            : child
+    )))]
+}
+
+function convertList(token) {
+    const list = {
+        type: token.ordered ? 'orderedList' : 'bulletList',
+        content: token.items.map(item => {
+            const content = convertBlocks(item.tokens)
+            const prefix = item.task ? (item.checked ? '[x] ' : '[ ] ') : ''
+
+            // A list item must start with a paragraph
+            if (content[0]?.type !== 'paragraph') content.unshift(paragraph([]))
+            if (prefix) content[0].content.unshift({ type: 'text', text: prefix })
+
+            return { type: 'listItem', content }
+        })
+    }
+
+    if (token.ordered && Number.isInteger(token.start) && token.start !== 1) {
+        list.attrs = { order: token.start }
+    }
+
+    return list
+}
+
+function convertTable(token) {
+    const toRow = (cells, cellType) => ({
+        type: 'tableRow',
+        content: cells.map(cell => ({
+            type: cellType,
+            attrs: {},
+            content: [paragraph(convertInline(cell.tokens))]
+        }))
+    })
+
+    return {
+        type: 'table',
+        attrs: { isNumberColumnEnabled: false, layout: 'default' },
+        content: [
+            toRow(token.header, 'tableHeader'),
+            ...token.rows.map(row => toRow(row, 'tableCell'))
+        ]
+    }
+}
+
+/* Inline tokens -> ADF text nodes, carrying the marks of the enclosing tokens */
+function convertInline(tokens = [], marks = []) {
+    return tokens.flatMap(token => {
+        switch (token.type) {
+            case 'strong':
+                return convertInline(token.tokens, [...marks, { type: 'strong' }])
+
+            case 'em':
+                return convertInline(token.tokens, [...marks, { type: 'em' }])
+
+            case 'del':
+                return convertInline(token.tokens, [...marks, { type: 'strike' }])
+
+            case 'link':
+                return convertInline(token.tokens, [...marks, linkMark(token.href)])
+
+            // Images cannot be embedded without an upload, link to them instead
+            case 'image':
+                return textNodes(token.text || token.href, [...marks, linkMark(token.href)])
+
+            // The code mark can only be combined with a link
+            case 'codespan':
+                return textNodes(unescape(token.text), [
+                    ...marks.filter(mark => mark.type === 'link'),
+                    { type: 'code' }
+                ])
+
+            case 'br':
+                return [{ type: 'hardBreak' }]
+
+            case 'text':
+                return token.tokens
+                    ? convertInline(token.tokens, marks)
+                    : textNodes(unescape(token.text).replace(/\n/g, ' '), marks)
+
+            case 'escape':
+            case 'html':
+                return textNodes(unescape(token.text), marks)
+
+            default:
+                return token.raw ? textNodes(token.raw, marks) : []
+        }
+    })
+}
+
+function paragraph(content) {
+    return { type: 'paragraph', content }
+}
+
+/* ADF rejects empty text nodes */
+function textNodes(text, marks = []) {
+    if (!text) return []
+
+    const node = { type: 'text', text }
+    if (marks.length) node.marks = marks
+    return [node]
+}
+
+function linkMark(href) {
+    return { type: 'link', attrs: { href } }
+}
+
+function unescape(text = '') {
+    return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => HTML_ENTITIES[entity])
+}
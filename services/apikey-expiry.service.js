@@ -0,0 +1,61 @@
+import axios from 'axios'
+import { apikeyService } from '../api/apikey/apikey.service.js'
+import { userService } from '../api/user/user.service.js'
+import { loggerService } from './logger.service.js'
+
+/*
+ * API Key Expiry Service
+ * Warns the owners of API keys that expire soon, once per key, so they can rotate them in time
+ */
+export const apikeyExpiryService = {
+    warnExpiringKeys
+}
+
+export const EXPIRY_WARNING_DAYS = 7
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Warns about every key expiring within EXPIRY_WARNING_DAYS
+ * Warnings are logged and posted to API_KEY_EXPIRY_WEBHOOK_URL when set; a key is marked once its warning went out
+ */
+async function warnExpiringKeys(now = new Date()) {
+    const startTime = Date.now()
+    const totals = { expiring: 0, warned: 0, failed: 0 }
+
+    const apiKeys = await apikeyService.getExpiring(new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS), now)
+    totals.expiring = apiKeys.length
+
+    for (const apiKey of apiKeys) {
+        try {
+            const owner = await userService.getById(apiKey.userId)
+            await _sendWarning(apiKey, owner, now)
+            await apikeyService.recordExpiryWarning(apiKey.id)
+            totals.warned++
+        } catch (err) {
+            // Left unmarked, the warning is retried on the next run
+            totals.failed++
+            loggerService.error(`Expiry warning for API key ${apiKey.id} failed:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`API key expiry check completed in ${duration}s: ${totals.expiring} expiring, ${totals.warned} warned, ${totals.failed} failed`)
+
+    return totals
+}
+
+/* The message has a Slack-compatible text, plus the details for other receivers */
+async function _sendWarning(apiKey, owner, now) {
+    const daysLeft = Math.ceil((new Date(apiKey.expiresAt) - now) / DAY_MS)
+    const text = `API key "${apiKey.name}" of ${owner?.email || apiKey.userId} expires in ${daysLeft} day(s), on ${new Date(apiKey.expiresAt).toISOString()}. Rotate it with POST /api/apikeys/${apiKey.id}/rotate`
+
+    loggerService.warn(text)
+    if (!process.env.API_KEY_EXPIRY_WEBHOOK_URL) return
+
+    await axios.post(process.env.API_KEY_EXPIRY_WEBHOOK_URL, {
+        text,
+        apiKey: { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt, lastUsedAt: apiKey.lastUsedAt },
+        owner: { userId: apiKey.userId, email: owner?.email || null }
+    }, { timeout: 10000 })
+}
@@ -0,0 +1,157 @@
+import crypto from 'crypto'
+import { redactionService } from './redaction.service.js'
+
+// Jira Cloud rejects files over 10MB by default, stay below it
+export const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024
+export const MAX_ATTACHMENTS = 10
+// Base64 adds a third to the files: 7MB of them is about 9.3MB of JSON, under the 10MB body limit (server.js)
+export const MAX_BASE64_ATTACHMENTS_SIZE = 7 * 1024 * 1024
+
+// Evidence types accepted on findings - scanner output, policies, screenshots and reports
+export const ALLOWED_CONTENT_TYPES = [
+    'text/plain',
+    'text/csv',
+    'text/markdown',
+    'application/json',
+    'application/sarif+json',
+    'application/x-ndjson',
+    'application/yaml',
+    'application/xml',
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif'
+]
+
+// Text evidence is scanned for secrets before it leaves the backend, like every other finding field
+const TEXT_CONTENT_TYPES = ALLOWED_CONTENT_TYPES.filter(type => !type.startsWith('image/') && type !== 'application/pdf')
+
+/*
+ * Attachment Service
+ * Validates finding evidence received as base64 JSON or multipart files and prepares it for Jira
+ * An attachment is { filename, contentType, buffer }
+ */
+export const attachmentService = {
+    fromBase64,
+    fromFiles,
+    prepareForUpload,
+    toMetadata,
+    getBase64LimitMessage
+}
+
+/**
+ * Decodes and validates JSON attachments: [{ filename, contentType, content (base64) }]
+ * @returns {{attachments: object[], errors: string[]}}
+ */
+function fromBase64(list) {
+    if (list === undefined) return { attachments: [], errors: [] }
+    if (!Array.isArray(list)) return { attachments: [], errors: ['attachments must be an array'] }
+
+    const errors = []
+    const attachments = []
+
+    list.forEach((item, idx) => {
+        const name = `attachments[${idx}]`
+
+        if (!item || typeof item !== 'object') {
+            errors.push(`${name} must be an object with filename, contentType and content`)
+            return
+        }
+
+        if (typeof item.content !== 'string' || !/^[A-Za-z0-9+/\r\n]*={0,2}\s*$/.test(item.content)) {
+            errors.push(`${name}.content must be a base64 string`)
+            return
+        }
+
+        attachments.push({
+            filename: item.filename,
+            contentType: _normalizeContentType(item.contentType),
+            buffer: Buffer.from(item.content, 'base64')
+        })
+    })
+
+    const totalSize = attachments.reduce((total, attachment) => total + attachment.buffer.length, 0)
+    if (totalSize > MAX_BASE64_ATTACHMENTS_SIZE) errors.push(getBase64LimitMessage())
+
+    return _validate(attachments, errors)
+}
+
+/* What to do with evidence that does not fit in a JSON request */
+function getBase64LimitMessage() {
+    return `Base64 attachments can total at most ${MAX_BASE64_ATTACHMENTS_SIZE / 1024 / 1024}MB, ` +
+        `send larger evidence as multipart/form-data (up to ${MAX_ATTACHMENTS} files of ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB)`
+}
+
+/**
+ * Validates multipart files (multer memory storage)
+ * @returns {{attachments: object[], errors: string[]}}
+ */
+function fromFiles(files = []) {
+    const attachments = files.map(file => ({
+        filename: file.originalname,
+        contentType: _normalizeContentType(file.mimetype),
+        buffer: file.buffer
+    }))
+
+    return _validate(attachments, [])
+}
+
+/**
+ * Redacts secrets from text attachments
+ * Binary evidence (images, PDF) is uploaded as is
+ */
+function prepareForUpload(attachment) {
+    if (!TEXT_CONTENT_TYPES.includes(attachment.contentType)) return attachment
+
+    const text = attachment.buffer.toString('utf8')
+    const redacted = redactionService.redact(text)
+    if (redacted === text) return attachment
+
+    return { ...attachment, buffer: Buffer.from(redacted, 'utf8'), isRedacted: true }
+}
+
+/**
+ * What is stored on the finding - the content itself only lives in Jira
+ */
+function toMetadata(attachment) {
+    return {
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        size: attachment.buffer.length,
+        sha256: crypto.createHash('sha256').update(attachment.buffer).digest('hex')
+    }
+}
+
+// 'Text/Plain; charset=utf-8' -> 'text/plain'
+function _normalizeContentType(contentType) {
+    return typeof contentType === 'string' ? contentType.split(';')[0].trim().toLowerCase() : contentType
+}
+
+function _validate(attachments, errors) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+        errors.push(`A finding can have at most ${MAX_ATTACHMENTS} attachments`)
+    }
+
+    attachments.forEach((attachment, idx) => {
+        const name = `attachments[${idx}]`
+
+        if (!attachment.filename || typeof attachment.filename !== 'string' || /[\\/]/.test(attachment.filename)) {
+            errors.push(`${name}.filename is required and must be a file name without a path`)
+        }
+
+        if (!ALLOWED_CONTENT_TYPES.includes(attachment.contentType)) {
+            errors.push(`${name}.contentType ${attachment.contentType} is not allowed. Allowed types: ${ALLOWED_CONTENT_TYPES.join(', ')}`)
+        }
+
+        if (attachment.buffer.length === 0) {
+            errors.push(`${name} is empty`)
+        } else if (attachment.buffer.length > MAX_ATTACHMENT_SIZE) {
+            errors.push(`${name} is larger than ${MAX_ATTACHMENT_SIZE / 1024 / 1024}MB`)
+        }
+    })
+
+    return {
+        attachments: errors.length ? [] : attachments,
+        errors
+    }
+}
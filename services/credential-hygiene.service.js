@@ -0,0 +1,273 @@
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+import { identityService } from '../api/identity/identity.service.js'
+import { hygienePolicyService } from '../api/hygiene-policy/hygiene-policy.service.js'
+import { suppressionRuleService } from '../api/suppression-rule/suppression-rule.service.js'
+import { nhiFindingsService, FINDING_STATUS, SUBMIT_STATUS } from '../api/nhi-findings/nhi-findings.service.js'
+import { riskScoreService } from './risk-score.service.js'
+import { loggerService } from './logger.service.js'
+
+/*
+ * Credential Hygiene Service
+ * Flags inventory identities that are unused, due for rotation or close to expiry, as findings
+ */
+export const credentialHygieneService = {
+    checkAllUsers,
+    checkUser
+}
+
+export const HYGIENE_SOURCE = 'identity-hygiene'
+
+export const HYGIENE_CHECK = {
+    UNUSED: 'unused',
+    ROTATION: 'rotation',
+    EXPIRY: 'expiry'
+}
+
+// Identity types that are a credential themselves, their age is the age of the secret
+const ROTATED_TYPES = ['access_key', 'api_key']
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/* Runs the hygiene check for every user with an inventory */
+async function checkAllUsers() {
+    const startTime = Date.now()
+    const totals = { users: 0, flagged: 0, created: 0, existing: 0, resolved: 0, failed: 0, failedUsers: 0 }
+
+    const userIds = await identityService.getUserIds()
+
+    for (const userId of userIds) {
+        try {
+            const result = await checkUser(userId)
+            if (!result) continue
+
+            totals.users++
+            totals.flagged += result.flagged
+            totals.created += result.created
+            totals.existing += result.existing
+            totals.resolved += result.resolved
+            totals.failed += result.failed
+        } catch (err) {
+            // Nothing is marked for this user, the check runs again in full next time
+            totals.failedUsers++
+            loggerService.error(`Hygiene check failed for user ${userId}:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`Hygiene check completed in ${duration}s for ${totals.users} user(s): ${totals.flagged} flagged, ${totals.created} new findings, ${totals.resolved} resolved, ${totals.failed} failed, ${totals.failedUsers} users failed`)
+
+    return totals
+}
+
+/**
+ * Checks the inventory of a user against their hygiene policy
+ * Each flag is raised once: while its finding is active, later runs count it as existing.
+ * A flag that no longer applies resolves its finding, unless a Jira ticket tracks it.
+ * Returns { flagged, created, existing, resolved, failed, errors }, or null when the user disabled the check
+ */
+async function checkUser(userId, now = new Date()) {
+    const policy = await hygienePolicyService.getByUser(userId)
+    if (!policy.enabled) return null
+
+    const context = policy.createTickets ? await _getTicketContext(userId) : null
+    const identities = await identityService.getByUser(userId)
+    const flags = identities.flatMap(identity => _getFlags(identity, policy, now))
+    const activeFindings = await nhiFindingsService.getActiveBySource(userId, HYGIENE_SOURCE)
+    const activeFingerprints = new Set(activeFindings.map(finding => finding.fingerprint))
+
+    const result = { flagged: flags.length, created: 0, existing: 0, resolved: 0, failed: 0, errors: [] }
+
+    for (const flag of flags) {
+        if (activeFingerprints.has(flag.fingerprint)) {
+            result.existing++
+            continue
+        }
+
+        const data = _toFindingData(flag, policy)
+        const submission = context
+            ? await nhiFindingsService.submit(context, data)
+            : await _recordFinding(userId, data)
+
+        if (submission.status === SUBMIT_STATUS.FAILED) {
+            result.failed++
+            result.errors.push({ identityId: flag.identity.id, check: flag.check, error: submission.error })
+        } else {
+            result.created++
+        }
+    }
+
+    const flaggedFingerprints = new Set(flags.map(flag => flag.fingerprint))
+    const resolvedFindings = activeFindings.filter(finding =>
+        finding.status === FINDING_STATUS.OPEN && !finding.ticket && !flaggedFingerprints.has(finding.fingerprint)
+    )
+    for (const finding of resolvedFindings) {
+        const resolved = await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.REMEDIATED, {
+            from: FINDING_STATUS.OPEN,
+            reason: 'hygiene-resolved'
+        })
+        if (resolved) result.resolved++
+    }
+
+    return result
+}
+
+/**
+ * Hygiene problems of an identity: { check, identity, fingerprint, severity, summary, details }
+ * Disabled identities are skipped, they cannot be used until someone enables them
+ */
+function _getFlags(identity, policy, now) {
+    if (identity.isEnabled === false) return []
+
+    const flags = []
+    const isPrivileged = !!identity.permissions?.isPrivileged
+    const severity = isPrivileged ? 'high' : 'medium'
+    const daysSince = date => Math.floor((now - new Date(date)) / DAY_MS)
+
+    // Never used identities count from their creation
+    const lastActivityAt = identity.lastUsedAt || identity.identityCreatedAt
+    if (lastActivityAt && daysSince(lastActivityAt) >= policy.unusedDays) {
+        flags.push({
+            check: HYGIENE_CHECK.UNUSED,
+            identity,
+            fingerprint: _getFingerprint(HYGIENE_CHECK.UNUSED, identity),
+            severity,
+            summary: `Unused credential: ${identity.name}`,
+            details: identity.lastUsedAt
+                ? `Last used ${daysSince(identity.lastUsedAt)} days ago, on ${new Date(identity.lastUsedAt).toISOString()} (threshold: ${policy.unusedDays} days).`
+                : `Never used since it was created ${daysSince(identity.identityCreatedAt)} days ago (threshold: ${policy.unusedDays} days).`
+        })
+    }
+
+    // The creation date is part of the fingerprint, a rotated key starts a new cycle
+    if (ROTATED_TYPES.includes(identity.type) && identity.identityCreatedAt && daysSince(identity.identityCreatedAt) >= policy.rotationDays) {
+        flags.push({
+            check: HYGIENE_CHECK.ROTATION,
+            identity,
+            fingerprint: _getFingerprint(HYGIENE_CHECK.ROTATION, identity, identity.identityCreatedAt),
+            severity,
+            summary: `Credential due for rotation: ${identity.name}`,
+            details: `Created ${daysSince(identity.identityCreatedAt)} days ago, on ${new Date(identity.identityCreatedAt).toISOString()} (rotation threshold: ${policy.rotationDays} days).`
+        })
+    }
+
+    // Likewise the expiry date, a renewed secret is flagged again when it nears its new expiry
+    if (identity.expiresAt && new Date(identity.expiresAt) - now <= policy.expiryWarningDays * DAY_MS) {
+        const isExpired = new Date(identity.expiresAt) <= now
+        flags.push({
+            check: HYGIENE_CHECK.EXPIRY,
+            identity,
+            fingerprint: _getFingerprint(HYGIENE_CHECK.EXPIRY, identity, identity.expiresAt),
+            severity: isExpired ? (isPrivileged ? 'critical' : 'high') : severity,
+            summary: `${isExpired ? 'Expired' : 'Expiring'} credential: ${identity.name}`,
+            details: isExpired
+                ? `Expired ${daysSince(identity.expiresAt)} days ago, on ${new Date(identity.expiresAt).toISOString()}.`
+                : `Expires in ${Math.ceil((new Date(identity.expiresAt) - now) / DAY_MS)} days, on ${new Date(identity.expiresAt).toISOString()} (warning window: ${policy.expiryWarningDays} days).`
+        })
+    }
+
+    return flags
+}
+
+function _getFingerprint(check, identity, date = null) {
+    return [HYGIENE_SOURCE, check, identity.id, date && new Date(date).toISOString()].filter(Boolean).join(':')
+}
+
+/* Finding in the format of POST /api/nhi-findings, routed to the policy's project when tickets are enabled */
+function _toFindingData(flag, policy) {
+    const { identity } = flag
+    const data = {
+        source: HYGIENE_SOURCE,
+        fingerprint: flag.fingerprint,
+        identityId: identity.id,
+        summary: flag.summary,
+        severity: flag.severity,
+        description: _buildDescription(flag),
+        labels: ['nhi-hygiene', `hygiene-${flag.check}`]
+    }
+
+    if (policy.createTickets) {
+        data.projectKey = policy.projectKey
+        if (policy.issueType) data.issueType = policy.issueType
+    }
+
+    return data
+}
+
+function _buildDescription({ check, identity, details }) {
+    const remediation = {
+        [HYGIENE_CHECK.UNUSED]: 'Confirm with the owner whether the identity is still needed, and disable or delete it if not.',
+        [HYGIENE_CHECK.ROTATION]: 'Issue a new credential, move its consumers over and revoke the old one.',
+        [HYGIENE_CHECK.EXPIRY]: 'Renew or replace the credential before its consumers start failing, or remove it if it is no longer used.'
+    }
+
+    const attributes = [
+        `- **Type:** ${identity.type}`,
+        `- **Provider:** ${identity.provider || 'unknown'}`,
+        `- **Owner:** ${identity.owner || 'unassigned'}`,
+        `- **Environment:** ${identity.environment || 'unknown'}`,
+        `- **Privileged:** ${identity.permissions?.isPrivileged ? 'yes' : 'no'}`
+    ]
+    if (identity.externalId) attributes.push(`- **External id:** ${identity.externalId}`)
+
+    return [
+        `## ${identity.name}`,
+        details,
+        attributes.join('\n'),
+        `**Remediation:** ${remediation[check]}`
+    ].join('\n\n')
+}
+
+/**
+ * Stores a finding without a Jira ticket, open until the flag clears
+ * Suppression rules apply as they do to submitted findings
+ */
+async function _recordFinding(userId, data) {
+    const identity = await identityService.getById(data.identityId, userId)
+    const payload = {
+        ...data,
+        identity: identity ? { name: identity.name, type: identity.type, ...(identity.provider && { provider: identity.provider }) } : null
+    }
+
+    const finding = await nhiFindingsService.add({
+        userId,
+        source: HYGIENE_SOURCE,
+        fingerprint: data.fingerprint,
+        risk: await riskScoreService.scoreSubmission(userId, payload, identity),
+        payload
+    })
+
+    const suppressionRule = await suppressionRuleService.findMatch(userId, payload, data.fingerprint)
+    if (suppressionRule) {
+        await suppressionRuleService.recordMatch(suppressionRule.id)
+        const suppressed = await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.SUPPRESSED, {
+            reason: 'suppression-rule',
+            fields: {
+                suppression: {
+                    ruleId: suppressionRule.id,
+                    justification: suppressionRule.justification,
+                    expiresAt: suppressionRule.expiresAt
+                }
+            }
+        })
+
+        return { status: SUBMIT_STATUS.SUPPRESSED, finding: suppressed }
+    }
+
+    const opened = await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.OPEN, { reason: 'hygiene-check' })
+
+    return { status: SUBMIT_STATUS.CREATED, finding: opened }
+}
+
+async function _getTicketContext(userId) {
+    const user = await userService.getById(userId)
+    if (!user?.config?.jira) throw new Error('Jira not connected')
+
+    const accessToken = await jiraService.getValidAccessToken(user)
+
+    return {
+        userId,
+        apiKeyId: null,
+        accessToken,
+        jiraConfig: user.config.jira
+    }
+}
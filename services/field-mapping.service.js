@@ -0,0 +1,180 @@
+// Finding attributes a custom field can be filled from, nested ones by path (e.g. identity.provider)
+export const FIELD_MAPPING_ATTRIBUTES = ['summary', 'severity', 'source', 'secretType', 'fingerprint', 'labels', 'identity', 'location']
+
+// Fields the app always sets, or sets from dedicated finding attributes
+const BUILT_IN_FIELDS = ['project', 'issuetype', 'summary', 'description', 'priority', 'labels', 'components', 'assignee']
+
+/*
+ * Field Mapping Service
+ * Fills Jira fields from a project's field mapping and finds required fields an issue still lacks.
+ * A mapping is { [fieldId]: { attribute: 'identity.provider' } | { value: 'Platform' } },
+ * the fields are read from the project's create metadata (GET /issue/createmeta).
+ */
+export const fieldMappingService = {
+    getProjectFields,
+    getIssueTypeFields,
+    validateMapping,
+    applyMapping,
+    getMissingRequiredFields,
+    getMissingFieldsReport
+}
+
+/**
+ * Fields of all issue types of a project: [{ id, name, schema, allowedValues, issueTypes: [{ name, required }] }]
+ * Null when the metadata holds no project
+ */
+function getProjectFields(metadata) {
+    const project = metadata?.projects?.[0]
+    if (!project) return null
+
+    const fieldsById = new Map()
+    project.issuetypes.forEach(issueType => {
+        Object.entries(issueType.fields || {}).forEach(([id, field]) => {
+            if (!fieldsById.has(id)) {
+                fieldsById.set(id, {
+                    id,
+                    name: field.name,
+                    schema: field.schema,
+                    allowedValues: field.allowedValues?.map(value => value.value || value.name).filter(Boolean),
+                    issueTypes: []
+                })
+            }
+            fieldsById.get(id).issueTypes.push({ name: issueType.name, required: _isRequired(field) })
+        })
+    })
+
+    return [...fieldsById.values()]
+}
+
+/**
+ * Fields of one issue type ({ [fieldId]: field } as in createmeta), null when the project does not have it
+ */
+function getIssueTypeFields(metadata, issueTypeName) {
+    const issueType = metadata?.projects?.[0]?.issuetypes
+        ?.find(type => type.name.toLowerCase() === issueTypeName?.toLowerCase())
+
+    return issueType ? issueType.fields || {} : null
+}
+
+/**
+ * Checks a mapping against the project's fields
+ * @returns {string[]} errors
+ */
+function validateMapping(fieldMapping, projectFields) {
+    const errors = []
+    const fieldIds = projectFields.map(field => field.id)
+
+    Object.entries(fieldMapping).forEach(([fieldId, source]) => {
+        if (BUILT_IN_FIELDS.includes(fieldId)) {
+            errors.push(`${fieldId} is set by the app and cannot be mapped`)
+            return
+        }
+
+        if (!fieldIds.includes(fieldId)) {
+            errors.push(`${fieldId} is not a field of this project`)
+            return
+        }
+
+        const isObject = source && typeof source === 'object' && !Array.isArray(source)
+        const hasAttribute = isObject && source.attribute !== undefined
+        const hasValue = isObject && source.value !== undefined
+        if (hasAttribute === hasValue) {
+            errors.push(`${fieldId} must map either an attribute or a static value`)
+        } else if (hasAttribute && !_isMappableAttribute(source.attribute)) {
+            errors.push(`${fieldId}: attribute must be one of ${FIELD_MAPPING_ATTRIBUTES.join(', ')} (identity and location by path, e.g. identity.provider)`)
+        }
+    })
+
+    return errors
+}
+
+/**
+ * Sets the mapped fields on issue data, formatted by each field's schema
+ * Attributes the finding does not have are left out. fields: the issue type's fields, unknown ones are skipped.
+ */
+function applyMapping(issueData, data, fieldMapping = {}, fields = {}) {
+    const mapped = { ...issueData }
+
+    Object.entries(fieldMapping).forEach(([fieldId, source]) => {
+        const field = fields[fieldId]
+        if (!field) return
+
+        const value = source.attribute !== undefined ? _getAttribute(data, source.attribute) : source.value
+        if (value === undefined || value === null || value === '') return
+
+        mapped[fieldId] = _formatValue(value, field.schema)
+    })
+
+    return mapped
+}
+
+/**
+ * Required fields of the issue type without a default value that the issue data leaves empty
+ * @returns {{id: string, name: string}[]}
+ */
+function getMissingRequiredFields(issueData, fields = {}) {
+    return Object.entries(fields)
+        .filter(([id, field]) => _isRequired(field) && (issueData[id] === undefined || issueData[id] === null))
+        .map(([id, field]) => ({ id, name: field.name }))
+}
+
+/**
+ * Required fields each issue type of a project still lacks with a mapping, i.e. what findings
+ * of that type could not be created without
+ * @returns {{[issueType: string]: {id: string, name: string}[]}}
+ */
+function getMissingFieldsReport(metadata, fieldMapping = {}) {
+    const project = metadata?.projects?.[0]
+    if (!project) return null
+
+    return Object.fromEntries(project.issuetypes.map(issueType => {
+        const missing = Object.entries(issueType.fields || {})
+            .filter(([id, field]) => _isRequired(field) && !BUILT_IN_FIELDS.includes(id) && !fieldMapping[id])
+            .map(([id, field]) => ({ id, name: field.name }))
+
+        return [issueType.name, missing]
+    }))
+}
+
+/* Jira fills required fields that have a default (e.g. reporter) by itself */
+function _isRequired(field) {
+    return !!field.required && !field.hasDefaultValue
+}
+
+function _isMappableAttribute(attribute) {
+    if (typeof attribute !== 'string') return false
+
+    const [root, ...path] = attribute.split('.')
+    if (!FIELD_MAPPING_ATTRIBUTES.includes(root)) return false
+
+    // identity and location are objects, the others are leaf values
+    return ['identity', 'location'].includes(root) ? path.length === 1 && !!path[0] : !path.length
+}
+
+function _getAttribute(data, attribute) {
+    return attribute.split('.').reduce((value, key) => value?.[key], data)
+}
+
+/* Static objects and arrays are sent as written, as raw Jira field JSON */
+function _formatValue(value, schema = {}) {
+    if (typeof value === 'object' && !Array.isArray(value)) return value
+
+    const toItem = (item, type) => {
+        switch (type) {
+            case 'number': return Number(item)
+            case 'option': return { value: String(item) }
+            case 'user': return { accountId: String(item) }
+            case 'version':
+            case 'component':
+            case 'group': return { name: String(item) }
+            default: return String(item)
+        }
+    }
+
+    if (schema.type === 'array') {
+        const items = Array.isArray(value) ? value : [value]
+        return items.map(item => typeof item === 'object' ? item : toItem(item, schema.items))
+    }
+
+    return Array.isArray(value) ? value : toItem(value, schema.type)
+}
@@ -0,0 +1,97 @@
+/**
+ * Maps Gitleaks JSON reports (`gitleaks detect --report-format json`) to NHI findings
+ */
+export const gitleaksAdapterService = {
+    validateReport,
+    toFindings
+}
+
+const MAX_SUMMARY_LENGTH = 255
+
+/**
+ * Checks the report shape before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateReport(report) {
+    const errors = []
+
+    if (!Array.isArray(report)) {
+        errors.push('Gitleaks report must be a JSON array of findings')
+    } else if (report.some(leak => !leak || typeof leak !== 'object' || !leak.RuleID)) {
+        errors.push('Every Gitleaks finding must be an object with a RuleID')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every leak of the report to a finding
+ * The secret itself (Secret / Match) is never copied into the finding
+ * @param {object[]} report - Gitleaks JSON report
+ * @param {{projectKey?: string, issueType?: string, labels?: string[], repo?: string}} options - Jira target and repository of the scan
+ * @returns {object[]} Findings in the POST /api/nhi-findings format
+ */
+function toFindings(report, { projectKey, issueType, labels = [], repo }) {
+    return report.map(leak => {
+        const location = {}
+        if (repo) location.repo = repo
+        if (leak.File) location.path = leak.File
+        if (leak.StartLine) location.line = leak.StartLine
+        if (leak.Commit) location.commit = leak.Commit
+
+        const secretType = leak.Description || leak.RuleID
+        const summaryLocation = leak.File ? ` in ${leak.File}${leak.StartLine ? `:${leak.StartLine}` : ''}` : ''
+
+        const finding = {
+            projectKey,
+            summary: truncate(`[Gitleaks] ${secretType}${summaryLocation}`, MAX_SUMMARY_LENGTH),
+            description: buildDescription(leak, location, secretType),
+            severity: 'high',
+            labels: [...labels, 'gitleaks', 'leaked-secret'],
+            source: 'gitleaks',
+            secretType,
+            location
+        }
+
+        if (issueType) finding.issueType = issueType
+        if (leak.Fingerprint) finding.fingerprint = `gitleaks:${repo ? `${repo}:` : ''}${leak.Fingerprint}`
+
+        return finding
+    })
+}
+
+/* Builds the Markdown description of a leak */
+function buildDescription(leak, location, secretType) {
+    const details = [
+        `- **Secret type:** ${secretType}`,
+        `- **Rule:** \`${leak.RuleID}\``
+    ]
+
+    if (location.repo) details.push(`- **Repository:** ${location.repo}`)
+    if (location.path) details.push(`- **File:** \`${location.path}${location.line ? `:${location.line}` : ''}\``)
+    if (location.commit) details.push(`- **Commit:** \`${location.commit}\``)
+    if (leak.Author) details.push(`- **Author:** ${leak.Author}${leak.Email ? ` (${leak.Email})` : ''}`)
+    if (leak.Date) details.push(`- **Commit date:** ${leak.Date}`)
+    if (leak.Entropy) details.push(`- **Entropy:** ${Number(leak.Entropy).toFixed(2)}`)
+    if (Array.isArray(leak.Tags) && leak.Tags.length) details.push(`- **Tags:** ${leak.Tags.join(', ')}`)
+    if (leak.Link) details.push(`- **Link:** [${leak.Link}](${leak.Link})`)
+
+    const sections = [
+        `Gitleaks detected a leaked secret (${secretType}).`,
+        '## Details',
+        details.join('\n')
+    ]
+
+    if (leak.Message) {
+        sections.push('## Commit message', `\`\`\`\n${leak.Message.trim()}\n\`\`\``)
+    }
+
+    return sections.join('\n\n')
+}
+
+function truncate(str, maxLength) {
+    return str.length > maxLength ? `${str.substring(0, maxLength - 3)}...` : str
+}
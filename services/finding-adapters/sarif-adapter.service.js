@@ -0,0 +1,172 @@
+/**
+ * Maps SARIF 2.1.0 documents to NHI findings
+ * https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ */
+export const sarifAdapterService = {
+    validateReport,
+    toFindings
+}
+
+const SARIF_VERSION = '2.1.0'
+const MAX_SUMMARY_LENGTH = 255
+
+// SARIF result level -> finding severity (mapped to a Jira priority per project)
+const LEVEL_TO_SEVERITY = {
+    error: 'high',
+    warning: 'medium',
+    note: 'low',
+    none: 'info'
+}
+
+// Result kinds that do not describe a problem
+const NON_FAILING_KINDS = ['pass', 'notApplicable']
+
+/**
+ * Checks the document shape before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateReport(doc) {
+    const errors = []
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        errors.push('SARIF document must be a JSON object')
+    } else {
+        if (doc.version !== SARIF_VERSION) {
+            errors.push(`Only SARIF version ${SARIF_VERSION} is supported`)
+        }
+        if (!Array.isArray(doc.runs)) {
+            errors.push('runs is required and must be an array')
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every failing result of every run to a finding
+ * @param {object} doc - SARIF 2.1.0 log
+ * @param {{projectKey?: string, issueType?: string, labels?: string[]}} options - Jira target of the findings
+ * @returns {object[]} Findings in the POST /api/nhi-findings format
+ */
+function toFindings(doc, options) {
+    return doc.runs.flatMap(run => {
+        const results = Array.isArray(run.results) ? run.results : []
+        return results
+            .filter(result => !NON_FAILING_KINDS.includes(result.kind))
+            .map(result => resultToFinding(run, result, options))
+    })
+}
+
+/* Builds a finding from a single SARIF result */
+function resultToFinding(run, result, { projectKey, issueType, labels = [] }) {
+    const driver = run.tool?.driver || {}
+    const toolName = driver.name || 'sarif'
+    const rule = findRule(driver, result)
+    const ruleId = result.ruleId || rule?.id || 'unknown-rule'
+    const level = result.level || rule?.defaultConfiguration?.level || 'warning'
+    const message = getMessageText(result.message, rule) || ruleId
+    const location = getLocation(run, result)
+
+    const summaryLocation = location.path ? ` in ${location.path}` : ''
+    const summary = `[${ruleId}] ${message.split('\n')[0]}${summaryLocation}`
+
+    const finding = {
+        projectKey,
+        summary: truncate(summary, MAX_SUMMARY_LENGTH),
+        description: buildDescription({ toolName, ruleId, rule, level, message, location }),
+        severity: LEVEL_TO_SEVERITY[level] || LEVEL_TO_SEVERITY.warning,
+        labels: [...labels, 'sarif', toLabel(toolName)],
+        source: toolName.toLowerCase(),
+        location
+    }
+
+    if (issueType) finding.issueType = issueType
+
+    const fingerprint = getFingerprint(result)
+    if (fingerprint) finding.fingerprint = `${toolName}:${fingerprint}`
+
+    return finding
+}
+
+/* Resolves the rule a result refers to, by index or by id */
+function findRule(driver, result) {
+    const rules = Array.isArray(driver.rules) ? driver.rules : []
+    const ruleIndex = result.rule?.index ?? result.ruleIndex
+
+    if (Number.isInteger(ruleIndex) && rules[ruleIndex]) return rules[ruleIndex]
+
+    const ruleId = result.ruleId || result.rule?.id
+    return rules.find(rule => rule.id === ruleId) || null
+}
+
+/* Resolves a SARIF message, including rule message strings with {n} placeholders */
+function getMessageText(message, rule) {
+    if (!message) return rule?.shortDescription?.text || ''
+
+    let text = message.text || message.markdown
+    if (!text && message.id) {
+        text = rule?.messageStrings?.[message.id]?.text
+    }
+    if (!text) return rule?.shortDescription?.text || ''
+
+    const args = Array.isArray(message.arguments) ? message.arguments : []
+    return text.replace(/\{(\d+)\}/g, (match, idx) => args[idx] ?? match).trim()
+}
+
+/* Extracts repo, path, line and commit of the first location of a result */
+function getLocation(run, result) {
+    const physicalLocation = result.locations?.[0]?.physicalLocation
+    const provenance = run.versionControlProvenance?.[0]
+    const location = {}
+
+    if (provenance?.repositoryUri) location.repo = provenance.repositoryUri
+    if (provenance?.revisionId) location.commit = provenance.revisionId
+    if (physicalLocation?.artifactLocation?.uri) location.path = physicalLocation.artifactLocation.uri
+    if (physicalLocation?.region?.startLine) location.line = physicalLocation.region.startLine
+
+    return location
+}
+
+/* Prefers the stable fingerprints emitted by the tool */
+function getFingerprint(result) {
+    const fingerprints = result.fingerprints || result.partialFingerprints
+    if (!fingerprints || typeof fingerprints !== 'object') return null
+
+    const [firstKey] = Object.keys(fingerprints).sort()
+    return firstKey ? `${firstKey}:${fingerprints[firstKey]}` : null
+}
+
+/* Builds the Markdown description of a result */
+function buildDescription({ toolName, ruleId, rule, level, message, location }) {
+    const details = [
+        `- **Tool:** ${toolName}`,
+        `- **Rule:** \`${ruleId}\`${rule?.name ? ` (${rule.name})` : ''}`,
+        `- **Level:** ${level}`
+    ]
+
+    if (location.repo) details.push(`- **Repository:** ${location.repo}`)
+    if (location.path) details.push(`- **File:** \`${location.path}${location.line ? `:${location.line}` : ''}\``)
+    if (location.commit) details.push(`- **Commit:** \`${location.commit}\``)
+
+    const sections = [message, '## Details', details.join('\n')]
+
+    const ruleDescription = rule?.fullDescription?.text || rule?.shortDescription?.text
+    if (ruleDescription && ruleDescription !== message) {
+        sections.push('## Rule', ruleDescription)
+    }
+    if (rule?.helpUri) sections.push(`More info: [${rule.helpUri}](${rule.helpUri})`)
+
+    return sections.join('\n\n')
+}
+
+/* Jira labels cannot contain spaces */
+function toLabel(name) {
+    return name.trim().toLowerCase().replace(/\s+/g, '-')
+}
+
+function truncate(str, maxLength) {
+    return str.length > maxLength ? `${str.substring(0, maxLength - 3)}...` : str
+}
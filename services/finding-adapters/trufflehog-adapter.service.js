@@ -0,0 +1,154 @@
+import crypto from 'crypto'
+
+/**
+ * Maps TruffleHog v3 JSON output (`trufflehog ... --json`) to NHI findings
+ * The output is newline-delimited JSON, a JSON array of the same objects is accepted too
+ */
+export const trufflehogAdapterService = {
+    parseReport,
+    validateReport,
+    toFindings
+}
+
+const MAX_SUMMARY_LENGTH = 255
+
+/**
+ * Turns the raw request body into an array of TruffleHog results
+ * @param {string|object|object[]} body - NDJSON text, a JSON array or a single result
+ * @returns {object[]|null} Results, or null when the body cannot be parsed
+ */
+function parseReport(body) {
+    if (Array.isArray(body)) return body
+    if (body && typeof body === 'object') return [body]
+    if (typeof body !== 'string') return null
+
+    try {
+        const text = body.trim()
+        if (text.startsWith('[')) return JSON.parse(text)
+
+        return text
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+    } catch (err) {
+        return null
+    }
+}
+
+/**
+ * Checks the report shape before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateReport(results) {
+    const errors = []
+
+    if (!Array.isArray(results)) {
+        errors.push('TruffleHog report must be newline-delimited JSON or a JSON array of results')
+    } else if (results.some(result => !result || typeof result !== 'object' || !result.DetectorName)) {
+        errors.push('Every TruffleHog result must be an object with a DetectorName')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every result to a finding
+ * The raw secret is only used to derive the fingerprint hash, it is never copied into the finding
+ * @param {object[]} results - TruffleHog results
+ * @param {{projectKey?: string, issueType?: string, labels?: string[], repo?: string}} options - Jira target and repository of the scan
+ * @returns {object[]} Findings in the POST /api/nhi-findings format
+ */
+function toFindings(results, { projectKey, issueType, labels = [], repo }) {
+    return results.map(result => {
+        const { sourceKind, location, metadata } = getSourceLocation(result, repo)
+        const secretType = result.DetectorName
+        const verified = !!result.Verified
+        const summaryLocation = location.path ? ` in ${location.path}` : ''
+
+        const finding = {
+            projectKey,
+            summary: truncate(`[TruffleHog] ${verified ? 'Verified' : 'Unverified'} ${secretType} secret${summaryLocation}`, MAX_SUMMARY_LENGTH),
+            description: buildDescription(result, { sourceKind, location, metadata, secretType, verified }),
+            // A verified secret is known to be live
+            severity: verified ? 'high' : 'medium',
+            labels: [...labels, 'trufflehog', 'leaked-secret', verified ? 'verified-secret' : 'unverified-secret'],
+            source: 'trufflehog',
+            secretType,
+            location,
+            fingerprint: getFingerprint(result, location)
+        }
+
+        if (issueType) finding.issueType = issueType
+
+        return finding
+    })
+}
+
+/* SourceMetadata.Data holds one entry keyed by the source kind (Git, Github, Filesystem, ...) */
+function getSourceLocation(result, repo) {
+    const [sourceKind, metadata = {}] = Object.entries(result.SourceMetadata?.Data || {})[0] || []
+    const location = {}
+
+    const repository = metadata.repository || repo
+    if (repository) location.repo = repository
+    if (metadata.file) location.path = metadata.file
+    if (metadata.line) location.line = metadata.line
+    if (metadata.commit) location.commit = metadata.commit
+
+    return { sourceKind, location, metadata }
+}
+
+/* Stable per secret and location, without storing the secret */
+function getFingerprint(result, location) {
+    const material = [result.DetectorName, result.RawV2 || result.Raw || result.Redacted, location.repo, location.path]
+        .map(part => part || '')
+        .join('|')
+
+    const hash = crypto
+        .createHash('sha256')
+        .update(material)
+        .digest('hex')
+
+    return `trufflehog:${hash}`
+}
+
+/* Builds the Markdown description of a result */
+function buildDescription(result, { sourceKind, location, metadata, secretType, verified }) {
+    const details = [
+        `- **Secret type:** ${secretType}`,
+        `- **Verified:** ${verified ? 'yes' : 'no'}`
+    ]
+
+    if (result.SourceName || sourceKind) details.push(`- **Source:** ${result.SourceName || sourceKind}`)
+    if (location.repo) details.push(`- **Repository:** ${location.repo}`)
+    if (location.path) details.push(`- **File:** \`${location.path}${location.line ? `:${location.line}` : ''}\``)
+    if (location.commit) details.push(`- **Commit:** \`${location.commit}\``)
+    if (metadata.email) details.push(`- **Author:** ${metadata.email}`)
+    if (metadata.timestamp) details.push(`- **Commit date:** ${metadata.timestamp}`)
+    if (metadata.link) details.push(`- **Link:** [${metadata.link}](${metadata.link})`)
+    if (result.DecoderName && result.DecoderName !== 'PLAIN') details.push(`- **Decoder:** ${result.DecoderName}`)
+
+    const sections = [
+        `TruffleHog detected a leaked secret (${secretType}), ${verified ? 'verified as live' : 'not verified'}.`,
+        '## Details',
+        details.join('\n')
+    ]
+
+    // ExtraData carries detector specific context such as the account or resource type
+    const extraData = Object.entries(result.ExtraData || {})
+        .filter(([, value]) => value !== null && value !== '' && typeof value !== 'object')
+    if (extraData.length) {
+        const rows = extraData.map(([key, value]) => `| ${key} | ${String(value).replace(/\|/g, '\\|')} |`)
+        sections.push('## Detector data', ['| Field | Value |', '| --- | --- |', ...rows].join('\n'))
+    }
+
+    return sections.join('\n\n')
+}
+
+function truncate(str, maxLength) {
+    return str.length > maxLength ? `${str.substring(0, maxLength - 3)}...` : str
+}
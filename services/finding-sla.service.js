@@ -0,0 +1,108 @@
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+import { nhiFindingsService } from '../api/nhi-findings/nhi-findings.service.js'
+import { projectSettingsService, SEVERITY_LEVELS } from '../api/project-settings/project-settings.service.js'
+import { adfService } from './adf.service.js'
+import { loggerService } from './logger.service.js'
+
+/*
+ * Finding SLA Service
+ * Escalates the tickets of open findings that passed their remediation due date
+ */
+export const findingSlaService = {
+    checkBreaches
+}
+
+/* Finds the newly breached findings of every user and escalates their tickets */
+async function checkBreaches() {
+    const startTime = Date.now()
+    const totals = { breached: 0, commented: 0, raised: 0, failedUsers: 0 }
+
+    const breaches = await nhiFindingsService.getSlaBreaches()
+    const breachesByUser = new Map()
+    breaches.forEach(finding => {
+        breachesByUser.set(finding.userId, [...(breachesByUser.get(finding.userId) || []), finding])
+    })
+
+    for (const [userId, findings] of breachesByUser) {
+        try {
+            const { commented, raised } = await _escalateUserBreaches(userId, findings)
+            totals.breached += findings.length
+            totals.commented += commented
+            totals.raised += raised
+        } catch (err) {
+            // Left unmarked, the breaches of this user are retried on the next run
+            totals.failedUsers++
+            loggerService.error(`SLA escalation failed for user ${userId}:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`SLA check completed in ${duration}s: ${totals.breached} breached, ${totals.commented} commented, ${totals.raised} priority raised, ${totals.failedUsers} failed`)
+
+    return totals
+}
+
+async function _escalateUserBreaches(userId, findings) {
+    const user = await userService.getById(userId)
+    if (!user?.config?.jira) throw new Error('Jira not connected')
+
+    const accessToken = await jiraService.getValidAccessToken(user)
+    const { cloudId } = user.config.jira
+    const settingsByProject = {}
+    const result = { commented: 0, raised: 0 }
+
+    for (const finding of findings) {
+        settingsByProject[finding.projectKey] = settingsByProject[finding.projectKey] ||
+            await projectSettingsService.getByProject(userId, finding.projectKey)
+        const settings = settingsByProject[finding.projectKey]
+
+        const escalation = { commented: false, priority: null, errors: [] }
+
+        if (settings.raisePriorityOnBreach) {
+            const priority = _getRaisedPriority(finding, settings.priorityMapping)
+            if (priority) {
+                try {
+                    await jiraService.updateIssue(accessToken, cloudId, finding.ticket.key, { priority: { name: priority } })
+                    escalation.priority = priority
+                    result.raised++
+                } catch (err) {
+                    escalation.errors.push(err.message)
+                }
+            }
+        }
+
+        try {
+            await jiraService.addComment(accessToken, cloudId, finding.ticket.key, adfService.markdownToAdf(_buildComment(finding, escalation)))
+            escalation.commented = true
+            result.commented++
+        } catch (err) {
+            escalation.errors.push(err.message)
+        }
+
+        // A breach is escalated once, even when Jira refused part of it
+        await nhiFindingsService.recordSlaBreach(finding.id, escalation)
+        loggerService.warn(`SLA breached for finding ${finding.id} (${finding.ticket.key}), due ${finding.sla.dueAt.toISOString()}`)
+    }
+
+    return result
+}
+
+/* Priority of the next severity up, when it differs from the current one */
+function _getRaisedPriority(finding, priorityMapping) {
+    const severityIdx = SEVERITY_LEVELS.indexOf(finding.severity)
+    if (severityIdx <= 0) return null
+
+    const priority = priorityMapping[SEVERITY_LEVELS[severityIdx - 1]]
+    return priority && priority !== finding.payload?.priority ? priority : null
+}
+
+function _buildComment(finding, escalation) {
+    const lines = [
+        '## SLA breached',
+        `This **${finding.severity}** finding was due for remediation on ${finding.sla.dueAt.toISOString()} (${finding.sla.days} day SLA) and is still open.`
+    ]
+    if (escalation.priority) lines.push(`Priority raised to **${escalation.priority}**.`)
+
+    return lines.join('\n\n')
+}
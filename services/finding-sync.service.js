@@ -0,0 +1,155 @@
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+import { nhiFindingsService, FINDING_STATUS } from '../api/nhi-findings/nhi-findings.service.js'
+import { loggerService } from './logger.service.js'
+
+// Issue ids per JQL search, keeps the query well under Jira's length limit
+const IDS_PER_SEARCH = 100
+
+/*
+ * Finding Lifecycle Sync Service
+ * Follows the Jira ticket of every tracked finding: a resolved ticket remediates the finding,
+ * a reopened ticket reopens it
+ */
+export const findingSyncService = {
+    syncAllUsers,
+    syncUser,
+    applyIssueStatus
+}
+
+/* Syncs the findings of every user with Jira connected */
+async function syncAllUsers() {
+    const startTime = Date.now()
+    const totals = { users: 0, remediated: 0, reopened: 0, missing: 0, failedUsers: 0 }
+
+    const users = await userService.query()
+    for (const user of users.filter(user => user.config?.jira?.accessToken)) {
+        try {
+            const { remediated, reopened, missing } = await syncUser(user)
+            totals.users++
+            totals.remediated += remediated
+            totals.reopened += reopened
+            totals.missing += missing
+        } catch (err) {
+            // One broken Jira connection should not stop the sync of the other users
+            totals.failedUsers++
+            loggerService.error(`Finding sync failed for user ${user._id}:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`Finding sync completed in ${duration}s: ${totals.users} user(s), ${totals.remediated} remediated, ${totals.reopened} reopened, ${totals.missing} tickets missing, ${totals.failedUsers} failed`)
+
+    return totals
+}
+
+/**
+ * Reads the status of the user's tracked tickets and moves their findings accordingly
+ * Tickets are searched by issue id, which survives a move to another project (unlike the key)
+ */
+async function syncUser(user) {
+    const userId = user._id.toString()
+    const result = { remediated: 0, reopened: 0, missing: 0 }
+
+    const findings = await nhiFindingsService.getTrackedByUser(userId)
+    if (!findings.length) return result
+
+    const accessToken = await jiraService.getValidAccessToken(user)
+    const { cloudId } = user.config.jira
+    const ids = [...new Set(findings.map(finding => finding.ticket.id))]
+
+    for (let i = 0; i < ids.length; i += IDS_PER_SEARCH) {
+        const chunk = ids.slice(i, i + IDS_PER_SEARCH)
+        const issues = await _searchTickets(accessToken, cloudId, chunk)
+        const issuesById = new Map(issues.map(issue => [String(issue.id), issue]))
+
+        for (const finding of findings.filter(finding => chunk.includes(finding.ticket.id))) {
+            const issue = issuesById.get(finding.ticket.id)
+            if (!issue) {
+                // Deleted, or no longer visible to the user: the other tickets still sync
+                result.missing++
+                continue
+            }
+
+            const transition = await _applyIssue(finding, issue)
+            if (transition === FINDING_STATUS.REMEDIATED) result.remediated++
+            if (transition === FINDING_STATUS.OPEN) result.reopened++
+        }
+    }
+
+    return result
+}
+
+/**
+ * The issues among the ids that the user can still see
+ * Jira rejects the whole JQL when one id is unknown, so a rejected search is retried one id at a time
+ * and the ids Jira rejects alone are left out; other errors fail the sync of the user
+ */
+async function _searchTickets(accessToken, cloudId, ids) {
+    const fields = ['status', 'resolutiondate']
+
+    try {
+        return await jiraService.searchIssues(accessToken, cloudId, _buildJql(ids), fields)
+    } catch (err) {
+        if (err.status !== 400) throw err
+        if (ids.length === 1) return []
+    }
+
+    const issues = []
+    for (const id of ids) {
+        try {
+            issues.push(...await jiraService.searchIssues(accessToken, cloudId, _buildJql([id]), fields))
+        } catch (err) {
+            if (err.status !== 400) throw err
+            loggerService.warn(`Jira issue ${id} cannot be searched, deleted or no longer visible`)
+        }
+    }
+
+    return issues
+}
+
+function _buildJql(ids) {
+    return `labels = "created-from-identityhub" AND id in (${ids.join(', ')})`
+}
+
+/* Follows a key change of a moved issue, then its status */
+async function _applyIssue(finding, issue) {
+    let ticket = finding.ticket
+    if (issue.key && issue.key !== ticket.key) {
+        ticket = { ...ticket, key: issue.key, url: ticket.url.replace(/[^/]+$/, issue.key) }
+        await nhiFindingsService.update(finding.id, { 'ticket.key': ticket.key, 'ticket.url': ticket.url })
+    }
+
+    return applyIssueStatus({ ...finding, ticket }, issue.fields?.status)
+}
+
+/**
+ * Moves a finding to the status matching its Jira issue status
+ * Resolves to the new finding status, or null when nothing changed
+ */
+async function applyIssueStatus(finding, issueStatus) {
+    const isDone = issueStatus?.statusCategory?.key === 'done'
+    const jiraStatus = issueStatus?.name || null
+
+    if (isDone && finding.status === FINDING_STATUS.OPEN) {
+        const updated = await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.REMEDIATED, {
+            from: FINDING_STATUS.OPEN,
+            reason: 'jira-resolved',
+            fields: { 'ticket.status': jiraStatus }
+        })
+        if (updated) loggerService.info(`Finding ${finding.id} remediated (${finding.ticket.key} is ${jiraStatus})`)
+        return updated ? FINDING_STATUS.REMEDIATED : null
+    }
+
+    if (!isDone && finding.status === FINDING_STATUS.REMEDIATED) {
+        const updated = await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.OPEN, {
+            from: FINDING_STATUS.REMEDIATED,
+            reason: 'jira-reopened',
+            fields: { 'ticket.status': jiraStatus }
+        })
+        if (updated) loggerService.info(`Finding ${finding.id} reopened (${finding.ticket.key} is ${jiraStatus})`)
+        return updated ? FINDING_STATUS.OPEN : null
+    }
+
+    return null
+}
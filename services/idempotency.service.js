@@ -0,0 +1,125 @@
+import { dbService } from './db.service.js'
+import { loggerService } from './logger.service.js'
+
+const COLLECTION_NAME = 'idempotency_keys'
+
+export const IDEMPOTENCY_STATUS = {
+    PROCESSING: 'processing',
+    COMPLETED: 'completed'
+}
+
+// A request still processing after this long is taken to have died with its process, a retry takes it over
+export const PROCESSING_LEASE_MINUTES = 5
+
+export const idempotencyService = {
+    begin,
+    complete,
+    release,
+    initializeCollection
+}
+
+/**
+ * Initialize the collection with TTL index for automatic cleanup
+ * Call this once when the server starts
+ */
+async function initializeCollection() {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+
+        // Create TTL index - MongoDB will automatically delete documents after expiresAt
+        await collection.createIndex(
+            { expiresAt: 1 },
+            { expireAfterSeconds: 0 }
+        )
+
+        // One record per key and scope, this is what makes concurrent retries safe
+        await collection.createIndex({ scope: 1, key: 1 }, { unique: true })
+    } catch (err) {
+        loggerService.error('Failed to initialize idempotency collection:', err)
+        throw err
+    }
+}
+
+/**
+ * Claim an idempotency key for a request
+ * Returns { isNew: true } for the first request, and for a retry that takes over a request processing
+ * for longer than the lease; otherwise { isNew: false, record } with the stored record
+ */
+async function begin(scope, key, requestHash, expirationHours = 24) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+
+        const now = new Date()
+        const result = await collection.updateOne(
+            { scope, key },
+            {
+                $setOnInsert: {
+                    scope,
+                    key,
+                    requestHash,
+                    status: IDEMPOTENCY_STATUS.PROCESSING,
+                    response: null,
+                    processingStartedAt: now,
+                    createdAt: now,
+                    expiresAt: new Date(now.getTime() + (expirationHours * 60 * 60 * 1000))
+                }
+            },
+            { upsert: true }
+        )
+
+        if (result.upsertedCount === 1) return { isNew: true }
+
+        // Only one retry can move processingStartedAt forward, the others still see a request processing
+        const takenOver = await collection.findOneAndUpdate(
+            {
+                scope,
+                key,
+                requestHash,
+                status: IDEMPOTENCY_STATUS.PROCESSING,
+                processingStartedAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MINUTES * 60 * 1000) }
+            },
+            { $set: { processingStartedAt: now } }
+        )
+        if (takenOver) {
+            loggerService.warn(`Idempotency-Key ${key} was processing since ${takenOver.processingStartedAt.toISOString()}, taken over by a retry`)
+            return { isNew: true }
+        }
+
+        const record = await collection.findOne({ scope, key })
+        return { isNew: false, record }
+    } catch (err) {
+        loggerService.error('Failed to begin idempotent request:', err)
+        throw err
+    }
+}
+
+/* Store the response to replay for retries of the same key */
+async function complete(scope, key, statusCode, body) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.updateOne(
+            { scope, key },
+            {
+                $set: {
+                    status: IDEMPOTENCY_STATUS.COMPLETED,
+                    response: { statusCode, body },
+                    completedAt: new Date()
+                }
+            }
+        )
+    } catch (err) {
+        loggerService.error('Failed to complete idempotent request:', err)
+        throw err
+    }
+}
+
+/* Forget a key so the request can be retried (used when the request failed) */
+async function release(scope, key) {
+    try {
+        const collection = await dbService.getCollection(COLLECTION_NAME)
+        await collection.deleteOne({ scope, key })
+    } catch (err) {
+        loggerService.error('Failed to release idempotency key:', err)
+        throw err
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * Maps AWS IAM exports (`aws iam get-account-authorization-details`) to inventory identities
+ * Roles become iam_role identities and users iam_user identities, keyed by their ARN
+ */
+export const awsImporterService = {
+    validateExport,
+    toIdentities
+}
+
+// Managed policies that give (near) full control of an account
+const PRIVILEGED_POLICIES = ['AdministratorAccess', 'IAMFullAccess', 'PowerUserAccess']
+
+/**
+ * Checks the export shape before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateExport(data) {
+    const errors = []
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('AWS export must be the JSON output of aws iam get-account-authorization-details')
+    } else if (!Array.isArray(data.RoleDetailList) && !Array.isArray(data.UserDetailList)) {
+        errors.push('AWS export must contain RoleDetailList or UserDetailList')
+    } else if ([...(data.RoleDetailList || []), ...(data.UserDetailList || [])].some(entity => !entity?.Arn)) {
+        errors.push('Every AWS role and user must have an Arn')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every role and user of the export to an identity
+ * Users get the policies of their groups as well. The import scope is the account of each ARN.
+ * @returns {object[]} Identities in the POST /api/identities format, with an importScope
+ */
+function toIdentities(data) {
+    const groupPolicies = new Map((data.GroupDetailList || []).map(group => [group.GroupName, _getPolicies(group, 'GroupPolicyList')]))
+
+    const roles = (data.RoleDetailList || []).map(role => _toIdentity(role, {
+        name: role.RoleName,
+        type: 'iam_role',
+        policies: _getPolicies(role, 'RolePolicyList'),
+        lastUsedAt: role.RoleLastUsed?.LastUsedDate
+    }))
+
+    const users = (data.UserDetailList || []).map(user => {
+        const policies = (user.GroupList || []).reduce((merged, groupName) => {
+            const group = groupPolicies.get(groupName)
+            return group ? { managed: [...merged.managed, ...group.managed], inline: [...merged.inline, ...group.inline] } : merged
+        }, _getPolicies(user, 'UserPolicyList'))
+
+        return _toIdentity(user, { name: user.UserName, type: 'iam_user', policies })
+    })
+
+    return [...roles, ...users]
+}
+
+function _toIdentity(entity, { name, type, policies, lastUsedAt }) {
+    const tags = _getTags(entity.Tags)
+    const identity = {
+        name,
+        type,
+        provider: 'aws',
+        externalId: entity.Arn,
+        importScope: `aws:${_getAccountId(entity.Arn)}`,
+        permissions: {
+            isPrivileged: policies.managed.some(policy => PRIVILEGED_POLICIES.includes(policy)) ||
+                policies.inline.some(policy => policy.isAdmin)
+        },
+        tags: tags.list
+    }
+
+    const summary = _summarizePolicies(policies)
+    if (summary) identity.permissions.summary = summary
+
+    if (entity.CreateDate) identity.identityCreatedAt = entity.CreateDate
+    if (lastUsedAt) identity.lastUsedAt = lastUsedAt
+    if (tags.owner) identity.owner = tags.owner
+
+    return identity
+}
+
+/* Attached managed policy names and inline policies (name, full admin statement) */
+function _getPolicies(entity, inlineListName) {
+    return {
+        managed: (entity.AttachedManagedPolicies || []).map(policy => policy.PolicyName),
+        inline: (entity[inlineListName] || []).map(policy => ({
+            name: policy.PolicyName,
+            isAdmin: _isAdminDocument(policy.PolicyDocument)
+        }))
+    }
+}
+
+/* Allow * on * - the CLI decodes policy documents, the raw API returns them URL encoded */
+function _isAdminDocument(document) {
+    let policy = document
+    if (typeof policy === 'string') {
+        try {
+            policy = JSON.parse(decodeURIComponent(policy))
+        } catch {
+            return false
+        }
+    }
+
+    const statements = [].concat(policy?.Statement || [])
+    const includesAll = value => [].concat(value || []).includes('*')
+
+    return statements.some(statement => statement.Effect === 'Allow' && includesAll(statement.Action) && includesAll(statement.Resource))
+}
+
+function _summarizePolicies({ managed, inline }) {
+    const parts = []
+    if (managed.length) parts.push([...new Set(managed)].join(', '))
+    if (inline.length) parts.push(`inline: ${[...new Set(inline.map(policy => policy.name))].join(', ')}`)
+
+    return parts.join('; ')
+}
+
+/* IAM tags as 'key:value', the Owner tag names the owner */
+function _getTags(tags = []) {
+    return {
+        list: tags.map(tag => tag.Value ? `${tag.Key}:${tag.Value}` : tag.Key),
+        owner: tags.find(tag => tag.Key.toLowerCase() === 'owner')?.Value || null
+    }
+}
+
+function _getAccountId(arn) {
+    return arn.split(':')[4] || 'unknown'
+}
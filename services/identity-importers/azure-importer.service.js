@@ -0,0 +1,76 @@
+/**
+ * Maps Azure AD service principal lists (`az ad sp list --all`, Microsoft Graph servicePrincipal JSON)
+ * to inventory identities, keyed by their object id
+ */
+export const azureImporterService = {
+    validateExport,
+    toIdentities
+}
+
+// Tenant of Microsoft's own first-party applications, present in every directory
+const MICROSOFT_TENANT_ID = 'f8cdef31-a31e-4b4a-93e4-5f571e91255a'
+
+/**
+ * Checks the export shape before mapping
+ * Accepts the plain array of the CLI or a Graph response ({ value: [...] })
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateExport(data) {
+    const errors = []
+    const principals = _getPrincipals(data)
+
+    if (!principals) {
+        errors.push('Azure export must be a JSON array of service principals or a Graph response with a value array')
+    } else if (principals.some(principal => !principal || typeof principal !== 'object' || !principal.id)) {
+        errors.push('Every Azure service principal must be an object with an id')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps the service principals of the export to identities, Microsoft's first-party apps are left out
+ * expiresAt is the soonest expiry of the principal's secrets and certificates
+ * @param {{scope?: string}} options - tenant the export was taken from, the import scope
+ * @returns {object[]} Identities in the POST /api/identities format, with an importScope
+ */
+function toIdentities(data, { scope } = {}) {
+    return _getPrincipals(data)
+        .filter(principal => principal.appOwnerOrganizationId !== MICROSOFT_TENANT_ID)
+        .map(principal => {
+            const identity = {
+                name: principal.displayName || principal.appId || principal.id,
+                type: principal.servicePrincipalType === 'ManagedIdentity' ? 'managed_identity' : 'service_principal',
+                provider: 'azure',
+                externalId: principal.id,
+                importScope: `azure:${scope || principal.appOwnerOrganizationId || 'default'}`,
+                isEnabled: principal.accountEnabled !== false,
+                tags: (principal.tags || []).filter(tag => typeof tag === 'string')
+            }
+
+            const expiresAt = _getSoonestExpiry(principal)
+            if (expiresAt) identity.expiresAt = expiresAt
+            if (principal.createdDateTime) identity.identityCreatedAt = principal.createdDateTime
+            if (principal.notes) identity.permissions = { summary: principal.notes }
+
+            return identity
+        })
+}
+
+function _getPrincipals(data) {
+    if (Array.isArray(data)) return data
+    if (Array.isArray(data?.value)) return data.value
+    return null
+}
+
+function _getSoonestExpiry(principal) {
+    const endDates = [...(principal.passwordCredentials || []), ...(principal.keyCredentials || [])]
+        .map(credential => credential.endDateTime)
+        .filter(endDate => endDate && !isNaN(new Date(endDate)))
+        .sort((dateA, dateB) => new Date(dateA) - new Date(dateB))
+
+    return endDates[0] || null
+}
@@ -0,0 +1,47 @@
+/**
+ * Maps GCP service account lists (`gcloud iam service-accounts list --format=json`) to inventory identities
+ * Service accounts are keyed by their unique id, the import scope is their project
+ */
+export const gcpImporterService = {
+    validateExport,
+    toIdentities
+}
+
+/**
+ * Checks the export shape before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateExport(data) {
+    const errors = []
+
+    if (!Array.isArray(data)) {
+        errors.push('GCP export must be a JSON array of service accounts')
+    } else if (data.some(account => !account || typeof account !== 'object' || !account.email)) {
+        errors.push('Every GCP service account must be an object with an email')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every service account of the export to an identity
+ * The list carries no permissions or usage, those stay as they are in the inventory
+ * @returns {object[]} Identities in the POST /api/identities format, with an importScope
+ */
+function toIdentities(data) {
+    return data.map(account => {
+        const projectId = account.projectId || account.email.split('@')[1]?.split('.')[0] || 'unknown'
+
+        return {
+            name: account.email,
+            type: 'service_account',
+            provider: 'gcp',
+            externalId: account.uniqueId || account.email,
+            importScope: `gcp:${projectId}`,
+            isEnabled: !account.disabled
+        }
+    })
+}
@@ -0,0 +1,106 @@
+import { parseAllDocuments } from 'yaml'
+
+/**
+ * Maps Kubernetes ServiceAccounts (`kubectl get serviceaccounts -A -o yaml|json`) to inventory identities
+ * RoleBindings and ClusterRoleBindings in the same export give the permissions of each account
+ */
+export const kubernetesImporterService = {
+    parseExport,
+    validateExport,
+    toIdentities
+}
+
+// Built-in cluster roles that grant write access to everything in their scope
+const PRIVILEGED_ROLES = ['cluster-admin', 'admin']
+
+/**
+ * Parses a YAML or JSON export into a flat list of objects
+ * Accepts a List, a single object or a multi-document YAML stream, as text or already parsed JSON
+ * @throws {Error} When the text is not valid YAML
+ */
+function parseExport(data) {
+    if (typeof data !== 'string') return _flattenLists([data])
+
+    const documents = parseAllDocuments(data)
+    const parseError = documents.flatMap(document => document.errors || [])[0]
+    if (parseError) throw new Error(`Invalid Kubernetes export: ${parseError.message}`)
+
+    return _flattenLists(documents.map(document => document.toJS()))
+}
+
+/**
+ * Checks the parsed export before mapping
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateExport(items) {
+    const errors = []
+    const serviceAccounts = items.filter(item => item?.kind === 'ServiceAccount')
+
+    if (!serviceAccounts.length) {
+        errors.push('Kubernetes export must contain at least one ServiceAccount')
+    } else if (serviceAccounts.some(account => !account.metadata?.name)) {
+        errors.push('Every Kubernetes ServiceAccount must have metadata.name')
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    }
+}
+
+/**
+ * Maps every ServiceAccount of the export to an identity named namespace/name
+ * @param {{cluster?: string}} options - cluster the export was taken from, the import scope
+ * @returns {object[]} Identities in the POST /api/identities format, with an importScope
+ */
+function toIdentities(items, { cluster } = {}) {
+    const bindings = items.filter(item => item?.kind === 'RoleBinding' || item?.kind === 'ClusterRoleBinding')
+
+    return items
+        .filter(item => item?.kind === 'ServiceAccount')
+        .map(account => {
+            const { name, namespace = 'default', uid, labels = {}, annotations = {}, creationTimestamp } = account.metadata
+            const roles = _getBoundRoles(bindings, name, namespace)
+
+            const identity = {
+                name: `${namespace}/${name}`,
+                type: 'service_account',
+                provider: 'kubernetes',
+                externalId: uid || `${namespace}/${name}`,
+                importScope: `kubernetes:${cluster || 'default'}`,
+                tags: Object.entries(labels).map(([key, value]) => value ? `${key}:${value}` : key)
+            }
+
+            const owner = labels.owner || annotations.owner
+            if (owner) identity.owner = owner
+            if (creationTimestamp) identity.identityCreatedAt = new Date(creationTimestamp).toISOString()
+            if (bindings.length) {
+                identity.permissions = {
+                    isPrivileged: roles.some(role => role.kind === 'ClusterRole' && PRIVILEGED_ROLES.includes(role.name))
+                }
+                if (roles.length) identity.permissions.summary = roles.map(role => `${role.kind}/${role.name}`).join(', ')
+            }
+
+            return identity
+        })
+}
+
+function _flattenLists(documents) {
+    return documents
+        .filter(document => document && typeof document === 'object')
+        .flatMap(document => Array.isArray(document.items) ? document.items : [document])
+}
+
+/* Roles bound to the account, a RoleBinding without namespace is in the default namespace */
+function _getBoundRoles(bindings, name, namespace) {
+    const roles = bindings
+        .filter(binding => (binding.subjects || []).some(subject =>
+            subject.kind === 'ServiceAccount' &&
+            subject.name === name &&
+            (subject.namespace || binding.metadata?.namespace || 'default') === namespace
+        ))
+        .map(binding => binding.roleRef)
+        .filter(Boolean)
+
+    return [...new Map(roles.map(role => [`${role.kind}/${role.name}`, role])).values()]
+}
@@ -0,0 +1,139 @@
+import { jiraService } from '../api/jira/jira.service.js'
+import { adfService } from './adf.service.js'
+import { redactionService } from './redaction.service.js'
+import { loggerService } from './logger.service.js'
+
+// Jira Cloud field limits, a rich text field is measured by the length of its ADF JSON
+export const JIRA_LIMITS = {
+    SUMMARY_LENGTH: 255,
+    RICH_TEXT_LENGTH: 32767
+}
+
+// Room kept for the truncation notice and the redaction masks added on the way to Jira
+const NOTICE_RESERVE = 1000
+
+const OVERFLOW_FILENAME = 'description-full'
+
+/*
+ * Issue Limits Service
+ * Keeps issue fields within Jira's size limits instead of letting Jira reject the whole issue.
+ * An oversized description is truncated with a notice, the full content follows the created issue
+ * as an attachment, or as comments when the upload fails.
+ */
+export const issueLimitsService = {
+    fitIssue,
+    addOverflow
+}
+
+/**
+ * Truncates the summary and description of issue fields that exceed Jira's limits
+ * source: the Markdown the description was converted from, attached as is when it overflows
+ * Returns { issueData, overflow } - overflow is null when nothing was cut, otherwise
+ * { summaryTruncated, descriptionTruncated, attachment, comments } for addOverflow
+ */
+function fitIssue(issueData, source) {
+    const fields = redactionService.redactDeep(issueData)
+    const overflow = { summaryTruncated: false, descriptionTruncated: false, attachment: null, comments: [] }
+    let description = fields.description
+
+    if (typeof fields.summary === 'string' && fields.summary.length > JIRA_LIMITS.SUMMARY_LENGTH) {
+        // The full summary opens the description, so nothing is lost
+        const fullSummary = fields.summary
+        fields.summary = `${fullSummary.slice(0, JIRA_LIMITS.SUMMARY_LENGTH - 1).trimEnd()}…`
+        description = _prependParagraph(description, [
+            { type: 'text', text: 'Full summary: ', marks: [{ type: 'strong' }] },
+            { type: 'text', text: fullSummary }
+        ])
+        overflow.summaryTruncated = true
+    }
+
+    if (description && adfService.getSize(description) > JIRA_LIMITS.RICH_TEXT_LENGTH) {
+        const [first, ...rest] = adfService.splitDocument(description, JIRA_LIMITS.RICH_TEXT_LENGTH - NOTICE_RESERVE)
+        const attachment = _buildAttachment(source, description)
+
+        description = {
+            ...first,
+            content: [
+                ...first.content,
+                { type: 'rule' },
+                _notice(`Description truncated: it exceeds Jira's limit of ${JIRA_LIMITS.RICH_TEXT_LENGTH} characters. The full description is attached as ${attachment.filename}.`)
+            ]
+        }
+        overflow.descriptionTruncated = true
+        overflow.attachment = attachment
+        overflow.comments = rest
+    }
+
+    if (!overflow.summaryTruncated && !overflow.descriptionTruncated) {
+        return { issueData: fields, overflow: null }
+    }
+
+    if (description) fields.description = description
+    return { issueData: fields, overflow }
+}
+
+/**
+ * Delivers the full description of a truncated issue
+ * The attachment is tried first; when Jira refuses it, the cut content is posted as comments instead
+ * Resolves to { summaryTruncated, descriptionTruncated, fullDescription: 'attachment' | 'comments' | null, error }
+ */
+async function addOverflow(accessToken, cloudId, issueKey, overflow) {
+    const result = {
+        summaryTruncated: overflow.summaryTruncated,
+        descriptionTruncated: overflow.descriptionTruncated,
+        fullDescription: null
+    }
+    if (!overflow.attachment) return result
+
+    try {
+        await jiraService.addAttachments(accessToken, cloudId, issueKey, [overflow.attachment])
+        result.fullDescription = 'attachment'
+        return result
+    } catch (err) {
+        loggerService.warn(`Cannot attach the full description to ${issueKey}, posting it as comments:`, err.message)
+    }
+
+    try {
+        for (const [idx, part] of overflow.comments.entries()) {
+            const heading = _notice(`Description continued (${idx + 1}/${overflow.comments.length})`)
+            await jiraService.addComment(accessToken, cloudId, issueKey, { ...part, content: [heading, ...part.content] })
+        }
+        result.fullDescription = 'comments'
+    } catch (err) {
+        loggerService.error(`Cannot post the rest of the description of ${issueKey}:`, err.message)
+        result.error = err.message
+    }
+
+    return result
+}
+
+/* Markdown is attached as written, an ADF description as its JSON */
+function _buildAttachment(source, description) {
+    if (typeof source === 'string') {
+        return {
+            filename: `${OVERFLOW_FILENAME}.md`,
+            contentType: 'text/markdown',
+            buffer: Buffer.from(redactionService.redact(source), 'utf8')
+        }
+    }
+
+    return {
+        filename: `${OVERFLOW_FILENAME}.json`,
+        contentType: 'application/json',
+        buffer: Buffer.from(JSON.stringify(description, null, 2), 'utf8')
+    }
+}
+
+function _prependParagraph(doc, content) {
+    const paragraph = { type: 'paragraph', content }
+    if (!doc) return { type: 'doc', version: 1, content: [paragraph] }
+
+    return { ...doc, content: [paragraph, ...(doc.content || [])] }
+}
+
+function _notice(text) {
+    return {
+        type: 'paragraph',
+        content: [{ type: 'text', text, marks: [{ type: 'em' }] }]
+    }
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto'
+import { nhiFindingsService, FINDING_STATUS } from '../api/nhi-findings/nhi-findings.service.js'
+import { userService } from '../api/user/user.service.js'
+import { findingSyncService } from './finding-sync.service.js'
+import { loggerService } from './logger.service.js'
+
+export const JIRA_WEBHOOK_EVENTS = {
+    ISSUE_UPDATED: 'jira:issue_updated',
+    ISSUE_DELETED: 'jira:issue_deleted',
+    COMMENT_CREATED: 'comment_created'
+}
+
+/*
+ * Jira Webhook Service
+ * Maps Jira webhook deliveries back to the findings linked to the issue
+ * https://developer.atlassian.com/cloud/jira/platform/webhooks/
+ */
+export const jiraWebhookService = {
+    verifySignature,
+    handleEvent
+}
+
+/**
+ * Checks the X-Hub-Signature header ('sha256=<hex HMAC of the raw body>') sent by Jira
+ * for webhooks registered with a secret
+ */
+function verifySignature(rawBody, signatureHeader, secret) {
+    if (!rawBody || !signatureHeader || !secret) return false
+
+    const [algorithm, signature] = signatureHeader.split('=')
+    if (algorithm !== 'sha256' || !signature) return false
+
+    const expected = crypto
+        .createHmac('sha256', secret)
+        .update(rawBody)
+        .digest('hex')
+
+    const expectedBuffer = Buffer.from(expected, 'hex')
+    const signatureBuffer = Buffer.from(signature, 'hex')
+
+    // timingSafeEqual throws on different lengths
+    return signatureBuffer.length === expectedBuffer.length &&
+        crypto.timingSafeEqual(signatureBuffer, expectedBuffer)
+}
+
+/**
+ * Applies a webhook delivery to the findings of its issue
+ * Issue ids repeat across Jira sites, so only findings ticketed on the delivery's site (from issue.self),
+ * by a user still connected to that site, are matched
+ * Resolves to { event, issueKey, matched, updated } - unknown events, sites and issues are ignored
+ */
+async function handleEvent(payload) {
+    const event = payload?.webhookEvent
+    const issue = payload?.issue
+    const result = { event, issueKey: issue?.key || null, matched: 0, updated: 0 }
+
+    if (!Object.values(JIRA_WEBHOOK_EVENTS).includes(event) || !issue?.id) return result
+
+    const siteUrl = _getSiteUrl(issue.self)
+    if (!siteUrl) {
+        loggerService.warn(`Jira webhook ${event} for ${result.issueKey} ignored: no issue.self to tell its site`)
+        return result
+    }
+
+    const findings = await _getSiteFindings(issue.id, siteUrl)
+    result.matched = findings.length
+
+    for (const finding of findings) {
+        let isUpdated = false
+
+        switch (event) {
+            case JIRA_WEBHOOK_EVENTS.ISSUE_UPDATED:
+                isUpdated = await _applyIssueUpdate(finding, issue)
+                break
+
+            case JIRA_WEBHOOK_EVENTS.ISSUE_DELETED:
+                isUpdated = !!await nhiFindingsService.transitionStatus(finding.id, FINDING_STATUS.TICKET_DELETED, {
+                    from: [FINDING_STATUS.OPEN, FINDING_STATUS.REMEDIATED],
+                    reason: 'jira-deleted'
+                })
+                break
+
+            case JIRA_WEBHOOK_EVENTS.COMMENT_CREATED:
+                await nhiFindingsService.recordTicketComment(finding.id, {
+                    author: payload.comment?.author?.displayName || null,
+                    createdAt: payload.comment?.created ? new Date(payload.comment.created) : new Date()
+                })
+                isUpdated = true
+                break
+        }
+
+        if (isUpdated) result.updated++
+    }
+
+    loggerService.info(`Jira webhook ${event} for ${result.issueKey}: ${result.matched} finding(s) matched, ${result.updated} updated`)
+    return result
+}
+
+/* The site of a Jira REST url, e.g. https://acme.atlassian.net for https://acme.atlassian.net/rest/api/2/issue/10001 */
+function _getSiteUrl(url) {
+    try {
+        return new URL(url).origin
+    } catch {
+        return null
+    }
+}
+
+/* The findings of the issue on the site, of users whose Jira connection is still on that site */
+async function _getSiteFindings(issueId, siteUrl) {
+    const findings = await nhiFindingsService.getByTicketId(issueId, siteUrl)
+
+    const userSites = new Map()
+    for (const userId of new Set(findings.map(finding => finding.userId))) {
+        const user = await userService.getById(userId)
+        userSites.set(userId, _getSiteUrl(user?.config?.jira?.siteUrl))
+    }
+
+    return findings.filter(finding => userSites.get(finding.userId) === siteUrl)
+}
+
+/* Keeps the ticket key and status of a finding current, and follows resolve / reopen */
+async function _applyIssueUpdate(finding, issue) {
+    const fields = { 'ticket.status': issue.fields?.status?.name || null }
+
+    // Moving an issue to another project changes its key
+    if (issue.key && issue.key !== finding.ticket.key) {
+        fields['ticket.key'] = issue.key
+        fields['ticket.url'] = finding.ticket.url.replace(/[^/]+$/, issue.key)
+    }
+    await nhiFindingsService.update(finding.id, fields)
+
+    await findingSyncService.applyIssueStatus(
+        { ...finding, ticket: { ...finding.ticket, key: issue.key || finding.ticket.key } },
+        issue.fields?.status
+    )
+
+    return true
+}
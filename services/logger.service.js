@@ -1,4 +1,5 @@
 import fs from 'fs'
+import { redactionService } from './redaction.service.js'
 
 export const loggerService = {
     debug(...args) {
@@ -37,7 +38,8 @@ function doLog(level, ...args) {
     const strs = args.map(arg =>
         (typeof arg === 'string' || isError(arg)) ? arg : JSON.stringify(arg)
     )
-    var line = strs.join(' | ')
+    // Never write secrets (tokens, keys) that made it into a log argument
+    var line = redactionService.redact(strs.join(' | '))
     line = `${getTime()} - ${level} - ${line}\n`
     console.log(line)
     fs.appendFile('./logs/backend.log', line, (err) => {
@@ -3,6 +3,7 @@ import { aiSummaryService } from './ai-summary.service.js'
 import { jiraService } from '../../api/jira/jira.service.js'
 import { userService } from '../../api/user/user.service.js'
 import { loggerService } from '../logger.service.js'
+import { adfService } from '../adf.service.js'
 import { config } from '../../config/index.js'
 
 /*
@@ -24,7 +25,7 @@ async function runBlogDigest(userId = null) {
 
         // Step 2: Get user and authenticate with Jira
         const user = await getUserForAutomation(userId)
-        const accessToken = await getValidAccessToken(user)
+        const accessToken = await jiraService.getValidAccessToken(user)
 
         // Step 3: Create Jira ticket
         const { issue, issueUrl } = await createJiraTicket(user, blogPost, summary, accessToken)
@@ -92,30 +93,6 @@ async function getUserForAutomation(userId) {
     return user
 }
 
-/* Gets a valid access token, refreshing if necessary */
-async function getValidAccessToken(user) {
-    const { accessToken, refreshToken, expiresAt } = jiraService.decryptTokens(user.config.jira)
-
-    if (Date.now() < expiresAt) {
-        loggerService.info('User authenticated')
-        return accessToken
-    }
-
-    // Token expired, refresh it
-    loggerService.info('Access token expired, refreshing...')
-    const newTokens = await jiraService.refreshAccessToken(refreshToken)
-    const encrypted = jiraService.encryptTokens(newTokens)
-
-    user.config.jira = {
-        ...user.config.jira,
-        ...encrypted
-    }
-    await userService.update(user)
-
-    loggerService.info('Access token refreshed')
-    return newTokens.access_token
-}
-
 /* Creates a Jira ticket for the blog digest */
 async function createJiraTicket(user, blogPost, summary, accessToken) {
     loggerService.info('Step 4: Creating Jira ticket')
@@ -207,140 +184,43 @@ async function findUserWithJira() {
  * Returns Atlassian Document Format (ADF)
  */
 function formatJiraDescription(blogPost, summary) {
+    const header = adfService.markdownToAdf([
+        '**Automated NHI Blog Digest**',
+        '## Summary',
+        summary,
+        '## Full Article'
+    ].join('\n\n'))
+
+    const footer = adfService.markdownToAdf([
+        '## Automation Info',
+        'This ticket was automatically created by the NHI Blog Digest automation.',
+        'The summary was generated using AI to highlight key security insights from the Oasis Security blog.',
+        '---',
+        '*Generated with IdentityHub Blog Digest Automation*'
+    ].join('\n\n'))
+
     return {
-        type: 'doc',
-        version: 1,
-        content: [
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Automated NHI Blog Digest',
-                        marks: [{ type: 'strong' }]
-                    }
-                ]
-            },
-            {
-                type: 'heading',
-                attrs: { level: 2 },
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Summary'
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: summary
-                    }
-                ]
-            },
-            {
-                type: 'heading',
-                attrs: { level: 2 },
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Full Article'
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Title: ',
-                        marks: [{ type: 'strong' }]
-                    },
-                    {
-                        type: 'text',
-                        text: blogPost.title
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'URL: ',
-                        marks: [{ type: 'strong' }]
-                    },
-                    {
-                        type: 'text',
-                        text: blogPost.url,
-                        marks: [
-                            {
-                                type: 'link',
-                                attrs: {
-                                    href: blogPost.url
-                                }
-                            }
-                        ]
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Author: ',
-                        marks: [{ type: 'strong' }]
-                    },
-                    {
-                        type: 'text',
-                        text: blogPost.author
-                    }
-                ]
-            },
-            {
-                type: 'heading',
-                attrs: { level: 2 },
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Automation Info'
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'This ticket was automatically created by the NHI Blog Digest automation.'
-                    }
-                ]
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'The summary was generated using AI to highlight key security insights from the Oasis Security blog.'
-                    }
-                ]
-            },
-            {
-                type: 'rule'
-            },
-            {
-                type: 'paragraph',
-                content: [
-                    {
-                        type: 'text',
-                        text: 'Generated with IdentityHub Blog Digest Automation',
-                        marks: [{ type: 'em' }]
-                    }
-                ]
-            }
-        ]
+        ...header,
+        content: [...header.content, ...buildArticleNodes(blogPost), ...footer.content]
+    }
+}
+
+/* The scraped title, URL and author are plain text, built as ADF nodes so no Markdown in them is interpreted */
+function buildArticleNodes(blogPost) {
+    const isWebUrl = /^https?:\/\//i.test(blogPost.url || '')
+    const urlNode = { type: 'text', text: blogPost.url || 'unknown' }
+    if (isWebUrl) urlNode.marks = [{ type: 'link', attrs: { href: blogPost.url } }]
+
+    return [
+        articleParagraph('Title', { type: 'text', text: blogPost.title || 'unknown' }),
+        articleParagraph('URL', urlNode),
+        articleParagraph('Author', { type: 'text', text: blogPost.author || 'unknown' })
+    ]
+}
+
+function articleParagraph(label, valueNode) {
+    return {
+        type: 'paragraph',
+        content: [{ type: 'text', text: `${label}: `, marks: [{ type: 'strong' }] }, valueNode]
     }
 }
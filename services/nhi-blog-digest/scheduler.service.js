@@ -1,5 +1,11 @@
 import cron from 'node-cron'
 import { blogDigestAutomationService } from './blog-digest-automation.service.js'
+import { findingSyncService } from '../finding-sync.service.js'
+import { findingSlaService } from '../finding-sla.service.js'
+import { credentialHygieneService } from '../credential-hygiene.service.js'
+import { riskScoreService } from '../risk-score.service.js'
+import { reviewCampaignService } from '../review-campaign.service.js'
+import { apikeyExpiryService } from '../apikey-expiry.service.js'
 import { loggerService } from '../logger.service.js'
 
 /* Scheduler Service for running automated tasks */
@@ -39,6 +45,120 @@ function startScheduledJobs() {
         job: blogDigestJob
     })
 
+    // Schedule: Sync finding status from the linked Jira tickets every 15 minutes
+    const findingSyncJob = cron.schedule('*/15 * * * *', async () => {
+        loggerService.info('Triggered: Finding lifecycle sync')
+        try {
+            await findingSyncService.syncAllUsers()
+        } catch (err) {
+            loggerService.error('Scheduled finding sync failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'Finding Lifecycle Sync',
+        schedule: 'Every 15 minutes',
+        job: findingSyncJob
+    })
+
+    // Schedule: Escalate findings that breached their remediation SLA, every hour
+    const slaBreachJob = cron.schedule('5 * * * *', async () => {
+        loggerService.info('Triggered: Finding SLA breach check')
+        try {
+            await findingSlaService.checkBreaches()
+        } catch (err) {
+            loggerService.error('Scheduled SLA breach check failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'Finding SLA Breach Check',
+        schedule: 'Every hour at minute 5',
+        job: slaBreachJob
+    })
+
+    // Schedule: Rescore identities and open findings, credential age and last use change every day
+    const riskRefreshJob = cron.schedule('30 5 * * *', async () => {
+        loggerService.info('Triggered: Risk score refresh')
+        try {
+            await riskScoreService.refreshAllUsers()
+        } catch (err) {
+            loggerService.error('Scheduled risk score refresh failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'Risk Score Refresh',
+        schedule: 'Every day at 5:30 AM UTC',
+        job: riskRefreshJob
+    })
+
+    // Schedule: Flag unused, unrotated and expiring credentials of the identity inventory, daily at 6:00 AM UTC
+    const hygieneCheckJob = cron.schedule('0 6 * * *', async () => {
+        loggerService.info('Triggered: Credential hygiene check')
+        try {
+            await credentialHygieneService.checkAllUsers()
+        } catch (err) {
+            loggerService.error('Scheduled credential hygiene check failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'Credential Hygiene Check',
+        schedule: 'Every day at 6:00 AM UTC',
+        job: hygieneCheckJob
+    })
+
+    // Schedule: Remind owners of pending access reviews and ticket overdue ones, every hour
+    const reviewCampaignJob = cron.schedule('20 * * * *', async () => {
+        loggerService.info('Triggered: Access review campaigns')
+        try {
+            await reviewCampaignService.runAllCampaigns()
+        } catch (err) {
+            loggerService.error('Scheduled access review campaigns run failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'Access Review Campaigns',
+        schedule: 'Every hour at minute 20',
+        job: reviewCampaignJob
+    })
+
+    // Schedule: Warn owners of API keys expiring within a week, daily at 7:00 AM UTC
+    const apikeyExpiryJob = cron.schedule('0 7 * * *', async () => {
+        loggerService.info('Triggered: API key expiry check')
+        try {
+            await apikeyExpiryService.warnExpiringKeys()
+        } catch (err) {
+            loggerService.error('Scheduled API key expiry check failed:', err)
+        }
+    }, {
+        scheduled: true,
+        timezone: 'UTC'
+    })
+
+    scheduledJobs.push({
+        name: 'API Key Expiry Check',
+        schedule: 'Every day at 7:00 AM UTC',
+        job: apikeyExpiryJob
+    })
+
     loggerService.info(`Started ${scheduledJobs.length} scheduled job(s):`)
     scheduledJobs.forEach(job => {
         loggerService.info(`  - ${job.name}: ${job.schedule}`)
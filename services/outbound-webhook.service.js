@@ -0,0 +1,76 @@
+import axios from 'axios'
+import dns from 'dns'
+import net from 'net'
+
+/*
+ * Outbound Webhook Service
+ * Posts to webhook URLs set by users. They must not reach the server's own network:
+ * https only, no private, loopback or link-local address (checked again on the resolved address), no redirects
+ */
+export const outboundWebhookService = {
+    isAllowedUrl,
+    post
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 subnets
+const BLOCKED_ADDRESSES = new net.BlockList()
+BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4') // carrier-grade NAT
+BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4') // link-local, cloud metadata endpoints
+BLOCKED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4')
+BLOCKED_ADDRESSES.addSubnet('224.0.0.0', 3, 'ipv4') // multicast and reserved
+BLOCKED_ADDRESSES.addAddress('::', 'ipv6')
+BLOCKED_ADDRESSES.addAddress('::1', 'ipv6')
+BLOCKED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6') // unique local
+BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6') // link-local
+BLOCKED_ADDRESSES.addSubnet('ff00::', 8, 'ipv6') // multicast
+
+/**
+ * Whether a URL can be a webhook: https, and not a local or private host
+ * Host names are checked here by name only, their address is checked when posting
+ */
+function isAllowedUrl(value) {
+    if (typeof value !== 'string') return false
+
+    let url
+    try {
+        url = new URL(value)
+    } catch {
+        return false
+    }
+    if (url.protocol !== 'https:' || url.username || url.password) return false
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return false
+
+    return !net.isIP(hostname) || !_isBlocked(hostname)
+}
+
+/**
+ * POSTs a JSON body to a webhook URL
+ * Throws when the URL is not allowed or its host resolves to a blocked address; redirects are not followed
+ */
+async function post(url, body, options = {}) {
+    if (!isAllowedUrl(url)) throw new Error('Webhook URL is not allowed')
+
+    return axios.post(url, body, {
+        ...options,
+        maxRedirects: 0,
+        lookup: _lookupPublicAddress
+    })
+}
+
+/* Resolves for the connection itself, so a host cannot pass the check and then resolve to a private address */
+async function _lookupPublicAddress(hostname, options) {
+    const { address, family } = await dns.promises.lookup(hostname, { family: options?.family || 0 })
+    if (_isBlocked(address)) throw new Error(`Webhook host ${hostname} resolves to a blocked address`)
+
+    return [address, family]
+}
+
+function _isBlocked(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')
+}
@@ -0,0 +1,162 @@
+import crypto from 'crypto'
+
+/**
+ * Detects and masks secrets before text leaves the backend (Jira payloads, log lines, stored findings)
+ * A masked secret is replaced by [REDACTED:<type>:<hash prefix>], so the same secret always
+ * produces the same text and can still be correlated through its hash
+ */
+export const redactionService = {
+    redact,
+    redactDeep,
+    scan,
+    findSecrets,
+    hashSecret
+}
+
+const SECRET_PATTERNS = [
+    {
+        type: 'private-key',
+        regex: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z0-9 ]*PRIVATE KEY-----/g
+    },
+    {
+        type: 'aws-access-key',
+        regex: /\b(?:AKIA|ASIA|ABIA|ACCA|A3T[A-Z0-9])[A-Z0-9]{16}\b/g
+    },
+    {
+        // Only the value after a secret key name, the 40 chars alone are too generic
+        type: 'aws-secret-key',
+        regex: /(aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?)([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi,
+        group: 2
+    },
+    {
+        type: 'github-token',
+        regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g
+    },
+    {
+        type: 'jwt',
+        regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g
+    },
+    {
+        type: 'identityhub-api-key',
+        regex: /\bih_[a-f0-9]{64}\b/g
+    }
+]
+
+// Long tokens of base64 / base64url characters are checked for randomness
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]{32,}/g
+// Share of the maximum entropy a string of that length can reach (log2 of min(length, 64) bits per char)
+// Random base64 scores ~0.9, paths, ARNs and hex digests (fingerprints, hashes) stay below 0.8
+const HIGH_ENTROPY_RATIO = 0.84
+
+/**
+ * Finds the secrets contained in a text
+ * @param {string} text
+ * @returns {{type: string, value: string}[]}
+ */
+function findSecrets(text) {
+    if (typeof text !== 'string' || !text) return []
+
+    const secrets = []
+    let remaining = text
+
+    for (const { type, regex, group } of SECRET_PATTERNS) {
+        for (const match of remaining.matchAll(regex)) {
+            secrets.push({ type, value: group ? match[group] : match[0] })
+        }
+        // Blank out what was found so the entropy check does not report it twice
+        remaining = remaining.replace(regex, ' ')
+    }
+
+    for (const [candidate] of remaining.matchAll(HIGH_ENTROPY_CANDIDATE)) {
+        if (_isHighEntropy(candidate)) {
+            secrets.push({ type: 'high-entropy-string', value: candidate })
+        }
+    }
+
+    return secrets
+}
+
+/**
+ * Masks every secret found in a text
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    if (typeof text !== 'string' || !text) return text
+
+    return findSecrets(text).reduce(
+        (redacted, { type, value }) => redacted.split(value).join(_mask(type, value)),
+        text
+    )
+}
+
+/**
+ * Masks secrets in every string of a value (objects and arrays are copied, not mutated)
+ * Used for structured payloads such as Jira issue fields in Atlassian Document Format
+ */
+function redactDeep(value) {
+    if (typeof value === 'string') return redact(value)
+    if (Array.isArray(value)) return value.map(redactDeep)
+    if (value && typeof value === 'object' && value.constructor === Object) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, nested]) => [key, redactDeep(nested)])
+        )
+    }
+    return value
+}
+
+/**
+ * Masks secrets in every string of a value and reports the hashes of what was masked
+ * @returns {{value: any, secretHashes: string[]}} Redacted copy and sorted unique secret hashes
+ */
+function scan(value) {
+    const secretHashes = new Set()
+
+    const collect = nested => {
+        if (typeof nested === 'string') {
+            findSecrets(nested).forEach(({ value: secret }) => secretHashes.add(hashSecret(secret)))
+        } else if (Array.isArray(nested)) {
+            nested.forEach(collect)
+        } else if (nested && typeof nested === 'object' && nested.constructor === Object) {
+            Object.values(nested).forEach(collect)
+        }
+    }
+    collect(value)
+
+    return {
+        value: redactDeep(value),
+        secretHashes: [...secretHashes].sort()
+    }
+}
+
+/**
+ * SHA-256 of a secret value, safe to store and compare
+ */
+function hashSecret(value) {
+    return crypto
+        .createHash('sha256')
+        .update(value)
+        .digest('hex')
+}
+
+function _mask(type, value) {
+    return `[REDACTED:${type}:${hashSecret(value).substring(0, 8)}]`
+}
+
+function _isHighEntropy(str) {
+    // Plain words and identifiers joined by dashes are not secrets
+    if (!/[0-9]/.test(str) || !/[a-zA-Z]/.test(str)) return false
+
+    const maxEntropy = Math.log2(Math.min(str.length, 64))
+    return _shannonEntropy(str) / maxEntropy >= HIGH_ENTROPY_RATIO
+}
+
+function _shannonEntropy(str) {
+    const counts = {}
+    for (const char of str) counts[char] = (counts[char] || 0) + 1
+
+    return Object.values(counts).reduce((entropy, count) => {
+        const p = count / str.length
+        return entropy - p * Math.log2(p)
+    }, 0)
+}
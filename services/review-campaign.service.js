@@ -0,0 +1,265 @@
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+import { reviewService } from '../api/review/review.service.js'
+import { adfService } from './adf.service.js'
+import { outboundWebhookService } from './outbound-webhook.service.js'
+import { loggerService } from './logger.service.js'
+
+/*
+ * Review Campaign Service
+ * Chases the owners of pending access review items: reminders before the due date,
+ * then a Jira ticket and a last reminder for every item still pending after it.
+ * Revoked identities get a Jira ticket to remove them.
+ */
+export const reviewCampaignService = {
+    runAllCampaigns,
+    runCampaign,
+    openRevocationTickets
+}
+
+export const OVERDUE_REMINDER = 'overdue'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/* Runs the engine over every active campaign, and retries the revocation tickets that failed */
+async function runAllCampaigns() {
+    const startTime = Date.now()
+    const totals = { campaigns: 0, reminded: 0, ticketed: 0, failed: 0, completed: 0, failedCampaigns: 0, revocations: 0, failedRevocations: 0 }
+
+    const campaigns = await reviewService.getActive()
+
+    for (const campaign of campaigns) {
+        try {
+            const result = await runCampaign(campaign)
+            totals.campaigns++
+            totals.reminded += result.reminded
+            totals.ticketed += result.ticketed
+            totals.failed += result.failed
+            if (result.completed) totals.completed++
+        } catch (err) {
+            // Nothing is marked for this campaign, its reminders and tickets are retried next run
+            totals.failedCampaigns++
+            loggerService.error(`Review campaign ${campaign.id} run failed:`, err.message)
+        }
+    }
+
+    // Revoked items of completed and closed campaigns still need their ticket
+    const revocations = await reviewService.getUnticketedRevocations()
+    for (const { campaign, items } of revocations) {
+        try {
+            const { ticketed, failed } = await openRevocationTickets(campaign, items)
+            totals.revocations += ticketed
+            totals.failedRevocations += failed
+        } catch (err) {
+            totals.failedRevocations += items.length
+            loggerService.error(`Revocation tickets of review campaign ${campaign.id} failed:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`Review campaigns run in ${duration}s for ${totals.campaigns} campaign(s): ${totals.reminded} items reminded, ${totals.ticketed} tickets created, ${totals.failed} failed, ${totals.completed} completed, ${totals.failedCampaigns} campaigns failed, ${totals.revocations} revocation tickets created, ${totals.failedRevocations} failed`)
+
+    return totals
+}
+
+/**
+ * Runs one active campaign
+ * Before the due date, the reminder of the closest reminderDays mark goes out once per item.
+ * After it, every pending item gets a Jira ticket in the campaign's project and an overdue reminder.
+ * Returns { reminded, ticketed, failed, completed }
+ */
+async function runCampaign(campaign, now = new Date()) {
+    const result = { reminded: 0, ticketed: 0, failed: 0, completed: false }
+
+    const pendingItems = await reviewService.getPendingItems(campaign.id)
+    if (!pendingItems.length) {
+        result.completed = await reviewService.completeIfDone(campaign.id)
+        return result
+    }
+
+    const dueAt = new Date(campaign.dueAt)
+    if (now < dueAt) {
+        const reminder = _getDueReminder(campaign, dueAt, now)
+        if (reminder) result.reminded = await _remind(campaign, pendingItems, reminder)
+        return result
+    }
+
+    const untickedItems = pendingItems.filter(item => !item.ticket)
+    if (untickedItems.length) {
+        const { ticketed, failed } = await _openTickets(campaign, untickedItems, _buildOverdueIssueData,
+            (itemId, result) => reviewService.recordOverdue(itemId, result))
+        result.ticketed = ticketed
+        result.failed = failed
+    }
+    result.reminded = await _remind(campaign, pendingItems, OVERDUE_REMINDER)
+
+    return result
+}
+
+/* The reminder of the smallest reminderDays mark already reached, e.g. 'due-1d' a day before the due date */
+function _getDueReminder(campaign, dueAt, now) {
+    const daysLeft = (dueAt - now) / DAY_MS
+    const reachedDays = campaign.reminderDays.filter(days => daysLeft <= days)
+    if (!reachedDays.length) return null
+
+    return `due-${Math.min(...reachedDays)}d`
+}
+
+/**
+ * Sends a reminder to the owner and backup owner of every item that did not get it yet
+ * Each reviewer gets one message for all their items; an item is marked once a message about it went out
+ * Returns the number of items reminded
+ */
+async function _remind(campaign, items, reminder) {
+    const dueItems = items.filter(item => !item.remindersSent.includes(reminder))
+
+    const itemsByReviewer = new Map()
+    dueItems.forEach(item => {
+        const reviewers = [...new Set([item.owner, item.backupOwner].filter(Boolean))]
+        reviewers.forEach(reviewer => itemsByReviewer.set(reviewer, [...(itemsByReviewer.get(reviewer) || []), item]))
+    })
+
+    const remindedIds = new Set()
+    for (const [reviewer, reviewerItems] of itemsByReviewer) {
+        const isSent = await _sendReminder(campaign, reviewer, reviewerItems, reminder)
+        if (isSent) reviewerItems.forEach(item => remindedIds.add(item.id))
+    }
+
+    if (remindedIds.size) await reviewService.recordReminder([...remindedIds], reminder)
+    return remindedIds.size
+}
+
+/**
+ * Delivers a reminder: always logged, and posted to the campaign's webhook when it has one
+ * The message has a Slack-compatible text, plus the details for other receivers
+ */
+async function _sendReminder(campaign, reviewer, items, reminder) {
+    const isOverdue = reminder === OVERDUE_REMINDER
+    const text = isOverdue
+        ? `Access review "${campaign.name}" is overdue: ${reviewer}, ${items.length} identities still need your decision`
+        : `Access review "${campaign.name}" is due on ${new Date(campaign.dueAt).toISOString()}: ${reviewer}, please confirm or revoke ${items.length} identities`
+
+    loggerService.info(`Review reminder ${reminder} for campaign ${campaign.id} to ${reviewer}: ${items.length} item(s)`)
+    if (!campaign.reminderWebhookUrl) return true
+
+    try {
+        await outboundWebhookService.post(campaign.reminderWebhookUrl, {
+            text,
+            reminder,
+            campaign: { id: campaign.id, name: campaign.name, dueAt: campaign.dueAt },
+            reviewer,
+            identities: items.map(item => ({ itemId: item.id, identityId: item.identityId, name: item.identity.name }))
+        }, { timeout: 10000 })
+        return true
+    } catch (err) {
+        loggerService.error(`Review reminder to ${reviewer} for campaign ${campaign.id} failed:`, err.message)
+        return false
+    }
+}
+
+/**
+ * Opens one Jira ticket per revoked item in the campaign's project, for someone to remove the identity
+ * Items whose ticket fails keep the error and are retried by the next engine run,
+ * items claimed by another run are skipped
+ * Returns { ticketed, failed }
+ */
+async function openRevocationTickets(campaign, items) {
+    const claimedItems = []
+    for (const item of items) {
+        if (await reviewService.claimRevocation(item.id)) claimedItems.push(item)
+    }
+    if (!claimedItems.length) return { ticketed: 0, failed: 0 }
+
+    return _openTickets(campaign, claimedItems, _buildRevocationIssueData,
+        (itemId, result) => reviewService.recordRevocation(itemId, result))
+}
+
+/**
+ * Opens one Jira ticket per item, with the campaign owner's Jira connection
+ * recordTicket(itemId, { ticket, ticketError }) stores the ticket, or the error that prevented it
+ */
+async function _openTickets(campaign, items, buildIssueData, recordTicket) {
+    const result = { ticketed: 0, failed: 0 }
+
+    const user = await userService.getById(campaign.userId)
+    if (!user?.config?.jira) {
+        for (const item of items) await recordTicket(item.id, { ticketError: 'Jira not connected' })
+        result.failed = items.length
+        return result
+    }
+
+    const accessToken = await jiraService.getValidAccessToken(user)
+    const { cloudId, siteUrl } = user.config.jira
+
+    for (const item of items) {
+        try {
+            const issue = await jiraService.createIssue(accessToken, cloudId, buildIssueData(campaign, item))
+            const ticket = {
+                key: issue.key,
+                id: issue.id,
+                url: `${siteUrl}/browse/${issue.key}`
+            }
+
+            await recordTicket(item.id, { ticket })
+            result.ticketed++
+        } catch (err) {
+            loggerService.error(`Review ticket for item ${item.id} failed:`, err.message)
+            await recordTicket(item.id, { ticketError: err.message })
+            result.failed++
+        }
+    }
+
+    return result
+}
+
+function _buildOverdueIssueData(campaign, item) {
+    const description = [
+        `## ${item.identity.name}`,
+        `The access review **${campaign.name}** was due on ${new Date(campaign.dueAt).toISOString()} and nobody confirmed or revoked this identity.`,
+        _getAttributes(item),
+        `**Action:** the owner confirms the identity is still needed, or revokes it, in review campaign ${campaign.id}.`
+    ].join('\n\n')
+
+    return _buildIssueData(campaign, `Overdue access review: ${item.identity.name}`, description)
+}
+
+function _buildRevocationIssueData(campaign, item) {
+    const { decidedBy, decidedAt, comment } = item.decision
+    const description = [
+        `## ${item.identity.name}`,
+        `In the access review **${campaign.name}**, ${decidedBy.email || decidedBy.userId} revoked this identity on ${new Date(decidedAt).toISOString()}.`,
+        comment ? `**Comment:** ${comment}` : null,
+        _getAttributes(item),
+        '**Action:** disable or delete the identity and its credentials in its provider.'
+    ].filter(Boolean).join('\n\n')
+
+    return _buildIssueData(campaign, `Revoke access: ${item.identity.name}`, description)
+}
+
+function _getAttributes(item) {
+    const { identity } = item
+    const attributes = [
+        `- **Type:** ${identity.type}`,
+        `- **Provider:** ${identity.provider || 'unknown'}`,
+        `- **Environment:** ${identity.environment || 'unknown'}`,
+        `- **Owner:** ${item.owner || 'unassigned'}`,
+        `- **Backup owner:** ${item.backupOwner || 'none'}`
+    ]
+    if (identity.externalId) attributes.push(`- **External id:** ${identity.externalId}`)
+
+    return attributes.join('\n')
+}
+
+function _buildIssueData(campaign, summary, description) {
+    return {
+        project: {
+            key: campaign.projectKey
+        },
+        summary,
+        description: adfService.markdownToAdf(description),
+        issuetype: {
+            name: campaign.issueType || 'Task'
+        },
+        labels: ['access-review', 'created-from-identityhub']
+    }
+}
@@ -0,0 +1,198 @@
+import { identityService } from '../api/identity/identity.service.js'
+import { nhiFindingsService } from '../api/nhi-findings/nhi-findings.service.js'
+import { riskWeightsService, RISK_FACTORS } from '../api/risk-weights/risk-weights.service.js'
+import { SEVERITY_LEVELS } from '../api/project-settings/project-settings.service.js'
+import { loggerService } from './logger.service.js'
+
+/*
+ * Risk Score Service
+ * Scores identities and findings from 0 to 100, as the weighted average of factors between 0 and 1:
+ * - privilege: the identity is privileged
+ * - exposure: the finding was found in a public place (an identity: any of its open findings)
+ * - severity: the finding's severity (an identity: its most severe open finding)
+ * - environment: production 1, unknown 0.5, other environments 0
+ * - credentialAge: age of the identity, full after a year
+ * - lastUse: time since the identity was last used, full after 180 days or when never used
+ * - openFindings: open findings of the identity, full at 5
+ */
+export const riskScoreService = {
+    scoreIdentity,
+    scoreFinding,
+    scoreSubmission,
+    getLevel,
+    refreshIdentity,
+    refreshUser,
+    refreshAllUsers
+}
+
+// Where a finding was found: public (e.g. a public repository) or internal
+export const EXPOSURE_LEVELS = ['public', 'internal']
+
+const SEVERITY_FACTORS = {
+    critical: 1,
+    high: 0.75,
+    medium: 0.5,
+    low: 0.25,
+    info: 0
+}
+const PRODUCTION_ENVIRONMENTS = ['prod', 'production']
+const MAX_CREDENTIAL_AGE_DAYS = 365
+const MAX_IDLE_DAYS = 180
+const MAX_OPEN_FINDINGS = 5
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Risk of an identity from its attributes and its open findings
+ * Returns { score, level, factors, computedAt }
+ */
+function scoreIdentity(identity, openFindings, riskWeights, now = new Date()) {
+    const factors = {
+        ..._getIdentityFactors(identity, openFindings.length, now),
+        exposure: openFindings.some(finding => finding.exposure === 'public') ? 1 : 0,
+        severity: Math.max(0, ...openFindings.map(finding => SEVERITY_FACTORS[finding.severity] ?? 0))
+    }
+
+    return _toRisk(factors, riskWeights, now)
+}
+
+/**
+ * Risk of a finding from its severity and exposure and the factors of its identity
+ * identity: the linked inventory identity, or null
+ * openFindingCount: open findings of that identity, the finding included
+ * Returns { score, level, factors, computedAt }
+ */
+function scoreFinding(finding, identity, openFindingCount, riskWeights, now = new Date()) {
+    const factors = {
+        ..._getIdentityFactors(identity, openFindingCount, now),
+        exposure: finding.exposure === 'public' ? 1 : 0,
+        severity: SEVERITY_FACTORS[finding.severity] ?? 0
+    }
+
+    return _toRisk(factors, riskWeights, now)
+}
+
+/**
+ * Risk of a finding being submitted, with the user's weights
+ * It counts as one more open finding of its identity
+ */
+async function scoreSubmission(userId, data, identity) {
+    const riskWeights = await riskWeightsService.getByUser(userId)
+    const openFindings = identity ? await nhiFindingsService.getOpenByUser(userId, identity.id) : []
+
+    return scoreFinding(data, identity, identity ? openFindings.length + 1 : 0, riskWeights)
+}
+
+/* Severity level of a score: the highest level whose threshold it reaches */
+function getLevel(score, thresholds) {
+    return SEVERITY_LEVELS.find(level => thresholds[level] !== undefined && score >= thresholds[level]) || 'info'
+}
+
+/**
+ * Recompute the risk of an identity and of its open findings
+ * Returns the identity's new risk, or null when the identity does not exist
+ */
+async function refreshIdentity(userId, identityId, now = new Date()) {
+    const identity = await identityService.getById(identityId, userId)
+    if (!identity) return null
+
+    const riskWeights = await riskWeightsService.getByUser(userId)
+    const openFindings = await nhiFindingsService.getOpenByUser(userId, identityId)
+
+    const risk = scoreIdentity(identity, openFindings, riskWeights, now)
+    await identityService.setRisk(identityId, risk)
+
+    for (const finding of openFindings) {
+        await nhiFindingsService.setRisk(finding.id, scoreFinding(finding, identity, openFindings.length, riskWeights, now))
+    }
+
+    return risk
+}
+
+/**
+ * Recompute the risk of every identity and open finding of a user
+ * Returns the number of scored { identities, findings }
+ */
+async function refreshUser(userId, now = new Date()) {
+    const riskWeights = await riskWeightsService.getByUser(userId)
+    const identities = await identityService.getByUser(userId)
+    const openFindings = await nhiFindingsService.getOpenByUser(userId)
+
+    const findingsByIdentity = new Map()
+    openFindings.forEach(finding => {
+        if (finding.identityId) findingsByIdentity.set(finding.identityId, [...(findingsByIdentity.get(finding.identityId) || []), finding])
+    })
+    const identitiesById = new Map(identities.map(identity => [identity.id, identity]))
+
+    for (const identity of identities) {
+        await identityService.setRisk(identity.id, scoreIdentity(identity, findingsByIdentity.get(identity.id) || [], riskWeights, now))
+    }
+
+    for (const finding of openFindings) {
+        const identity = identitiesById.get(finding.identityId) || null
+        const openFindingCount = identity ? findingsByIdentity.get(identity.id).length : 0
+        await nhiFindingsService.setRisk(finding.id, scoreFinding(finding, identity, openFindingCount, riskWeights, now))
+    }
+
+    return { identities: identities.length, findings: openFindings.length }
+}
+
+/* Age and last use drift with time, so every inventory is rescored periodically */
+async function refreshAllUsers() {
+    const startTime = Date.now()
+    const totals = { users: 0, identities: 0, findings: 0, failedUsers: 0 }
+
+    const userIds = await identityService.getUserIds()
+
+    for (const userId of userIds) {
+        try {
+            const { identities, findings } = await refreshUser(userId)
+            totals.users++
+            totals.identities += identities
+            totals.findings += findings
+        } catch (err) {
+            totals.failedUsers++
+            loggerService.error(`Risk score refresh failed for user ${userId}:`, err.message)
+        }
+    }
+
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2)
+    loggerService.info(`Risk scores refreshed in ${duration}s for ${totals.users} user(s): ${totals.identities} identities, ${totals.findings} findings, ${totals.failedUsers} failed`)
+
+    return totals
+}
+
+/* Factors that come from the identity, all 0 (environment unknown) without one */
+function _getIdentityFactors(identity, openFindingCount, now) {
+    if (!identity) {
+        return { privilege: 0, environment: 0.5, credentialAge: 0, lastUse: 0, openFindings: 0 }
+    }
+
+    const daysSince = date => Math.max(0, (now - new Date(date)) / DAY_MS)
+    let environment = 0.5
+    if (identity.environment) environment = PRODUCTION_ENVIRONMENTS.includes(identity.environment) ? 1 : 0
+
+    let lastUse = 0
+    if (identity.lastUsedAt) lastUse = Math.min(daysSince(identity.lastUsedAt) / MAX_IDLE_DAYS, 1)
+    else if (identity.identityCreatedAt) lastUse = 1
+
+    return {
+        privilege: identity.permissions?.isPrivileged ? 1 : 0,
+        environment,
+        credentialAge: identity.identityCreatedAt ? Math.min(daysSince(identity.identityCreatedAt) / MAX_CREDENTIAL_AGE_DAYS, 1) : 0,
+        lastUse,
+        openFindings: Math.min(openFindingCount / MAX_OPEN_FINDINGS, 1)
+    }
+}
+
+function _toRisk(factors, { weights, thresholds }, now) {
+    const totalWeight = RISK_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0), 0)
+    const weightedSum = RISK_FACTORS.reduce((sum, factor) => sum + (weights[factor] || 0) * factors[factor], 0)
+    const score = totalWeight ? Math.round(100 * weightedSum / totalWeight) : 0
+
+    return {
+        score,
+        level: getLevel(score, thresholds),
+        factors: Object.fromEntries(RISK_FACTORS.map(factor => [factor, Math.round(factors[factor] * 100) / 100])),
+        computedAt: now
+    }
+}
@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { adfService } from '../services/adf.service.js'
+
+describe('adfService.markdownToAdf blockquote', () => {
+    it('turns headings in a quote into bold paragraphs', () => {
+        const doc = adfService.markdownToAdf('> ## Impact\n> Keys `AKIA...` leaked')
+
+        assert.deepEqual(doc.content, [{
+            type: 'blockquote',
+            content: [
+                { type: 'paragraph', content: [{ type: 'text', text: 'Impact', marks: [{ type: 'strong' }] }] },
+                { type: 'paragraph', content: [
+                    { type: 'text', text: 'Keys ' },
+                    { type: 'text', text: 'AKIA...', marks: [{ type: 'code' }] },
+                    { type: 'text', text: ' leaked' }
+                ] }
+            ]
+        }])
+    })
+
+    it('moves tables and rules out of a quote', () => {
+        const doc = adfService.markdownToAdf('> Before\n>\n> | Key | Age |\n> | --- | --- |\n> | ci | 400 |\n>\n> ---\n>\n> After')
+
+        assert.deepEqual(doc.content.map(node => node.type), ['blockquote', 'table', 'rule', 'blockquote'])
+        assert.equal(doc.content[0].content[0].content[0].text, 'Before')
+        assert.equal(doc.content[3].content[0].content[0].text, 'After')
+    })
+
+    it('flattens nested quotes', () => {
+        const doc = adfService.markdownToAdf('> Outer\n>> Inner\n>> - item')
+
+        assert.equal(doc.content.length, 1)
+        assert.deepEqual(doc.content[0].content.map(node => node.type), ['paragraph', 'paragraph', 'bulletList'])
+    })
+})
@@ -0,0 +1,47 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { apikeyService } from '../api/apikey/apikey.service.js'
+
+describe('apikeyService.rotate', () => {
+    const userId = new ObjectId().toString()
+    let db, apiKey
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        apiKey = await apikeyService.generateApiKey(userId, 'ci-scanner')
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('issues a single successor for concurrent rotations', async () => {
+        const results = await Promise.allSettled([
+            apikeyService.rotate(apiKey.id, userId),
+            apikeyService.rotate(apiKey.id, userId)
+        ])
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected'])
+        assert.match(results.find(result => result.status === 'rejected').reason.message, /already rotated/)
+
+        const keys = await apikeyService.getAll(userId)
+        assert.equal(keys.length, 2)
+        assert.equal(keys.find(key => key.id === apiKey.id).successorId, results.find(result => result.status === 'fulfilled').value.id)
+    })
+
+    it('releases the key when the successor cannot be stored', async () => {
+        const apikeys = await db.getCollection('apikeys')
+        const insertOne = apikeys.insertOne
+        apikeys.insertOne = async () => {
+            throw new Error('write failed')
+        }
+
+        await assert.rejects(apikeyService.rotate(apiKey.id, userId), /write failed/)
+
+        apikeys.insertOne = insertOne
+        const successor = await apikeyService.rotate(apiKey.id, userId)
+        assert.equal(successor.name, 'ci-scanner')
+    })
+})
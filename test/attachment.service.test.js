@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import express from 'express'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { attachmentService, MAX_BASE64_ATTACHMENTS_SIZE } from '../services/attachment.service.js'
+import { rejectOversizedFindings } from '../middlewares/bodyLimit.middleware.js'
+
+function _encode(size) {
+    return Buffer.alloc(size, 'a').toString('base64')
+}
+
+describe('attachmentService.fromBase64', () => {
+    it('accepts base64 evidence up to the combined limit', () => {
+        const half = MAX_BASE64_ATTACHMENTS_SIZE / 2
+        const { attachments, errors } = attachmentService.fromBase64([
+            { filename: 'a.txt', contentType: 'text/plain', content: _encode(half) },
+            { filename: 'b.txt', contentType: 'text/plain', content: _encode(half) }
+        ])
+
+        assert.deepEqual(errors, [])
+        assert.equal(attachments.length, 2)
+    })
+
+    it('refuses base64 evidence over the combined limit and points to multipart', () => {
+        const { attachments, errors } = attachmentService.fromBase64([
+            { filename: 'a.txt', contentType: 'text/plain', content: _encode(4 * 1024 * 1024) },
+            { filename: 'b.txt', contentType: 'text/plain', content: _encode(4 * 1024 * 1024) }
+        ])
+
+        assert.deepEqual(attachments, [])
+        assert.deepEqual(errors, [attachmentService.getBase64LimitMessage()])
+        assert.match(errors[0], /multipart/)
+    })
+})
+
+describe('rejectOversizedFindings', () => {
+    let server
+
+    beforeEach(async () => {
+        quietLogger()
+        const app = express()
+        app.use(express.json({ limit: '1kb' }))
+        app.post('/api/nhi-findings', (req, res) => res.status(201).json({}))
+        app.use('/api/nhi-findings', rejectOversizedFindings)
+
+        server = http.createServer(app)
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    })
+
+    afterEach(async () => {
+        mock.restoreAll()
+        await new Promise(resolve => server.close(resolve))
+    })
+
+    async function _post(body) {
+        const { port } = server.address()
+        const res = await fetch(`http://127.0.0.1:${port}/api/nhi-findings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        })
+        return { status: res.status, body: await res.json() }
+    }
+
+    it('answers an oversized finding with the attachment limits', async () => {
+        const { status, body } = await _post({ attachments: [{ filename: 'a.txt', contentType: 'text/plain', content: _encode(2048) }] })
+
+        assert.equal(status, 413)
+        assert.equal(body.error, 'Payload too large')
+        assert.match(body.message, /Base64 attachments can total at most 7MB/)
+    })
+
+    it('lets a finding within the limit through', async () => {
+        const { status } = await _post({ summary: 'Leaked token' })
+
+        assert.equal(status, 201)
+    })
+})
@@ -0,0 +1,68 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { blogDigestAutomationService } from '../services/nhi-blog-digest/blog-digest-automation.service.js'
+import { blogScraperService } from '../services/nhi-blog-digest/blog-scraper.service.js'
+import { aiSummaryService } from '../services/nhi-blog-digest/ai-summary.service.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+
+describe('blogDigestAutomationService.runBlogDigest', () => {
+    let createdIssues, blogPost
+
+    beforeEach(() => {
+        quietLogger()
+        createdIssues = []
+        mock.method(blogScraperService, 'getLatestBlogPost', async () => blogPost)
+        mock.method(aiSummaryService, 'generateBlogSummary', async () => 'Rotate **every** key.')
+        mock.method(userService, 'getById', async () => ({ _id: 'user-1', config: { jira: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } } }))
+        mock.method(jiraService, 'getValidAccessToken', async () => 'token')
+        mock.method(jiraService, 'getProjects', async () => [{ key: 'BLOG', name: 'Blog' }])
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            createdIssues.push(issueData)
+            return { id: '10009', key: 'BLOG-9' }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    function _getArticleParagraph(label) {
+        return createdIssues[0].description.content.find(node => node.type === 'paragraph' && node.content[0].text === `${label}: `)
+    }
+
+    it('keeps Markdown in the scraped title, URL and author literal', async () => {
+        blogPost = {
+            title: '*Secrets* in [CI](https://evil.example) # logs',
+            url: 'https://oasis.security/blog/secrets_in_ci?a=1&b=[2]',
+            author: '__Jane__ `Doe`'
+        }
+
+        await blogDigestAutomationService.runBlogDigest('user-1')
+
+        assert.deepEqual(_getArticleParagraph('Title').content[1], { type: 'text', text: blogPost.title })
+        assert.deepEqual(_getArticleParagraph('Author').content[1], { type: 'text', text: blogPost.author })
+        assert.deepEqual(_getArticleParagraph('URL').content[1], {
+            type: 'text',
+            text: blogPost.url,
+            marks: [{ type: 'link', attrs: { href: blogPost.url } }]
+        })
+    })
+
+    it('does not link a URL that is not a web address', async () => {
+        blogPost = { title: 'Post', url: 'javascript:alert(1)', author: null }
+
+        await blogDigestAutomationService.runBlogDigest('user-1')
+
+        assert.deepEqual(_getArticleParagraph('URL').content[1], { type: 'text', text: 'javascript:alert(1)' })
+        assert.deepEqual(_getArticleParagraph('Author').content[1], { type: 'text', text: 'unknown' })
+    })
+
+    it('still renders the summary as Markdown', async () => {
+        blogPost = { title: 'Post', url: 'https://oasis.security/blog/post', author: 'Jane' }
+
+        await blogDigestAutomationService.runBlogDigest('user-1')
+
+        const summary = createdIssues[0].description.content.find(node => node.content?.some(child => child.text === 'every'))
+        assert.deepEqual(summary.content.find(child => child.text === 'every').marks, [{ type: 'strong' }])
+    })
+})
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { findingSlaService } from '../services/finding-sla.service.js'
+import { projectSettingsService, DEFAULT_SLA_DAYS } from '../api/project-settings/project-settings.service.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+describe('findingSlaService.checkBreaches', () => {
+    const userId = new ObjectId()
+    let findings, comments, priorityUpdates, isJiraConnected
+
+    beforeEach(async () => {
+        const db = useFakeDb()
+        quietLogger()
+        comments = []
+        priorityUpdates = []
+        isJiraConnected = true
+
+        mock.method(userService, 'getById', async () => ({ _id: userId, config: isJiraConnected ? { jira: { cloudId: 'cloud-1' } } : {} }))
+        mock.method(jiraService, 'getValidAccessToken', async () => 'token')
+        mock.method(jiraService, 'addComment', async (accessToken, cloudId, issueKey, body) => {
+            comments.push({ issueKey, body: JSON.stringify(body) })
+        })
+        mock.method(jiraService, 'updateIssue', async (accessToken, cloudId, issueKey, fields) => {
+            priorityUpdates.push({ issueKey, priority: fields.priority.name })
+        })
+
+        findings = await db.getCollection('findings')
+        await findings.insertMany([
+            _finding('SEC-1', 'high', { dueAt: new Date(Date.now() - DAY_MS) }),
+            _finding('SEC-2', 'medium', { dueAt: new Date(Date.now() + DAY_MS) }),
+            _finding('SEC-3', 'critical', { dueAt: new Date(Date.now() - DAY_MS) }, { status: 'remediated' })
+        ])
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    function _finding(key, severity, sla, fields = {}) {
+        return {
+            userId,
+            projectKey: 'SEC',
+            severity,
+            status: 'open',
+            ticket: { key },
+            sla: { days: DEFAULT_SLA_DAYS[severity], breachedAt: null, ...sla },
+            payload: {},
+            ...fields
+        }
+    }
+
+    function _getFinding(key) {
+        return findings.docs.find(finding => finding.ticket.key === key)
+    }
+
+    it('comments once on the ticket of an open finding past due', async () => {
+        const totals = await findingSlaService.checkBreaches()
+
+        assert.deepEqual(totals, { breached: 1, commented: 1, raised: 0, failedUsers: 0 })
+        assert.deepEqual(comments.map(comment => comment.issueKey), ['SEC-1'])
+        assert.match(comments[0].body, /SLA breached/)
+        assert.deepEqual(priorityUpdates, [])
+
+        const breached = _getFinding('SEC-1')
+        assert.ok(breached.sla.breachedAt instanceof Date)
+        assert.deepEqual(breached.sla.escalation, { commented: true, priority: null, errors: [] })
+        assert.equal(_getFinding('SEC-2').sla.breachedAt, null)
+        assert.equal(_getFinding('SEC-3').sla.breachedAt, null)
+
+        assert.equal((await findingSlaService.checkBreaches()).breached, 0)
+        assert.equal(comments.length, 1)
+    })
+
+    it('raises the priority to the next severity when the project enables it', async () => {
+        await projectSettingsService.setSlaPolicy(userId.toString(), 'SEC', { slaDays: DEFAULT_SLA_DAYS, raisePriorityOnBreach: true })
+
+        const totals = await findingSlaService.checkBreaches()
+
+        assert.equal(totals.raised, 1)
+        assert.deepEqual(priorityUpdates, [{ issueKey: 'SEC-1', priority: 'Highest' }])
+        assert.match(comments[0].body, /Priority raised to/)
+        assert.equal(_getFinding('SEC-1').sla.escalation.priority, 'Highest')
+    })
+
+    it('marks a breach escalated even when Jira refuses the comment', async () => {
+        mock.method(jiraService, 'addComment', async () => {
+            throw new Error('Issue does not exist')
+        })
+
+        const totals = await findingSlaService.checkBreaches()
+
+        assert.equal(totals.commented, 0)
+        assert.deepEqual(_getFinding('SEC-1').sla.escalation, { commented: false, priority: null, errors: ['Issue does not exist'] })
+    })
+
+    it('retries the breaches of a user whose Jira is not connected', async () => {
+        isJiraConnected = false
+
+        const totals = await findingSlaService.checkBreaches()
+
+        assert.equal(totals.failedUsers, 1)
+        assert.equal(_getFinding('SEC-1').sla.breachedAt, null)
+
+        isJiraConnected = true
+        assert.equal((await findingSlaService.checkBreaches()).breached, 1)
+    })
+})
@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { findingSyncService } from '../services/finding-sync.service.js'
+
+const DONE = { name: 'Done', statusCategory: { key: 'done' } }
+
+describe('findingSyncService.syncUser', () => {
+    const user = { _id: new ObjectId(), config: { jira: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } } }
+    let db, issues, searches
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        searches = []
+
+        // SEC-1 was moved to OPS-4, SEC-2 was deleted
+        issues = new Map([
+            ['10001', { id: '10001', key: 'OPS-4', fields: { status: DONE } }],
+            ['10003', { id: '10003', key: 'SEC-3', fields: { status: DONE } }]
+        ])
+        mock.method(jiraService, 'getValidAccessToken', async () => 'token')
+        mock.method(jiraService, 'searchIssues', async (accessToken, cloudId, jql) => {
+            searches.push(jql)
+            const ids = jql.match(/id in \(([^)]*)\)/)[1].split(', ')
+            if (ids.some(id => !issues.has(id))) {
+                const error = new Error('Failed to search Jira issues')
+                error.status = 400
+                throw error
+            }
+            return ids.map(id => issues.get(id))
+        })
+
+        const findings = await db.getCollection('findings')
+        for (const [id, key] of [['10001', 'SEC-1'], ['10002', 'SEC-2'], ['10003', 'SEC-3']]) {
+            await findings.insertOne({
+                userId: user._id,
+                status: 'open',
+                summary: `Finding of ${key}`,
+                ticket: { id, key, url: `https://acme.atlassian.net/browse/${key}`, status: 'To Do' },
+                createdAt: new Date()
+            })
+        }
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _getFinding(summary) {
+        const findings = await db.getCollection('findings')
+        return findings.docs.find(finding => finding.summary === summary)
+    }
+
+    it('syncs the other tickets when one was deleted', async () => {
+        const result = await findingSyncService.syncUser(user)
+
+        assert.deepEqual(result, { remediated: 2, reopened: 0, missing: 1 })
+        assert.equal(searches[0], 'labels = "created-from-identityhub" AND id in (10001, 10002, 10003)')
+        assert.equal((await _getFinding('Finding of SEC-2')).status, 'open')
+        assert.equal((await _getFinding('Finding of SEC-3')).status, 'remediated')
+    })
+
+    it('follows a ticket moved to another project', async () => {
+        await findingSyncService.syncUser(user)
+
+        const finding = await _getFinding('Finding of SEC-1')
+        assert.equal(finding.status, 'remediated')
+        assert.equal(finding.ticket.key, 'OPS-4')
+        assert.equal(finding.ticket.url, 'https://acme.atlassian.net/browse/OPS-4')
+    })
+
+    it('fails the sync when Jira fails', async () => {
+        jiraService.searchIssues.mock.mockImplementation(async () => {
+            throw Object.assign(new Error('Failed to search Jira issues'), { status: 503 })
+        })
+
+        await assert.rejects(findingSyncService.syncUser(user), /Failed to search Jira issues/)
+    })
+})
@@ -0,0 +1,3 @@
+// The services read their config when imported, tests never reach a real database or Jira
+process.env.ENCRYPTION_KEY ||= 'test-encryption-key'
+process.env.MONGO_URL ||= 'mongodb://127.0.0.1:1/identityhub-test'
@@ -0,0 +1,191 @@
+import { mock } from 'node:test'
+import { ObjectId } from 'mongodb'
+import { dbService } from '../../services/db.service.js'
+
+/**
+ * In-memory stand-in for dbService.getCollection, enough of the driver for the services under test
+ * Returns the collections by name so tests can seed and inspect documents
+ */
+export function useFakeDb() {
+    const collections = new Map()
+    const getCollection = name => {
+        if (!collections.has(name)) collections.set(name, _createCollection())
+        return collections.get(name)
+    }
+
+    mock.method(dbService, 'getCollection', async name => getCollection(name))
+    return { getCollection }
+}
+
+function _createCollection() {
+    const docs = []
+    // Unique indexes are only enforced on insert
+    const uniqueIndexes = []
+
+    return {
+        docs,
+        async createIndex(keys, { unique = false, partialFilterExpression = {} } = {}) {
+            if (unique) uniqueIndexes.push({ fields: Object.keys(keys), partialFilterExpression })
+        },
+        async insertOne(doc) {
+            const isDuplicate = uniqueIndexes.some(({ fields, partialFilterExpression }) =>
+                _matches(doc, partialFilterExpression) &&
+                docs.some(other => _matches(other, partialFilterExpression) && fields.every(field => _equals(_get(other, field), _get(doc, field)))))
+            if (isDuplicate) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+
+            if (!doc._id) doc._id = new ObjectId()
+            docs.push(doc)
+            return { insertedId: doc._id }
+        },
+        async insertMany(newDocs) {
+            const insertedIds = {}
+            for (const [idx, doc] of newDocs.entries()) insertedIds[idx] = (await this.insertOne(doc)).insertedId
+            return { insertedIds }
+        },
+        find(criteria = {}) {
+            return _createCursor(docs.filter(doc => _matches(doc, criteria)))
+        },
+        async findOne(criteria = {}) {
+            return docs.find(doc => _matches(doc, criteria)) || null
+        },
+        async countDocuments(criteria = {}) {
+            return docs.filter(doc => _matches(doc, criteria)).length
+        },
+        async distinct(field, criteria = {}) {
+            const values = docs.filter(doc => _matches(doc, criteria)).map(doc => _get(doc, field))
+            return values.filter((value, idx) => values.findIndex(other => _equals(other, value)) === idx)
+        },
+        async findOneAndUpdate(criteria, update, { returnDocument = 'before', upsert = false } = {}) {
+            let doc = docs.find(doc => _matches(doc, criteria))
+            if (!doc && !upsert) return null
+            if (!doc) {
+                doc = { _id: new ObjectId(), ..._equalityFields(criteria) }
+                docs.push(doc)
+            }
+            const before = _clone(doc)
+            _applyUpdate(doc, update)
+            return returnDocument === 'after' ? doc : before
+        },
+        async updateOne(criteria, update, { upsert = false } = {}) {
+            const doc = docs.find(doc => _matches(doc, criteria))
+            if (doc) _applyUpdate(doc, update)
+            else if (upsert) docs.push(_applyUpdate({ _id: new ObjectId(), ..._equalityFields(criteria) }, update))
+            return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0, upsertedCount: !doc && upsert ? 1 : 0 }
+        },
+        async updateMany(criteria, update) {
+            const matched = docs.filter(doc => _matches(doc, criteria))
+            matched.forEach(doc => _applyUpdate(doc, update))
+            return { matchedCount: matched.length, modifiedCount: matched.length }
+        },
+        async deleteOne(criteria) {
+            const idx = docs.findIndex(doc => _matches(doc, criteria))
+            if (idx !== -1) docs.splice(idx, 1)
+            return { deletedCount: idx === -1 ? 0 : 1 }
+        }
+    }
+}
+
+function _createCursor(results) {
+    let sortSpec = null
+    let skip = 0
+    let limit = 0
+
+    return {
+        sort(spec) { sortSpec = spec; return this },
+        skip(count) { skip = count; return this },
+        limit(count) { limit = count; return this },
+        project() { return this },
+        async toArray() {
+            const sorted = [...results]
+            if (sortSpec) {
+                sorted.sort((docA, docB) => {
+                    for (const [field, dir] of Object.entries(sortSpec)) {
+                        const valueA = _get(docA, field)
+                        const valueB = _get(docB, field)
+                        if (valueA < valueB) return -dir
+                        if (valueA > valueB) return dir
+                    }
+                    return 0
+                })
+            }
+            return sorted.slice(skip, limit ? skip + limit : undefined)
+        }
+    }
+}
+
+function _matches(doc, criteria) {
+    return Object.entries(criteria).every(([key, condition]) => {
+        if (key === '$or') return condition.some(subCriteria => _matches(doc, subCriteria))
+        if (key === '$and') return condition.every(subCriteria => _matches(doc, subCriteria))
+
+        const value = _get(doc, key)
+        const isOperator = condition && typeof condition === 'object' && !(condition instanceof ObjectId) &&
+            !(condition instanceof Date) && !(condition instanceof RegExp) && Object.keys(condition).some(op => op.startsWith('$'))
+        if (!isOperator) return _matchesValue(value, condition)
+
+        return Object.entries(condition).every(([op, operand]) => {
+            switch (op) {
+            case '$in': return operand.some(option => _matchesValue(value, option))
+            case '$nin': return !operand.some(option => _matchesValue(value, option))
+            case '$ne': return !_matchesValue(value, operand)
+            case '$exists': return operand ? value !== undefined : value === undefined
+            case '$gt': return value != null && value > operand
+            case '$gte': return value != null && value >= operand
+            case '$lt': return value != null && value < operand
+            case '$lte': return value != null && value <= operand
+            case '$type': return typeof value === operand
+            default: throw new Error(`Fake db does not support ${op}`)
+            }
+        })
+    })
+}
+
+/* Arrays match when one of their elements does, as in MongoDB */
+function _matchesValue(value, condition) {
+    if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value)
+    if (Array.isArray(value) && !Array.isArray(condition)) return value.some(element => _equals(element, condition))
+    if (condition === null) return value === null || value === undefined
+    return _equals(value, condition)
+}
+
+function _equals(valueA, valueB) {
+    if (valueA instanceof ObjectId || valueB instanceof ObjectId) return String(valueA) === String(valueB)
+    if (valueA instanceof Date && valueB instanceof Date) return valueA.getTime() === valueB.getTime()
+    if (valueA && valueB && typeof valueA === 'object' && typeof valueB === 'object') return JSON.stringify(valueA) === JSON.stringify(valueB)
+    return valueA === valueB
+}
+
+function _applyUpdate(doc, update) {
+    Object.entries(update.$set || {}).forEach(([field, value]) => _set(doc, field, value))
+    Object.entries(update.$setOnInsert || {}).forEach(([field, value]) => { if (_get(doc, field) === undefined) _set(doc, field, value) })
+    Object.keys(update.$unset || {}).forEach(field => _set(doc, field, undefined))
+    Object.entries(update.$inc || {}).forEach(([field, value]) => _set(doc, field, (_get(doc, field) || 0) + value))
+    Object.entries(update.$push || {}).forEach(([field, value]) => _set(doc, field, [...(_get(doc, field) || []), value]))
+    Object.entries(update.$addToSet || {}).forEach(([field, value]) => {
+        const current = _get(doc, field) || []
+        _set(doc, field, current.some(element => _equals(element, value)) ? current : [...current, value])
+    })
+    return doc
+}
+
+function _equalityFields(criteria) {
+    return Object.fromEntries(Object.entries(criteria).filter(([key, value]) => !key.startsWith('$') && !(value && typeof value === 'object' && !(value instanceof ObjectId) && !(value instanceof Date))))
+}
+
+/* structuredClone would turn ObjectIds into plain objects */
+function _clone(value) {
+    if (Array.isArray(value)) return value.map(_clone)
+    if (!value || typeof value !== 'object' || value instanceof ObjectId || value instanceof Date || value instanceof RegExp) return value
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, _clone(field)]))
+}
+
+function _get(doc, path) {
+    return path.split('.').reduce((value, key) => value?.[key], doc)
+}
+
+function _set(doc, path, value) {
+    const keys = path.split('.')
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), doc)
+    if (value === undefined) delete parent[keys.at(-1)]
+    else parent[keys.at(-1)] = value
+}
@@ -0,0 +1,7 @@
+import { mock } from 'node:test'
+import { loggerService } from '../../services/logger.service.js'
+
+/* Keeps the expected error logs of the services under test out of the test output */
+export function quietLogger() {
+    ['debug', 'info', 'warn', 'error'].forEach(level => mock.method(loggerService, level, () => {}))
+}
@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { EventEmitter } from 'node:events'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { idempotent } from '../middlewares/idempotency.middleware.js'
+import { PROCESSING_LEASE_MINUTES } from '../services/idempotency.service.js'
+
+function _createReq(key) {
+    return {
+        method: 'POST',
+        baseUrl: '/api/nhi-findings',
+        path: '/',
+        body: { summary: 'Leaked token' },
+        apiKeyAuth: { userId: 'user-1' },
+        get: header => (header === 'Idempotency-Key' ? key : undefined)
+    }
+}
+
+function _createRes() {
+    const res = new EventEmitter()
+    Object.assign(res, {
+        statusCode: 200,
+        body: undefined,
+        set() { return this },
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(body) {
+            this.body = body
+            return this
+        }
+    })
+    return res
+}
+
+async function _run(key) {
+    const res = _createRes()
+    let isNextCalled = false
+    await idempotent(_createReq(key), res, () => { isNextCalled = true })
+    return { res, isNextCalled }
+}
+
+describe('idempotent middleware', () => {
+    let db
+
+    beforeEach(() => {
+        db = useFakeDb()
+        quietLogger()
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('refuses a retry while the first request is processing', async () => {
+        assert.equal((await _run('key-1')).isNextCalled, true)
+
+        const retry = await _run('key-1')
+        assert.equal(retry.isNextCalled, false)
+        assert.equal(retry.res.statusCode, 409)
+    })
+
+    it('lets a retry take over a request processing for longer than the lease', async () => {
+        assert.equal((await _run('key-1')).isNextCalled, true)
+
+        // The process that ran the first request crashed long ago
+        const records = await db.getCollection('idempotency_keys')
+        records.docs[0].processingStartedAt = new Date(Date.now() - (PROCESSING_LEASE_MINUTES + 1) * 60 * 1000)
+
+        assert.equal((await _run('key-1')).isNextCalled, true)
+        assert.equal((await _run('key-1')).res.statusCode, 409)
+    })
+})
@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { identityService } from '../api/identity/identity.service.js'
+
+const SCOPE = 'aws:123456789012'
+
+function _role(name, fields = {}) {
+    return { name, type: 'iam_role', provider: 'aws', externalId: `arn:aws:iam::123456789012:role/${name}`, importScope: SCOPE, ...fields }
+}
+
+describe('identityService.importIdentities', () => {
+    const userId = new ObjectId().toString()
+    let db
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+
+        await identityService.importIdentities(userId, [
+            _role('deploy-bot', { lastUsedAt: '2026-01-01T00:00:00Z' }),
+            _role('backup-bot')
+        ], { defaults: { environment: 'prod', tags: ['imported'] } })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _getIdentities() {
+        return (await db.getCollection('identities')).docs
+    }
+
+    it('creates the identities of a first import with the defaults', async () => {
+        const identities = await _getIdentities()
+
+        assert.equal(identities.length, 2)
+        assert.ok(identities.every(identity => identity.environment === 'prod' && identity.tags.includes('imported')))
+    })
+
+    it('reports created, updated, unchanged and missing identities', async () => {
+        const result = await identityService.importIdentities(userId, [
+            _role('deploy-bot', { lastUsedAt: '2026-02-01T00:00:00Z' }),
+            _role('ci-runner')
+        ])
+
+        assert.equal(result.total, 2)
+        assert.equal(result.created, 1)
+        assert.equal(result.updated, 1)
+        assert.equal(result.unchanged, 0)
+        assert.equal(result.missing, 1)
+        assert.deepEqual(result.diff.created.map(entry => entry.name), ['ci-runner'])
+        assert.deepEqual(result.diff.updated.map(entry => [entry.name, entry.fields]), [['deploy-bot', ['lastUsedAt']]])
+        assert.deepEqual(result.diff.missing.map(entry => entry.name), ['backup-bot'])
+
+        // Missing identities are reported, never deleted
+        assert.equal((await _getIdentities()).length, 3)
+    })
+
+    it('keeps the values set by hand and merges tags on a re-import', async () => {
+        const [deployBot] = await _getIdentities()
+        await identityService.update(deployBot._id.toString(), userId, {
+            ...deployBot,
+            ownerUserId: null,
+            backupOwnerUserId: null,
+            owner: 'platform@acme.com',
+            environment: 'staging',
+            tags: ['imported', 'critical-path']
+        })
+
+        const result = await identityService.importIdentities(userId, [
+            _role('deploy-bot', { lastUsedAt: '2026-01-01T00:00:00Z', tags: ['aws'] }),
+            _role('backup-bot')
+        ], { defaults: { environment: 'prod', owner: 'cloud@acme.com' } })
+
+        const updated = (await _getIdentities()).find(identity => identity.name === 'deploy-bot')
+        assert.equal(updated.owner, 'platform@acme.com')
+        assert.equal(updated.environment, 'staging')
+        assert.deepEqual(updated.tags, ['imported', 'critical-path', 'aws'])
+        assert.deepEqual(result.diff.updated.map(entry => [entry.name, entry.fields]), [
+            ['deploy-bot', ['tags']],
+            ['backup-bot', ['owner']]
+        ])
+    })
+
+    it('reports the diff of a dry run without saving it', async () => {
+        const before = JSON.stringify(await _getIdentities())
+
+        const result = await identityService.importIdentities(userId, [
+            _role('deploy-bot', { lastUsedAt: '2026-02-01T00:00:00Z' }),
+            _role('ci-runner')
+        ], { dryRun: true })
+
+        assert.equal(result.dryRun, true)
+        assert.equal(result.created, 1)
+        assert.equal(result.updated, 1)
+        assert.equal(result.missing, 1)
+        assert.equal(result.diff.created[0].id, undefined)
+
+        assert.equal(JSON.stringify(await _getIdentities()), before)
+    })
+
+    it('keeps the last entry of an identity listed twice', async () => {
+        const result = await identityService.importIdentities(userId, [
+            _role('ci-runner', { lastUsedAt: '2026-01-01T00:00:00Z' }),
+            _role('ci-runner', { lastUsedAt: '2026-03-01T00:00:00Z' })
+        ])
+
+        assert.equal(result.total, 1)
+        const ciRunner = (await _getIdentities()).find(identity => identity.name === 'ci-runner')
+        assert.deepEqual(ciRunner.lastUsedAt, new Date('2026-03-01T00:00:00Z'))
+    })
+})
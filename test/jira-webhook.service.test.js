@@ -0,0 +1,64 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { jiraWebhookService } from '../services/jira-webhook.service.js'
+
+const issueUpdated = JSON.parse(await readFile(new URL('./fixtures/jira-issue-updated.json', import.meta.url)))
+
+describe('jiraWebhookService.handleEvent', () => {
+    let db
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+
+        // Two tenants on different Jira sites, whose tickets have the same issue id
+        const users = await db.getCollection('user')
+        for (const [name, siteUrl] of [['acme', 'https://acme.atlassian.net'], ['globex', 'https://globex.atlassian.net']]) {
+            const userId = new ObjectId()
+            await users.insertOne({ _id: userId, username: name, config: { jira: { cloudId: `cloud-${name}`, siteUrl } } })
+            await _addFinding(userId, { id: '10042', key: 'SEC-17', url: `${siteUrl}/browse/SEC-17`, status: 'In Progress' })
+        }
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _addFinding(userId, ticket) {
+        const findings = await db.getCollection('findings')
+        await findings.insertOne({ userId, status: 'open', summary: 'Exposed key', ticket, createdAt: new Date() })
+    }
+
+    async function _getFinding(siteUrl) {
+        const findings = await db.getCollection('findings')
+        return findings.docs.find(finding => finding.ticket.url.startsWith(siteUrl))
+    }
+
+    it('remediates only the finding ticketed on the delivery\'s site', async () => {
+        const result = await jiraWebhookService.handleEvent(issueUpdated)
+
+        assert.deepEqual(result, { event: 'jira:issue_updated', issueKey: 'SEC-17', matched: 1, updated: 1 })
+        assert.equal((await _getFinding('https://acme.atlassian.net')).status, 'remediated')
+        assert.equal((await _getFinding('https://globex.atlassian.net')).status, 'open')
+    })
+
+    it('ignores findings of users now connected to another site', async () => {
+        const users = await db.getCollection('user')
+        await users.updateMany({ username: 'acme' }, { $set: { 'config.jira.siteUrl': 'https://initech.atlassian.net' } })
+
+        const result = await jiraWebhookService.handleEvent(issueUpdated)
+
+        assert.equal(result.matched, 0)
+        assert.equal((await _getFinding('https://acme.atlassian.net')).status, 'open')
+    })
+
+    it('ignores deliveries without issue.self', async () => {
+        const { self, ...issue } = issueUpdated.issue
+
+        const result = await jiraWebhookService.handleEvent({ ...issueUpdated, issue })
+
+        assert.equal(result.matched, 0)
+    })
+})
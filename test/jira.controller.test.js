@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { userService } from '../api/user/user.service.js'
+import { getSlaPolicy, updateSlaPolicy, updatePriorityMapping } from '../api/jira/jira.controller.js'
+
+const METADATA = {
+    projects: [{
+        key: 'SEC',
+        issuetypes: [{ name: 'Bug', fields: { priority: { allowedValues: ['Blocker', 'Major', 'Minor'].map(name => ({ name })) } } }]
+    }]
+}
+
+function _createRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(body) {
+            this.body = body
+            return this
+        },
+        send(body) {
+            this.body = body
+            return this
+        }
+    }
+}
+
+describe('jira project settings', () => {
+    const loggedinUser = { _id: new ObjectId() }
+
+    beforeEach(() => {
+        useFakeDb()
+        quietLogger()
+        mock.method(userService, 'getById', async () => ({ _id: loggedinUser._id, config: { jira: { cloudId: 'cloud-1' } } }))
+        mock.method(jiraService, 'decryptTokens', () => ({ accessToken: 'token', refreshToken: 'refresh', expiresAt: Date.now() + 60 * 60 * 1000 }))
+        mock.method(jiraService, 'getProjectMetadata', async () => METADATA)
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('reads and saves the SLA policy of a project key in any case', async () => {
+        const updateRes = _createRes()
+        await updateSlaPolicy({ params: { projectKey: 'sec' }, body: { slaDays: { critical: 1 } }, loggedinUser }, updateRes)
+
+        assert.equal(updateRes.statusCode, 200)
+        assert.equal(updateRes.body.projectKey, 'SEC')
+
+        const getRes = _createRes()
+        await getSlaPolicy({ params: { projectKey: 'Sec' }, loggedinUser }, getRes)
+
+        assert.equal(getRes.body.projectKey, 'SEC')
+        assert.equal(getRes.body.slaDays.critical, 1)
+        assert.equal(getRes.body.isDefault, false)
+    })
+
+    it('matches priority names case-insensitively and saves the project spelling', async () => {
+        const res = _createRes()
+        await updatePriorityMapping({
+            params: { projectKey: 'sec' },
+            body: { priorityMapping: { critical: 'blocker', high: ' MAJOR ' } },
+            loggedinUser
+        }, res)
+
+        assert.equal(res.statusCode, 200)
+        assert.deepEqual(res.body.priorityMapping, { critical: 'Blocker', high: 'Major' })
+    })
+
+    it('refuses a priority the project does not have', async () => {
+        const res = _createRes()
+        await updatePriorityMapping({
+            params: { projectKey: 'SEC' },
+            body: { priorityMapping: { critical: 'Highest' } },
+            loggedinUser
+        }, res)
+
+        assert.equal(res.statusCode, 400)
+        assert.deepEqual(res.body.details, ['critical: Highest is not a priority of project SEC'])
+    })
+})
@@ -0,0 +1,49 @@
+import { describe, it, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import axios from 'axios'
+import { jiraService, MAX_CACHED_PROJECT_METADATA } from '../api/jira/jira.service.js'
+
+describe('jiraService.getCachedProjectMetadata', () => {
+    afterEach(() => mock.restoreAll())
+
+    it('caches the create metadata of each user separately', async () => {
+        const metadataByToken = {
+            'token-admin': { projects: [{ key: 'OPS', issuetypes: [{ name: 'Bug' }, { name: 'Incident' }] }] },
+            'token-reporter': { projects: [{ key: 'OPS', issuetypes: [{ name: 'Bug' }] }] }
+        }
+        const get = mock.method(axios, 'get', async (url, { headers }) => ({ data: metadataByToken[headers.Authorization.replace('Bearer ', '')] }))
+
+        const adminMetadata = await jiraService.getCachedProjectMetadata('admin', 'token-admin', 'cloud-1', 'OPS')
+        const reporterMetadata = await jiraService.getCachedProjectMetadata('reporter', 'token-reporter', 'cloud-1', 'OPS')
+        const adminAgain = await jiraService.getCachedProjectMetadata('admin', 'token-admin', 'cloud-1', 'OPS')
+
+        assert.equal(adminMetadata.projects[0].issuetypes.length, 2)
+        assert.equal(reporterMetadata.projects[0].issuetypes.length, 1)
+        assert.equal(adminAgain, adminMetadata)
+        assert.equal(get.mock.callCount(), 2)
+    })
+
+    it('evicts the oldest entries past the cache size', async () => {
+        const get = mock.method(axios, 'get', async () => ({ data: { projects: [] } }))
+
+        for (let idx = 0; idx <= MAX_CACHED_PROJECT_METADATA; idx++) {
+            await jiraService.getCachedProjectMetadata('evicted', 'token', 'cloud-1', `P${idx}`)
+        }
+        await jiraService.getCachedProjectMetadata('evicted', 'token', 'cloud-1', `P${MAX_CACHED_PROJECT_METADATA}`)
+        assert.equal(get.mock.callCount(), MAX_CACHED_PROJECT_METADATA + 1)
+
+        await jiraService.getCachedProjectMetadata('evicted', 'token', 'cloud-1', 'P0')
+        assert.equal(get.mock.callCount(), MAX_CACHED_PROJECT_METADATA + 2)
+    })
+
+    it('fetches the metadata again once expired', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() })
+        const get = mock.method(axios, 'get', async () => ({ data: { projects: [] } }))
+
+        await jiraService.getCachedProjectMetadata('expired', 'token', 'cloud-1', 'OPS')
+        t.mock.timers.tick(10 * 60 * 1000)
+        await jiraService.getCachedProjectMetadata('expired', 'token', 'cloud-1', 'OPS')
+
+        assert.equal(get.mock.callCount(), 2)
+    })
+})
@@ -0,0 +1,184 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { nhiFindingsService, SUBMIT_STATUS } from '../api/nhi-findings/nhi-findings.service.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { suppressionRuleService } from '../api/suppression-rule/suppression-rule.service.js'
+
+// A project whose scheme has no 'Lowest' priority, as many custom schemes
+const PRIORITIES = ['Blocker', 'Major', 'Minor'].map(name => ({ name }))
+const METADATA = {
+    projects: [{
+        key: 'SEC',
+        issuetypes: [{ name: 'Bug', fields: { summary: { required: true, name: 'Summary' }, priority: { allowedValues: PRIORITIES } } }]
+    }]
+}
+
+describe('nhiFindingsService.submit priority', () => {
+    const userId = new ObjectId().toString()
+    const context = { userId, apiKeyId: null, accessToken: 'token', jiraConfig: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } }
+    let createdIssues
+
+    beforeEach(() => {
+        useFakeDb()
+        quietLogger()
+        createdIssues = []
+        mock.method(jiraService, 'getCachedProjectMetadata', async () => METADATA)
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            createdIssues.push(issueData)
+            return { id: '10001', key: 'SEC-1' }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('keeps an explicit priority', async () => {
+        const result = await nhiFindingsService.submit(context, { projectKey: 'SEC', summary: 'Leaked key', description: 'd', priority: 'Major' })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.deepEqual(createdIssues[0].priority, { name: 'Major' })
+    })
+})
+
+describe('nhiFindingsService.submit default priority mapping', () => {
+    const userId = new ObjectId().toString()
+    const context = { userId, apiKeyId: null, accessToken: 'token', jiraConfig: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } }
+    let createdIssues
+
+    const useProjectPriorities = names => {
+        const metadata = structuredClone(METADATA)
+        metadata.projects[0].issuetypes[0].fields.priority.allowedValues = names.map(name => ({ name }))
+        mock.method(jiraService, 'getCachedProjectMetadata', async () => metadata)
+    }
+
+    beforeEach(() => {
+        useFakeDb()
+        quietLogger()
+        createdIssues = []
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            createdIssues.push(issueData)
+            return { id: '10002', key: 'SEC-2' }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('creates the ticket without priority when the project has a custom priority scheme', async () => {
+        useProjectPriorities(['Blocker', 'Major', 'Minor'])
+
+        const result = await nhiFindingsService.submit(context, { projectKey: 'SEC', summary: 'Leaked key', description: 'd', severity: 'high' })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.equal(createdIssues[0].priority, undefined)
+    })
+
+    it('applies the default mapping when the project has the stock priorities', async () => {
+        useProjectPriorities(['Highest', 'High', 'Medium', 'Low', 'Lowest'])
+
+        const result = await nhiFindingsService.submit(context, { projectKey: 'SEC', summary: 'Leaked key', description: 'd', severity: 'high' })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.deepEqual(createdIssues[0].priority, { name: 'High' })
+    })
+
+    it('derives the priority from the risk level for a finding without severity', async () => {
+        useProjectPriorities(['Highest', 'High', 'Medium', 'Low', 'Lowest'])
+
+        // Found in a public place: risk level low
+        const result = await nhiFindingsService.submit(context, { projectKey: 'SEC', summary: 'Leaked token', description: 'd', exposure: 'public' })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.equal(result.finding.risk.level, 'low')
+        assert.deepEqual(createdIssues[0].priority, { name: 'Low' })
+    })
+
+    it('leaves the priority unset when the project has no priority for the risk level', async () => {
+        useProjectPriorities(['Blocker', 'Major', 'Minor'])
+
+        const result = await nhiFindingsService.submit(context, { projectKey: 'SEC', summary: 'Leaked token', description: 'd' })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.equal(createdIssues[0].priority, undefined)
+    })
+})
+
+describe('nhiFindingsService.submit deduplication', () => {
+    const userId = new ObjectId().toString()
+    const context = { userId, apiKeyId: null, accessToken: 'token', jiraConfig: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } }
+    const finding = { projectKey: 'SEC', summary: 'Leaked token', description: 'Found in CI logs', source: 'gitleaks' }
+    let db, createdIssues
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        createdIssues = []
+        await nhiFindingsService.initializeCollection()
+        mock.method(jiraService, 'getCachedProjectMetadata', async () => METADATA)
+        mock.method(jiraService, 'addComment', async () => {})
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            createdIssues.push(issueData)
+            return { id: '10003', key: 'SEC-3' }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('creates one ticket for the same finding submitted concurrently', async () => {
+        const results = await Promise.all([
+            nhiFindingsService.submit(context, { ...finding }),
+            nhiFindingsService.submit(context, { ...finding })
+        ])
+
+        assert.deepEqual(results.map(result => result.status).sort(), [SUBMIT_STATUS.CREATED, SUBMIT_STATUS.DEDUPLICATED])
+        assert.equal(createdIssues.length, 1)
+
+        const findings = (await db.getCollection('findings')).docs
+        assert.equal(findings.length, 1)
+        assert.equal(findings[0].occurrenceCount, 2)
+    })
+
+    it('takes over the fingerprint of a finding whose submission never completed', async () => {
+        await nhiFindingsService.submit(context, { ...finding })
+        const [stuck] = (await db.getCollection('findings')).docs
+        Object.assign(stuck, { status: 'pending', ticket: null, createdAt: new Date(Date.now() - 10 * 60 * 1000) })
+
+        const result = await nhiFindingsService.submit(context, { ...finding })
+
+        assert.equal(result.status, SUBMIT_STATUS.CREATED)
+        assert.equal(createdIssues.length, 2)
+        assert.equal(stuck.status, 'failed')
+    })
+})
+
+describe('nhiFindingsService.submit suppression', () => {
+    const userId = new ObjectId().toString()
+    const context = { userId, apiKeyId: null, accessToken: 'token', jiraConfig: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } }
+    const finding = { projectKey: 'SEC', summary: 'Test AWS key', description: 'In fixtures', labels: ['fixture'] }
+    let db, rule
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        await nhiFindingsService.initializeCollection()
+        rule = await suppressionRuleService.add(userId, { justification: 'Test fixtures', match: { label: 'fixture' } })
+        mock.method(jiraService, 'createIssue', async () => {
+            throw new Error('A suppressed finding must not reach Jira')
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('folds a rescanned suppressed finding into the existing one', async () => {
+        const first = await nhiFindingsService.submit(context, { ...finding })
+        const second = await nhiFindingsService.submit(context, { ...finding })
+
+        assert.equal(first.status, SUBMIT_STATUS.SUPPRESSED)
+        assert.equal(second.status, SUBMIT_STATUS.SUPPRESSED)
+        assert.equal(second.finding.id, first.finding.id)
+        assert.equal(second.finding.occurrenceCount, 2)
+        assert.equal((await db.getCollection('findings')).docs.length, 1)
+        assert.equal((await suppressionRuleService.getById(rule.id, userId)).matchCount, 2)
+    })
+})
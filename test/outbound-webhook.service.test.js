@@ -0,0 +1,41 @@
+import { describe, it, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import dns from 'dns'
+import { outboundWebhookService } from '../services/outbound-webhook.service.js'
+
+describe('outboundWebhookService', () => {
+    afterEach(() => mock.restoreAll())
+
+    it('allows https URLs of public hosts', () => {
+        assert.equal(outboundWebhookService.isAllowedUrl('https://hooks.slack.com/services/T000/B000/XXXX'), true)
+        assert.equal(outboundWebhookService.isAllowedUrl('https://8.8.8.8/hook'), true)
+    })
+
+    it('refuses plain http and local or private hosts', () => {
+        const urls = [
+            'http://hooks.slack.com/services/T000',
+            'https://localhost/hook',
+            'https://127.0.0.1/hook',
+            'https://2130706433/hook',
+            'https://10.1.2.3/hook',
+            'https://172.20.0.1/hook',
+            'https://192.168.1.10/hook',
+            'https://169.254.169.254/latest/meta-data',
+            'https://[::1]/hook',
+            'https://[fd00::1]/hook',
+            'https://[::ffff:127.0.0.1]/hook',
+            'not a url'
+        ]
+
+        urls.forEach(url => assert.equal(outboundWebhookService.isAllowedUrl(url), false, url))
+    })
+
+    it('refuses a host that resolves to a private address', async () => {
+        mock.method(dns.promises, 'lookup', async () => ({ address: '10.0.0.5', family: 4 }))
+
+        await assert.rejects(
+            outboundWebhookService.post('https://hooks.example.com/hook', { text: 'hi' }, { timeout: 1000 }),
+            /resolves to a blocked address/
+        )
+    })
+})
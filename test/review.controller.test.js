@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { reviewService } from '../api/review/review.service.js'
+import { reviewerService } from '../api/reviewer/reviewer.service.js'
+import { jiraService } from '../api/jira/jira.service.js'
+import { reviewCampaignService } from '../services/review-campaign.service.js'
+import { attestItem, getAssignedItems } from '../api/review/review.controller.js'
+
+function _createRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(body) {
+            this.body = body
+            return this
+        }
+    }
+}
+
+describe('review reviewers', () => {
+    const creatorId = new ObjectId().toString()
+    const ownerId = new ObjectId().toString()
+    // Registered with the owner's email, but never linked to the identity
+    const impostor = { _id: new ObjectId(), email: 'Owner@Acme.com' }
+    let campaign, ownerReviewer
+
+    beforeEach(async () => {
+        useFakeDb()
+        quietLogger()
+
+        const invitation = await reviewerService.invite(creatorId)
+        ownerReviewer = await reviewerService.accept(invitation.code, ownerId)
+
+        const identities = [
+            { id: new ObjectId().toString(), name: 'deploy-bot', type: 'iam_role', owner: 'owner@acme.com', ownerUserId: ownerId },
+            { id: new ObjectId().toString(), name: 'ci-token', type: 'api_key', owner: 'owner@acme.com', ownerUserId: null }
+        ]
+        campaign = await reviewService.add(creatorId, {
+            name: 'Q4 review',
+            dueAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+            projectKey: 'SEC',
+            reminderDays: [7, 1]
+        }, identities)
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _getItem(name) {
+        const { items } = await reviewService.getItems(campaign.id)
+        return items.find(item => item.identity.name === name)
+    }
+
+    it('lists only the items linked to the user', async () => {
+        const res = _createRes()
+        await getAssignedItems({ query: {}, loggedinUser: { _id: new ObjectId(ownerId), email: 'owner@acme.com' } }, res)
+        assert.deepEqual(res.body.map(item => item.identity.name), ['deploy-bot'])
+
+        const impostorRes = _createRes()
+        await getAssignedItems({ query: {}, loggedinUser: impostor }, impostorRes)
+        assert.deepEqual(impostorRes.body, [])
+    })
+
+    it('does not let a user attest by owner email', async () => {
+        const item = await _getItem('ci-token')
+        const res = _createRes()
+
+        await attestItem({
+            params: { campaignId: campaign.id, itemId: item.id },
+            body: { decision: 'revoke' },
+            loggedinUser: impostor
+        }, res)
+
+        assert.equal(res.statusCode, 404)
+        assert.equal((await _getItem('ci-token')).status, 'pending')
+    })
+
+    it('lets the linked owner attest', async () => {
+        const item = await _getItem('deploy-bot')
+        const res = _createRes()
+
+        await attestItem({
+            params: { campaignId: campaign.id, itemId: item.id },
+            body: { decision: 'confirm' },
+            loggedinUser: { _id: new ObjectId(ownerId), email: 'owner@acme.com' }
+        }, res)
+
+        assert.equal(res.statusCode, 200)
+        assert.equal(res.body.status, 'confirmed')
+    })
+
+    it('does not let a linked owner attest once removed as a reviewer', async () => {
+        await reviewerService.remove(ownerReviewer.id, creatorId)
+        const item = await _getItem('deploy-bot')
+        const owner = { _id: new ObjectId(ownerId), email: 'owner@acme.com' }
+
+        const listRes = _createRes()
+        await getAssignedItems({ query: {}, loggedinUser: owner }, listRes)
+        assert.deepEqual(listRes.body, [])
+
+        const res = _createRes()
+        await attestItem({
+            params: { campaignId: campaign.id, itemId: item.id },
+            body: { decision: 'revoke' },
+            loggedinUser: owner
+        }, res)
+
+        assert.equal(res.statusCode, 404)
+        assert.equal((await _getItem('deploy-bot')).status, 'pending')
+    })
+})
+
+describe('review revocation', () => {
+    let db, creatorId, campaign, createdIssues, isJiraDown
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        createdIssues = []
+        isJiraDown = false
+
+        creatorId = new ObjectId()
+        const users = await db.getCollection('user')
+        await users.insertOne({ _id: creatorId, email: 'sec@acme.com', config: { jira: { cloudId: 'cloud-1', siteUrl: 'https://acme.atlassian.net' } } })
+
+        mock.method(jiraService, 'getValidAccessToken', async () => 'token')
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            if (isJiraDown) throw new Error('Jira is down')
+            createdIssues.push(issueData)
+            return { id: '10007', key: 'SEC-7' }
+        })
+
+        campaign = await reviewService.add(creatorId.toString(), {
+            name: 'Q4 review',
+            dueAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+            projectKey: 'SEC',
+            reminderDays: [7, 1]
+        }, [{ id: new ObjectId().toString(), name: 'deploy-bot', type: 'iam_role', provider: 'aws', owner: 'owner@acme.com' }])
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _revoke() {
+        const { items: [item] } = await reviewService.getItems(campaign.id)
+        const res = _createRes()
+        await attestItem({
+            params: { campaignId: campaign.id, itemId: item.id },
+            body: { decision: 'revoke', comment: 'Not used since the migration' },
+            loggedinUser: { _id: creatorId, email: 'sec@acme.com' }
+        }, res)
+
+        assert.equal(res.statusCode, 200)
+        return (await reviewService.getItems(campaign.id)).items[0]
+    }
+
+    it('opens a ticket to remove a revoked identity', async () => {
+        const item = await _revoke()
+
+        assert.equal(createdIssues.length, 1)
+        assert.equal(createdIssues[0].project.key, 'SEC')
+        assert.equal(createdIssues[0].summary, 'Revoke access: deploy-bot')
+        assert.deepEqual(item.revocationTicket, { key: 'SEC-7', id: '10007', url: 'https://acme.atlassian.net/browse/SEC-7' })
+    })
+
+    it('retries a failed revocation ticket once the campaign is completed', async () => {
+        isJiraDown = true
+        const item = await _revoke()
+        assert.equal(item.revocationTicketError, 'Jira is down')
+        assert.equal((await reviewService.getById(campaign.id, creatorId.toString())).status, 'completed')
+
+        isJiraDown = false
+        const totals = await reviewCampaignService.runAllCampaigns()
+
+        assert.equal(totals.revocations, 1)
+        assert.equal((await reviewService.getItems(campaign.id)).items[0].revocationTicket.key, 'SEC-7')
+        assert.equal((await reviewCampaignService.runAllCampaigns()).revocations, 0)
+    })
+
+    it('opens one ticket when the hourly job runs while the attestation creates it', async () => {
+        const jobRuns = []
+        mock.method(jiraService, 'createIssue', async (accessToken, cloudId, issueData) => {
+            // The job starts while Jira is still answering the attestation
+            if (!createdIssues.length && !jobRuns.length) jobRuns.push(await reviewCampaignService.runAllCampaigns())
+            createdIssues.push(issueData)
+            return { id: '10007', key: 'SEC-7' }
+        })
+
+        const item = await _revoke()
+
+        assert.equal(createdIssues.length, 1)
+        assert.equal(jobRuns[0].revocations, 0)
+        assert.equal(item.revocationTicket.key, 'SEC-7')
+        assert.equal((await reviewCampaignService.runAllCampaigns()).revocations, 0)
+    })
+})
@@ -0,0 +1,71 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { reviewerService } from '../api/reviewer/reviewer.service.js'
+import { addIdentity } from '../api/identity/identity.controller.js'
+import { riskScoreService } from '../services/risk-score.service.js'
+
+function _createRes() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code
+            return this
+        },
+        json(body) {
+            this.body = body
+            return this
+        }
+    }
+}
+
+describe('identity owners', () => {
+    let db, owner, reviewer, stranger
+
+    beforeEach(async () => {
+        db = useFakeDb()
+        quietLogger()
+        mock.method(riskScoreService, 'refreshIdentity', async () => null)
+
+        const users = await db.getCollection('user')
+        ;[owner, reviewer, stranger] = ['owner', 'reviewer', 'stranger'].map(name => ({ _id: new ObjectId(), name, email: `${name}@acme.com` }))
+        await users.insertMany([owner, reviewer, stranger])
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    async function _addIdentity(body) {
+        const res = _createRes()
+        await addIdentity({ body: { name: 'deploy-bot', type: 'iam_role', ...body }, loggedinUser: owner }, res)
+        return res
+    }
+
+    it('refuses to link a user who is not a reviewer, without revealing their email', async () => {
+        const res = await _addIdentity({ ownerUserId: stranger._id.toString() })
+
+        assert.equal(res.statusCode, 400)
+        assert.doesNotMatch(JSON.stringify(res.body), /stranger@acme.com/)
+    })
+
+    it('links a user once they accepted an invitation', async () => {
+        const { code } = await reviewerService.invite(owner._id.toString())
+        await reviewerService.accept(code, reviewer._id.toString())
+
+        const res = await _addIdentity({ ownerUserId: reviewer._id.toString() })
+
+        assert.equal(res.statusCode, 201)
+        assert.equal(res.body.owner, 'reviewer@acme.com')
+        assert.equal(res.body.ownerUserId, reviewer._id.toString())
+    })
+
+    it('accepts an invitation code once', async () => {
+        const { code } = await reviewerService.invite(owner._id.toString())
+        await reviewerService.accept(code, reviewer._id.toString())
+
+        await assert.rejects(reviewerService.accept(code, stranger._id.toString()), /not found or expired/)
+        assert.equal(await reviewerService.isReviewer(owner._id.toString(), stranger._id.toString()), false)
+    })
+})
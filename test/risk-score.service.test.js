@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { riskScoreService } from '../services/risk-score.service.js'
+import { riskWeightsService, DEFAULT_RISK_WEIGHTS } from '../api/risk-weights/risk-weights.service.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const NOW = new Date('2026-06-01T00:00:00Z')
+
+describe('riskScoreService scoring', () => {
+    it('scores a privileged, old, unused production identity with public findings at 100', () => {
+        const identity = {
+            environment: 'production',
+            permissions: { isPrivileged: true },
+            identityCreatedAt: new Date(NOW - 2 * 365 * DAY_MS),
+            lastUsedAt: null
+        }
+        const openFindings = [
+            { severity: 'low', exposure: 'internal' },
+            { severity: 'critical', exposure: 'public' },
+            ...Array(3).fill({ severity: 'medium' })
+        ]
+
+        const risk = riskScoreService.scoreIdentity(identity, openFindings, DEFAULT_RISK_WEIGHTS, NOW)
+
+        assert.equal(risk.score, 100)
+        assert.equal(risk.level, 'critical')
+        assert.ok(Object.values(risk.factors).every(factor => factor === 1))
+    })
+
+    it('scales age, last use and open findings', () => {
+        const identity = {
+            environment: 'staging',
+            identityCreatedAt: new Date(NOW - 365 / 2 * DAY_MS),
+            lastUsedAt: new Date(NOW - 90 * DAY_MS)
+        }
+
+        const risk = riskScoreService.scoreIdentity(identity, [{ severity: 'high' }], DEFAULT_RISK_WEIGHTS, NOW)
+
+        assert.deepEqual(risk.factors, {
+            privilege: 0,
+            exposure: 0,
+            severity: 0.75,
+            environment: 0,
+            credentialAge: 0.5,
+            lastUse: 0.5,
+            openFindings: 0.2
+        })
+        // 20 * 0.75 + 10 * 0.5 + 5 * 0.5 + 5 * 0.2
+        assert.equal(risk.score, 24)
+        assert.equal(risk.level, 'low')
+    })
+
+    it('scores a finding without identity from its severity and exposure, environment unknown', () => {
+        const risk = riskScoreService.scoreFinding({ severity: 'high', exposure: 'public' }, null, 0, DEFAULT_RISK_WEIGHTS, NOW)
+
+        // 20 * 0.75 + 20 + 15 * 0.5
+        assert.equal(risk.score, 43)
+        assert.equal(risk.level, 'medium')
+        assert.equal(risk.computedAt, NOW)
+    })
+
+    it('weighs the factors with the user weights', () => {
+        const riskWeights = { weights: { exposure: 1 }, thresholds: DEFAULT_RISK_WEIGHTS.thresholds }
+
+        assert.equal(riskScoreService.scoreFinding({ exposure: 'public' }, null, 0, riskWeights, NOW).score, 100)
+        assert.equal(riskScoreService.scoreFinding({ exposure: 'internal', severity: 'critical' }, null, 0, riskWeights, NOW).score, 0)
+    })
+
+    it('picks the highest level whose threshold the score reaches', () => {
+        const { thresholds } = DEFAULT_RISK_WEIGHTS
+
+        assert.equal(riskScoreService.getLevel(80, thresholds), 'critical')
+        assert.equal(riskScoreService.getLevel(79, thresholds), 'high')
+        assert.equal(riskScoreService.getLevel(40, thresholds), 'medium')
+        assert.equal(riskScoreService.getLevel(19, thresholds), 'info')
+    })
+})
+
+describe('riskScoreService.scoreSubmission', () => {
+    const userId = new ObjectId().toString()
+
+    beforeEach(() => {
+        useFakeDb()
+        quietLogger()
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('uses the weights and thresholds saved by the user', async () => {
+        await riskWeightsService.setWeights(userId, { thresholds: { critical: 90, high: 70, medium: 50, low: 40 } })
+
+        const risk = await riskScoreService.scoreSubmission(userId, { severity: 'high', exposure: 'public' }, null)
+
+        assert.equal(risk.score, 43)
+        assert.equal(risk.level, 'low')
+    })
+})
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { routingRuleService } from '../api/routing-rule/routing-rule.service.js'
+
+describe('routingRuleService.resolve', () => {
+    const userId = new ObjectId().toString()
+    let awsRule, criticalRule, catchAllRule
+
+    beforeEach(async () => {
+        useFakeDb()
+        quietLogger()
+
+        criticalRule = await routingRuleService.add(userId, {
+            name: 'Critical to the on-call project',
+            order: 1,
+            match: { severities: ['critical'] },
+            actions: { projectKey: 'ONCALL', priority: 'Highest' }
+        })
+        awsRule = await routingRuleService.add(userId, {
+            name: 'AWS roles to the cloud team',
+            order: 2,
+            match: { cloudProviders: ['AWS'], identityTypes: ['iam_role'] },
+            actions: { projectKey: 'CLOUD', components: ['IAM'], assignee: 'cloud-lead' }
+        })
+        catchAllRule = await routingRuleService.add(userId, {
+            name: 'Everything else',
+            order: 3,
+            actions: { projectKey: 'SEC', issueType: 'Bug' }
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('fills each field from the first matching rule in order', async () => {
+        const finding = { summary: 'Leaked key', severity: 'critical', identity: { provider: 'aws', type: 'iam_role' } }
+
+        const { data, ruleIds } = await routingRuleService.resolve(userId, finding)
+
+        assert.equal(data.projectKey, 'ONCALL')
+        assert.equal(data.priority, 'Highest')
+        assert.deepEqual(data.components, ['IAM'])
+        assert.equal(data.assignee, 'cloud-lead')
+        assert.equal(data.issueType, 'Bug')
+        assert.deepEqual(ruleIds, [criticalRule.id, awsRule.id, catchAllRule.id])
+    })
+
+    it('requires every criterion of a rule, matching case-insensitively', async () => {
+        const { data, ruleIds } = await routingRuleService.resolve(userId, { summary: 's', identity: { provider: 'aws', type: 'service_account' } })
+
+        assert.equal(data.projectKey, 'SEC')
+        assert.deepEqual(ruleIds, [catchAllRule.id])
+    })
+
+    it('keeps the fields sent with the finding', async () => {
+        const { data } = await routingRuleService.resolve(userId, { summary: 's', severity: 'critical', projectKey: 'MINE', priority: '' })
+
+        assert.equal(data.projectKey, 'MINE')
+        assert.equal(data.priority, 'Highest')
+    })
+
+    it('skips inactive rules', async () => {
+        await routingRuleService.update(catchAllRule.id, userId, { ...catchAllRule, isActive: false })
+
+        const { data, ruleIds } = await routingRuleService.resolve(userId, { summary: 's', severity: 'low' })
+
+        assert.equal(data.projectKey, undefined)
+        assert.deepEqual(ruleIds, [])
+    })
+
+    it('only applies the rules of the finding owner', async () => {
+        const { data, ruleIds } = await routingRuleService.resolve(new ObjectId().toString(), { summary: 's', severity: 'critical' })
+
+        assert.equal(data.projectKey, undefined)
+        assert.deepEqual(ruleIds, [])
+    })
+})
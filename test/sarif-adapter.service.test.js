@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { sarifAdapterService } from '../services/finding-adapters/sarif-adapter.service.js'
+
+const report = JSON.parse(await readFile(new URL('./fixtures/semgrep.sarif.json', import.meta.url)))
+const options = { projectKey: 'SEC', issueType: 'Bug', labels: ['ci'] }
+
+describe('sarifAdapterService', () => {
+    it('refuses documents that are not SARIF 2.1.0', () => {
+        assert.deepEqual(sarifAdapterService.validateReport([]).errors, ['SARIF document must be a JSON object'])
+        assert.deepEqual(sarifAdapterService.validateReport({ version: '2.0.0', runs: [] }).errors, ['Only SARIF version 2.1.0 is supported'])
+        assert.deepEqual(sarifAdapterService.validateReport({ version: '2.1.0' }).errors, ['runs is required and must be an array'])
+        assert.equal(sarifAdapterService.validateReport(report).isValid, true)
+    })
+
+    it('maps every failing result of every run, skipping passes', () => {
+        const findings = sarifAdapterService.toFindings(report, options)
+
+        assert.deepEqual(findings.map(finding => finding.summary), [
+            '[generic.secrets.aws-access-key] AWS access key of account 123456789012 in config/prod.env',
+            '[generic.secrets.slack-webhook] Slack webhook URL in scripts/notify.sh',
+            '[unknown-rule] Token in CI logs'
+        ])
+    })
+
+    it('reads the rule, location and tool fingerprint of a result', () => {
+        const [awsKey] = sarifAdapterService.toFindings(report, options)
+
+        assert.equal(awsKey.projectKey, 'SEC')
+        assert.equal(awsKey.issueType, 'Bug')
+        assert.equal(awsKey.severity, 'high')
+        assert.equal(awsKey.source, 'semgrep oss')
+        assert.deepEqual(awsKey.labels, ['ci', 'sarif', 'semgrep-oss'])
+        assert.deepEqual(awsKey.location, { repo: 'https://github.com/acme/deploy', commit: '4f2a9c1', path: 'config/prod.env', line: 12 })
+        assert.equal(awsKey.fingerprint, 'Semgrep OSS:contextHash:0f2c')
+        assert.match(awsKey.description, /## Rule\n\nHardcoded AWS access keys/)
+        assert.match(awsKey.description, /More info: \[https:\/\/semgrep\.dev/)
+    })
+
+    it('falls back to the rule level, then warning', () => {
+        const [, slackWebhook, ciToken] = sarifAdapterService.toFindings(report, options)
+
+        assert.equal(slackWebhook.severity, 'low')
+        assert.equal(slackWebhook.fingerprint, undefined)
+        assert.equal(ciToken.severity, 'medium')
+        assert.equal(ciToken.source, 'custom')
+    })
+
+    it('truncates long summaries to the Jira limit', () => {
+        const doc = { version: '2.1.0', runs: [{ tool: { driver: { name: 'scanner' } }, results: [{ ruleId: 'r', message: { text: 'x'.repeat(400) } }] }] }
+
+        const [finding] = sarifAdapterService.toFindings(doc, options)
+
+        assert.equal(finding.summary.length, 255)
+        assert.ok(finding.summary.endsWith('...'))
+    })
+})
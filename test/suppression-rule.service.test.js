@@ -0,0 +1,31 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { ObjectId } from 'mongodb'
+import { useFakeDb } from './helpers/fake-db.js'
+import { quietLogger } from './helpers/quiet-logger.js'
+import { suppressionRuleService } from '../api/suppression-rule/suppression-rule.service.js'
+
+describe('suppressionRuleService.findMatch', () => {
+    const userId = new ObjectId().toString()
+
+    beforeEach(async () => {
+        useFakeDb()
+        quietLogger()
+        await suppressionRuleService.add(userId, { justification: 'Test fixtures', match: { label: 'fixture' } })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it('skips labels that are not strings', async () => {
+        const data = { summary: 's', labels: [42, { name: 'fixture' }, null] }
+
+        assert.equal(await suppressionRuleService.findMatch(userId, data, 'fp'), null)
+    })
+
+    it('matches a string label case-insensitively next to other values', async () => {
+        const data = { summary: 's', labels: [7, 'Fixture'] }
+
+        const rule = await suppressionRuleService.findMatch(userId, data, 'fp')
+        assert.equal(rule?.justification, 'Test fixtures')
+    })
+})